@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect, useRef } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import { LineChart, Line as RechartsLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
 import { Line } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, LogarithmicScale, PointElement, LineElement, Title as ChartJSTitle, Tooltip as ChartJSTooltip, Legend as ChartJSLegend, Filler } from 'chart.js';
@@ -6,6 +6,41 @@ import katex from 'katex';
 import 'katex/dist/katex.min.css';
 import './styles/tilde-mathematica.css';
 import LogoImage from './assets/image_folder/Group-1.jpg';
+import { isSimplifiedLut, CARRY_POLICIES, CARRY_RANGE, LUT_ROUNDING, OPERATION_INFO, operandLimits, operationText, activeLutLength, carryRange, lutEntry, maxIndex, alphaAdd, alphaCarry } from './tilde/engine';
+import { activeLut, inspectLut } from './tilde/lut';
+import { CORE_FORMULAS, EXTENDED_FORMULAS, PARAMETER_FORMULAS } from './tilde/formulas';
+import { measureOperation } from './tilde/values';
+import { DATAPATH_BRANCHES, traceOperation } from './tilde/datapath';
+import { analyzeNetlist } from './tilde/netlist';
+import { estimateGateCount, blockMetrics, formatMetrics } from './tilde/hardware';
+import { betaToSlider, sliderToBeta } from './tilde/betaScale';
+import { CleanCard, MetricCard } from './components/ui';
+import { formatReal, formatPercent, formatIndex } from './components/format';
+import ErrorHeatmapTab from './components/ErrorHeatmapTab';
+import QuantizerTab from './components/QuantizerTab';
+import RtlExportCard from './components/RtlExportCard';
+import TestVectorCard from './components/TestVectorCard';
+import NetlistBreakdown from './components/NetlistBreakdown';
+import DatapathTrace from './components/DatapathTrace';
+import FlagBadges from './components/FlagBadges';
+import LutInspector from './components/LutInspector';
+import LutRoundingChart from './components/LutRoundingChart';
+import TechLibraryEditor from './components/TechLibraryEditor';
+import { useTechLibrary } from './components/useTechLibrary';
+import { DEFAULT_TECH_NODE, TECH_PARAMETERS } from './tilde/techLibrary';
+import FormatCatalogEditor from './components/FormatCatalogEditor';
+import DesignSpaceTab from './components/DesignSpaceTab';
+import ScenariosTab from './components/ScenariosTab';
+import ReportTab from './components/ReportTab';
+import ExpressionTab from './components/ExpressionTab';
+import DotProductTab from './components/DotProductTab';
+import MlpBenchmarkTab from './components/MlpBenchmarkTab';
+import ConvolutionTab from './components/ConvolutionTab';
+import AudioTab from './components/AudioTab';
+import { useScenarios } from './components/useScenarios';
+import { parseRoute, buildRoute, useAppRoute } from './components/useAppRoute';
+import { useFormatCatalog } from './components/useFormatCatalog';
+import { FORMAT_FAMILIES, FORMAT_OPERATIONS } from './tilde/formats';
 
 // KaTeX Stylesheet Loader
 const KaTeXStylesheetLoader = () => {
@@ -48,130 +83,22 @@ const KaTeX = ({ children }) => {
 // Register Chart.js components
 ChartJS.register(CategoryScale, LinearScale, LogarithmicScale, PointElement, LineElement, ChartJSTitle, ChartJSTooltip, ChartJSLegend, Filler);
 
-// Constants
-const EFFICIENCY_THRESHOLD = 2.0;
-
-// Semiconductor Technology Data
-const techNodes = {
-  '3nm': {
-    transistorsPerNand: 4,
-    powerPerTransistor: 0.8,
-    areaPerTransistor: 0.008,
-    frequency: 3.5,
-    voltage: 0.7
-  },
-  '5nm': {
-    transistorsPerNand: 4,
-    powerPerTransistor: 1.2,
-    areaPerTransistor: 0.015,
-    frequency: 3.2,
-    voltage: 0.75
-  },
-  '7nm': {
-    transistorsPerNand: 4,
-    powerPerTransistor: 2.0,
-    areaPerTransistor: 0.025,
-    frequency: 3.0,
-    voltage: 0.75
-  },
-  '14nm': {
-    transistorsPerNand: 4,
-    powerPerTransistor: 4.5,
-    areaPerTransistor: 0.05,
-    frequency: 2.8,
-    voltage: 0.8
-  },
-  '22nm': { transistorsPerNand: 4, powerPerTransistor: 8.0, areaPerTransistor: 0.08, frequency: 2.5, voltage: 0.9 },
-  '28nm': { transistorsPerNand: 4, powerPerTransistor: 12.0, areaPerTransistor: 0.12, frequency: 2.2, voltage: 1.0 }
-};
-
-// Conventional Format Gate Estimates
-const conventionalGates = {
-  FP4_Dedicated: {
-    logicGates: 450,
-    description: "4-bit FP ALU (Dedicated TPU/NPU)"
-  },
-  FP4_MultiFormat: {
-    logicGates: 1200,
-    description: "4-bit FP in Multi-Format ALU (GPU)"
-  },
-  BFloat16: {
-    logicGates: 3200,
-    description: "16-bit BF16 ALU"
-  },
-  FP32: {
-    logicGates: 12000,
-    description: "32-bit IEEE FP ALU"
-  },
-  FP64: { logicGates: 28000, description: "64-bit IEEE FP ALU" }
-};
-
-// Beta conversion functions
-const betaToSlider = (beta) => {
-  if (beta <= 1.02) return 0;
-  if (beta >= 30.0) return 100;
-
-  const logBeta = Math.log(beta - 1.0);
-  const logMin = Math.log(0.02);
-  const logMax = Math.log(29.0);
-
-  return ((logBeta - logMin) / (logMax - logMin)) * 100;
-};
-
-const sliderToBeta = (sliderValue) => {
-  const logMin = Math.log(0.02);
-  const logMax = Math.log(29.0);
-
-  const logBeta = logMin + (sliderValue / 100) * (logMax - logMin);
-  return Math.max(1.02, Math.min(30.0, 1.0 + Math.exp(logBeta)));
-};
-
-// Utility Functions
-const calculateLutLength = (beta) => {
-  const baseLength = Math.max(1, Math.floor(8 / (beta - 1)));
-  return beta >= EFFICIENCY_THRESHOLD ? 1 : baseLength;
-};
-
-const getLutValue = (d, beta) => {
-  if (beta >= EFFICIENCY_THRESHOLD && d > 0) return 1;
-  return Math.min(d, Math.floor(Math.log(d + 1) / Math.log(beta)));
-};
-
 // UI Components
-const CleanCard = ({ children, className = "", variant = "default" }) => {
-  const variantClasses = {
-    default: "tilde-card",
-    elevated: "tilde-card elevated",
-    glass: "tilde-card glass"
-  };
-
-  return (
-    <div className={`${variantClasses[variant]} ${className}`}>
-      {children}
-    </div>
-  );
-};
-
-const TabButton = ({ active, onClick, children, icon }) => (
-  <button
-    onClick={onClick}
+const TabButton = ({ active, href, onClick, children, icon }) => (
+  <a
+    href={href}
+    onClick={(e) => {
+      // Let modified clicks open the route in a new tab or window
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      onClick();
+    }}
     className={`tilde-tab-button ${active ? 'active' : ''}`}
   >
     {children}
-  </button>
+  </a>
 );
 
-const MetricCard = ({ title, value, unit, variant = "default", description }) => {
-  return (
-    <div className={`tilde-metric-card ${variant}`}>
-      <h4 className="tilde-metric-title">{title}</h4>
-      <div className="tilde-metric-value">{value}</div>
-      <div className="tilde-metric-unit">{unit}</div>
-      {description && <div className="tilde-metric-description">{description}</div>}
-    </div>
-  );
-};
-
 // Enhanced Beta Slider
 const BetaSlider = ({ beta, setBeta, lutLength }) => {
   const sliderValue = betaToSlider(beta);
@@ -218,9 +145,9 @@ const BetaSlider = ({ beta, setBeta, lutLength }) => {
         </div>
 
         <div className="tilde-text-center">
-          <span className={`tilde-rounded-full tilde-px-3 tilde-py-1 tilde-text-sm tilde-font-medium ${beta >= EFFICIENCY_THRESHOLD ? 'tilde-bg-408BCA tilde-text-white' : 'tilde-bg-1B4469-50 tilde-text-white'
+          <span className={`tilde-rounded-full tilde-px-3 tilde-py-1 tilde-text-sm tilde-font-medium ${isSimplifiedLut(beta) ? 'tilde-bg-408BCA tilde-text-white' : 'tilde-bg-1B4469-50 tilde-text-white'
             }`}>
-            {beta >= EFFICIENCY_THRESHOLD ? 'Simplified Mode' : 'Full LUT Mode'}
+            {isSimplifiedLut(beta) ? 'Simplified Mode' : 'Full LUT Mode'}
           </span>
         </div>
       </div>
@@ -230,10 +157,13 @@ const BetaSlider = ({ beta, setBeta, lutLength }) => {
 
 // Interactive Calculator Component
 const InteractiveCalculator = ({
-  bitWidth, setBitWidth, a, setA, b, setB, operation, setOperation,
-  beta, setBeta, result, commonTerms, gateCount, lutLength, errorPercentage,
-  maxValue
+  bitWidth, setBitWidth, signed, setSigned, a, setA, b, setB, operation, setOperation,
+  beta, setBeta, lutRounding, setLutRounding, carryPolicy, setCarryPolicy, carryN, setCarryN, aluOptions,
+  result, datapath, gateCount, lutLength, errorPercentage, maxValue, measurement, netlist
 }) => {
+  const range = carryRange({ beta, ...aluOptions });
+  const info = OPERATION_INFO[operation];
+
   const presets = [
     { name: "AI/ML Inference", beta: 2.5, bitWidth: 4 },
     { name: "High Efficiency", beta: 4.0, bitWidth: 4 },
@@ -253,7 +183,23 @@ const InteractiveCalculator = ({
       <CleanCard className="tilde-p-8" variant="elevated">
         <div className="tilde-flex tilde-justify-between tilde-items-center tilde-mb-6">
           <label className="tilde-text-lg tilde-font-semibold tilde-text-white">Bit Width: {bitWidth} bits</label>
-          <span className="tilde-text-sm tilde-text-white-70 tilde-bg-white-10 tilde-px-3 tilde-py-1 tilde-rounded-full">Range: 0 to {maxValue}</span>
+          <span className="tilde-text-sm tilde-text-white-70 tilde-bg-white-10 tilde-px-3 tilde-py-1 tilde-rounded-full">
+            Range: {signed ? `−${maxValue} to ${maxValue}` : `0 to ${maxValue}`}
+          </span>
+        </div>
+        <div className="tilde-flex tilde-gap-2 tilde-mb-6">
+          {[
+            { value: false, label: 'Unsigned' },
+            { value: true, label: 'Signed (sign-magnitude)' }
+          ].map((mode) => (
+            <button
+              key={mode.label}
+              onClick={() => setSigned(mode.value)}
+              className={`tilde-button ${signed === mode.value ? 'primary' : 'secondary'}`}
+            >
+              {mode.label}
+            </button>
+          ))}
         </div>
         <input
           type="range"
@@ -275,7 +221,7 @@ const InteractiveCalculator = ({
               type="number"
               value={a}
               onChange={(e) => setA(parseInt(e.target.value || 0))}
-              min="0"
+              min={signed ? -maxValue : 0}
               max={maxValue}
               className="tilde-input w-24"
             />
@@ -284,44 +230,96 @@ const InteractiveCalculator = ({
           {/* Operation Selector */}
           <div className="tilde-flex tilde-flex-col tilde-items-center">
             <label className="tilde-mb-3 tilde-text-sm tilde-font-medium tilde-text-white-80">Operation:</label>
-            <div className="tilde-flex tilde-gap-2">
-              {[
-                { value: 'add', label: '+', name: 'Addition' },
-                { value: 'sub', label: '−', name: 'Subtraction' },
-                { value: 'mul', label: '×', name: 'Multiplication' },
-                { value: 'div', label: '÷', name: 'Division' }
-              ].map((op) => (
+            <div className="tilde-flex tilde-flex-wrap tilde-justify-center tilde-gap-2">
+              {Object.entries(OPERATION_INFO).map(([value, op]) => (
                 <button
-                  key={op.value}
-                  onClick={() => setOperation(op.value)}
-                  className={`tilde-button ${operation === op.value ? 'primary' : 'secondary'
+                  key={value}
+                  onClick={() => setOperation(value)}
+                  className={`tilde-button ${operation === value ? 'primary' : 'secondary'
                     }`}
-                  title={op.name}
+                  title={op.label}
                 >
-                  {op.label}
+                  {op.symbol}
                 </button>
               ))}
             </div>
           </div>
 
-          {/* Value B */}
-          <div className="tilde-flex tilde-flex-col tilde-items-center">
-            <label className="tilde-mb-3 tilde-text-sm tilde-font-medium tilde-text-white-80">B:</label>
-            <input
-              type="number"
-              value={b}
-              onChange={(e) => setB(parseInt(e.target.value || 0))}
-              min="0"
-              max={maxValue}
-              className="tilde-input w-24"
-            />
-          </div>
+          {/* Value B (the integer exponent k for power) */}
+          {info.arity === 2 && (
+            <div className="tilde-flex tilde-flex-col tilde-items-center">
+              <label className="tilde-mb-3 tilde-text-sm tilde-font-medium tilde-text-white-80">{info.exponent ? 'k:' : 'B:'}</label>
+              <input
+                type="number"
+                value={b}
+                onChange={(e) => setB(parseInt(e.target.value || 0))}
+                min={operandLimits('b', operation, { bitWidth, signed })[0]}
+                max={maxValue}
+                className="tilde-input w-24"
+              />
+            </div>
+          )}
         </div>
       </CleanCard>
 
       {/* Beta Slider */}
       <BetaSlider beta={beta} setBeta={setBeta} lutLength={lutLength} />
 
+      {/* LUT Rounding and Carry Range */}
+      <CleanCard className="tilde-p-8" variant="elevated">
+        <div className="tilde-flex tilde-justify-between tilde-items-center tilde-mb-6">
+          <label className="tilde-text-lg tilde-font-semibold tilde-text-white">LUT Rounding &amp; Carry Range</label>
+          <span className="tilde-text-sm tilde-text-white-70 tilde-bg-white-10 tilde-px-3 tilde-py-1 tilde-rounded-full">
+            R = {Number.isFinite(range) ? range : '∞'}
+          </span>
+        </div>
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-3 tilde-gap-6">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Rounding:</label>
+            <select
+              value={lutRounding}
+              onChange={(e) => setLutRounding(e.target.value)}
+              className="tilde-input tilde-w-full"
+            >
+              {Object.entries(LUT_ROUNDING).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Carry policy:</label>
+            <select
+              value={carryPolicy}
+              onChange={(e) => setCarryPolicy(e.target.value)}
+              className="tilde-input tilde-w-full"
+            >
+              {Object.entries(CARRY_POLICIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {carryPolicy === 'fixed' && (
+            <div>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">N:</label>
+              <input
+                type="number"
+                min="1"
+                max="4096"
+                value={carryN}
+                onChange={(e) => setCarryN(Math.min(4096, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                className="tilde-input tilde-w-full"
+              />
+            </div>
+          )}
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Add returns m + LUT[d] and sub returns m − LUT[d] only while d &lt; R; past the range both return m.
+          The range also sets how many LUT entries the hardware stores. Floor, nearest and ceil round one
+          shared table; error-minimizing rounds add and sub separately.
+          Compare the modes in the β Analysis tab.
+        </p>
+      </CleanCard>
+
       {/* Application Presets */}
       <CleanCard className="tilde-p-8" variant="elevated">
         <h3 className="tilde-mb-6 tilde-text-lg tilde-font-semibold tilde-text-white">Application Presets:</h3>
@@ -354,16 +352,28 @@ const InteractiveCalculator = ({
             </div>
             <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
               <span className="tilde-text-white-80">α<sub>add</sub> =</span>
-              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{Math.ceil(-Math.log(0.5 * (beta - 1)) / Math.log(beta))}</span>
+              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{alphaAdd(beta)}</span>
             </div>
             <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
               <span className="tilde-text-white-80">α<sub>carry</sub> =</span>
-              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{Math.floor(-Math.log(0.5 * (beta - 1)) / Math.log(beta))}</span>
+              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{alphaCarry(beta)}</span>
             </div>
             <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
               <span className="tilde-text-white-80">Δ% =</span>
               <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{errorPercentage.toFixed(4)}%</span>
             </div>
+            <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
+              <span className="tilde-text-white-80">|ε| =</span>
+              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{formatReal(measurement.absolute)}</span>
+            </div>
+            <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
+              <span className="tilde-text-white-80">ε<sub>rel</sub> =</span>
+              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{formatPercent(measurement.relative)}</span>
+            </div>
+            <div className="tilde-rounded-full tilde-bg-gradient-to-r tilde-from-white-15 tilde-to-white-8 tilde-border tilde-border-white-20 tilde-px-6 tilde-py-3 tilde-text-xl tilde-text-white tilde-backdrop-blur-sm">
+              <span className="tilde-text-white-80">ULP =</span>
+              <span className="tilde-ml-2 tilde-font-mono tilde-font-bold tilde-text-white">{formatReal(measurement.ulp)}</span>
+            </div>
           </div>
         </div>
 
@@ -376,16 +386,31 @@ const InteractiveCalculator = ({
             <div className="tilde-mb-6 tilde-text-5xl tilde-font-mono">
               <span className="tilde-font-bold tilde-text-408BCA">{operation}</span>
               <span className="tilde-text-white-80">(</span>
-              <span className="tilde-font-bold tilde-text-white">{a}</span>
-              <span className="tilde-text-white-80">, </span>
-              <span className="tilde-font-bold tilde-text-white">{b}</span>
+              <span className="tilde-font-bold tilde-text-white">{formatIndex(a)}</span>
+              {info.arity === 2 && (
+                <>
+                  <span className="tilde-text-white-80">, </span>
+                  <span className="tilde-font-bold tilde-text-white">{info.exponent ? b : formatIndex(b)}</span>
+                </>
+              )}
               <span className="tilde-text-white-80">)</span>
-              <span className="tilde-text-6xl tilde-font-bold tilde-text-DFA01E tilde-ml-4">{result}</span>
+              <span className="tilde-text-6xl tilde-font-bold tilde-text-DFA01E tilde-ml-4">{formatIndex(result)}</span>
+            </div>
+            <div className="tilde-text-lg tilde-font-mono tilde-text-white-80">
+              {operationText(operation, formatReal(measurement.values.a), info.exponent ? b : formatReal(measurement.values.b))}
+              {' ≈ '}
+              <span className="tilde-font-bold tilde-text-DFA01E">{formatReal(measurement.values.result)}</span>
+              <span className="tilde-ml-4 tilde-text-white-60">exact: {formatReal(measurement.values.exact)}</span>
+            </div>
+            <div className="tilde-mt-6">
+              <FlagBadges flags={measurement.flags} />
             </div>
           </div>
         </div>
       </CleanCard>
 
+      {datapath && <DatapathTrace trace={datapath} a={a} b={b} beta={beta} />}
+
       {/* Hardware Metrics */}
       <CleanCard className="tilde-p-8" variant="elevated">
         <h2 className="tilde-mb-6 tilde-text-2xl tilde-font-bold tilde-text-white">Hardware Metrics</h2>
@@ -413,16 +438,49 @@ const InteractiveCalculator = ({
             value={errorPercentage.toFixed(1)}
             unit="%"
             variant="default"
-            description={beta > EFFICIENCY_THRESHOLD ? "Simplified mode" : "Full LUT mode"}
+            description={isSimplifiedLut(beta) ? "Simplified mode" : "Full LUT mode"}
           />
         </div>
+
+        <h3 className="tilde-mt-8 tilde-mb-4 tilde-text-lg tilde-font-semibold tilde-text-white">Structural Netlist Model</h3>
+        <div className="tilde-grid tilde-grid-cols-2 md:tilde-grid-cols-4 tilde-gap-4">
+          <MetricCard
+            title="Netlist Gates"
+            value={netlist.total}
+            unit="after constant folding"
+            variant="primary"
+            description={`Formula: ${gateCount.total}`}
+          />
+          <MetricCard
+            title="NAND2 Equivalent"
+            value={netlist.nandEquivalent}
+            unit="transistors / 4"
+            variant="default"
+            description={`Formula: ${Math.round(gateCount.total * 1.8)} (× 1.8)`}
+          />
+          <MetricCard
+            title="Transistors"
+            value={netlist.transistors}
+            unit="static CMOS"
+            variant="secondary"
+            description={`Formula: ~${Math.round(gateCount.total * 1.8 * 4)}`}
+          />
+          <MetricCard
+            title="Logic Depth"
+            value={netlist.depth}
+            unit="gate levels"
+            variant="default"
+            description="Longest input-to-output path"
+          />
+        </div>
+        <NetlistBreakdown netlist={netlist} />
       </CleanCard>
     </div>
   );
 };
 
 // Beta Analysis with Charts - Clean color scheme
-const BetaAnalysisTab = ({ beta, lutLength, errorPercentage }) => {
+const BetaAnalysisTab = ({ beta, bitWidth, signed, lutLength, errorPercentage, aluOptions, lutOverride, setLutOverride, setBeta }) => {
   // Generate data for beta sequence chart
   const betaSequenceData = useMemo(() => {
     const indices = Array.from({ length: 11 }, (_, i) => i);
@@ -435,15 +493,15 @@ const BetaAnalysisTab = ({ beta, lutLength, errorPercentage }) => {
     }));
   }, []);
 
-  // Generate LUT data
-  const lutData = useMemo(() => {
-    const indices = Array.from({ length: 11 }, (_, i) => i);
-    return indices.map(d => ({
-      d,
-      'Add LUT': Math.floor(Math.pow(1.5, d + 1) - Math.pow(1.5, d)),
-      'Sub LUT': d > 0 ? Math.ceil(Math.pow(1.5, d) - Math.pow(1.5, d - 1)) : 0
-    }));
-  }, []);
+  // Effective add/sub LUT entries at the current β, overrides included;
+  // entries past the carry range are never read
+  const lutData = useMemo(() =>
+    inspectLut({ beta, ...aluOptions }).filter(row => row.inRange).map(row => ({
+      d: row.d,
+      'Add LUT': row.add.value,
+      'Sub LUT': row.sub.value
+    })), [beta, aluOptions]
+  );
 
   // Error percentage vs beta
   const errorData = useMemo(() => {
@@ -520,7 +578,7 @@ const BetaAnalysisTab = ({ beta, lutLength, errorPercentage }) => {
         </CleanCard>
 
         <CleanCard className="tilde-p-6" variant="elevated">
-          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Lookup Table Values</h3>
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Lookup Table Values (β = {beta.toFixed(3)})</h3>
           <ResponsiveContainer width="100%" height={300}>
             <BarChart data={lutData}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
@@ -535,6 +593,10 @@ const BetaAnalysisTab = ({ beta, lutLength, errorPercentage }) => {
         </CleanCard>
       </div>
 
+      <LutInspector beta={beta} aluOptions={aluOptions} override={lutOverride} setOverride={setLutOverride} setBeta={setBeta} />
+
+      <LutRoundingChart bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} />
+
       <CleanCard className="tilde-p-6" variant="elevated">
         <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Error Percentage vs. β</h3>
         <ResponsiveContainer width="100%" height={300}>
@@ -610,61 +672,24 @@ const BetaAnalysisTab = ({ beta, lutLength, errorPercentage }) => {
 };
 
 // Hardware Analysis Tab with clean styling
-const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
-  const [selectedTech, setSelectedTech] = useState('7nm');
+const HardwareTab = ({ beta, bitWidth, signed, aluOptions, lutLength, gateCount, techLibrary, formatCatalog, selectedTech, setSelectedTech }) => {
+  const { techNodes, customNodes } = techLibrary;
+  const { formats } = formatCatalog;
 
   const techData = techNodes[selectedTech];
 
-  const tildeMetrics = useMemo(() => {
-    const computeBlocks = 1000;
-    const nandGates = Math.round(gateCount.total * 1.8);
-    const transistors = nandGates * techData.transistorsPerNand;
-    const area = transistors * techData.areaPerTransistor;
+  const tildeMetrics = useMemo(() => blockMetrics(gateCount.total, techData), [gateCount, techData]);
 
-    const powerPerBlock = transistors * techData.powerPerTransistor * techData.frequency / 1000;
-    const totalPower = powerPerBlock * computeBlocks;
-    const performance = techData.frequency * computeBlocks;
+  // Operation datapaths only; the LUT, comparator, sign and flag logic and output mux are shared
+  const tildeOperationGates = {
+    shared: gateCount.shared + gateCount.lut + gateCount.sign + gateCount.flags + gateCount.control,
+    add: gateCount.add,
+    sub: gateCount.sub,
+    mul: gateCount.mul,
+    div: gateCount.div
+  };
 
-    return {
-      logicGates: gateCount.total,
-      nandGates,
-      transistors,
-      area,
-      power: totalPower,
-      performance,
-      computingDensity: performance / (area * computeBlocks),
-      energyEfficiency: performance / (totalPower / 1000),
-      computeBlocks
-    };
-  }, [gateCount, techData]);
-
-  const conventionalMetrics = useMemo(() => {
-    const computeBlocks = 1000;
-
-    return Object.entries(conventionalGates).map(([format, data]) => {
-      const nandGates = Math.round(data.logicGates * 1.8);
-      const transistors = nandGates * techData.transistorsPerNand;
-      const area = transistors * techData.areaPerTransistor;
-
-      const powerPerBlock = transistors * techData.powerPerTransistor * techData.frequency / 1000;
-      const totalPower = powerPerBlock * computeBlocks;
-      const performance = techData.frequency * computeBlocks;
-
-      return {
-        format,
-        description: data.description,
-        logicGates: data.logicGates,
-        nandGates,
-        transistors,
-        area,
-        power: totalPower,
-        performance,
-        computingDensity: performance / (area * computeBlocks),
-        energyEfficiency: performance / (totalPower / 1000),
-        computeBlocks
-      };
-    });
-  }, [techData]);
+  const conventionalMetrics = useMemo(() => formatMetrics(formats, techData), [formats, techData]);
 
   return (
     <div className="tilde-space-y-6">
@@ -685,6 +710,13 @@ const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
           multi-format ALUs (GPU style). Multi-format ALUs have ~2.7× overhead due to format multiplexing,
           shared units, and conversion logic needed to support multiple precisions.
         </p>
+        {signed && (
+          <p className="tilde-text-xs tilde-text-white-80 tilde-mt-4">
+            <strong>Signed Tilde ALU:</strong> Sign-magnitude operands add {gateCount.sign} gates of sign logic:
+            an XOR for mul/div, effective-operation select and operand swap so mixed-sign add/sub can take
+            the opposite LUT path, and the result sign select.
+          </p>
+        )}
       </CleanCard>
 
       {/* Technology Selection */}
@@ -699,31 +731,31 @@ const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
               className="tilde-input tilde-w-full"
             >
               {Object.keys(techNodes).map(node => (
-                <option key={node} value={node}>{node} process</option>
+                <option key={node} value={node}>{node} process{customNodes[node] ? ' (custom)' : ''}</option>
               ))}
             </select>
           </div>
           <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
-            <div className="tilde-flex tilde-justify-between">
-              <span>Frequency:</span>
-              <span className="tilde-font-mono">{techData.frequency} GHz</span>
-            </div>
-            <div className="tilde-flex tilde-justify-between">
-              <span>Supply Voltage:</span>
-              <span className="tilde-font-mono">{techData.voltage} V</span>
-            </div>
-            <div className="tilde-flex tilde-justify-between">
-              <span>Power/Transistor:</span>
-              <span className="tilde-font-mono">{techData.powerPerTransistor} fJ/op</span>
-            </div>
-            <div className="tilde-flex tilde-justify-between">
-              <span>Area/Transistor:</span>
-              <span className="tilde-font-mono">{techData.areaPerTransistor} µm²</span>
-            </div>
+            {Object.entries(TECH_PARAMETERS).map(([key, { label, unit }]) => (
+              <div key={key} className="tilde-flex tilde-justify-between">
+                <span>{label}:</span>
+                <span className="tilde-font-mono">{techData[key]}{unit && ` ${unit}`}</span>
+              </div>
+            ))}
           </div>
         </div>
       </CleanCard>
 
+      <TechLibraryEditor
+        techNodes={techNodes}
+        customNodes={customNodes}
+        selectedTech={selectedTech}
+        setSelectedTech={setSelectedTech}
+        saveNode={techLibrary.saveNode}
+        removeNode={techLibrary.removeNode}
+        importNodes={techLibrary.importNodes}
+      />
+
       {/* Tilde Performance Metrics */}
       <CleanCard className="tilde-p-6" variant="elevated">
         <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">
@@ -776,7 +808,7 @@ const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
             <tbody className="tilde-divide-y tilde-divide-white-10">
               <tr className="tilde-bg-white-10">
                 <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-semibold tilde-text-408BCA">
-                  Tilde ALU (β={beta.toFixed(1)})
+                  Tilde ALU (β={beta.toFixed(1)}{signed ? ', signed' : ''})
                 </td>
                 <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{tildeMetrics.logicGates}</td>
                 <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{tildeMetrics.area.toFixed(2)}</td>
@@ -788,7 +820,9 @@ const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
               {conventionalMetrics.map((metric) => (
                 <tr key={metric.format}>
                   <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">
-                    {metric.format.replace('_', ' ')}
+                    {metric.label}
+                    <br />
+                    <span className="tilde-text-white-60">{metric.description}</span>
                   </td>
                   <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{metric.logicGates}</td>
                   <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{metric.area.toFixed(2)}</td>
@@ -810,11 +844,104 @@ const HardwareTab = ({ beta, bitWidth, lutLength, gateCount }) => {
           </table>
         </div>
       </CleanCard>
+
+      {/* Per-Operation Breakdown */}
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Per-Operation Gate Estimates</h3>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Format</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Bits</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Shared</th>
+                {FORMAT_OPERATIONS.map(op => (
+                  <th key={op} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{op}</th>
+                ))}
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Source</th>
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              <tr className="tilde-bg-white-10">
+                <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-semibold tilde-text-408BCA">Tilde ALU</td>
+                <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{bitWidth}</td>
+                <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{tildeOperationGates.shared}</td>
+                {FORMAT_OPERATIONS.map(op => (
+                  <td key={op} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{tildeOperationGates[op]}</td>
+                ))}
+                <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-60">Formula estimate (see Calculator)</td>
+              </tr>
+              {conventionalMetrics.map((metric) => (
+                <tr key={metric.format}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">
+                    {metric.label}
+                    <br />
+                    <span className="tilde-text-white-60">{FORMAT_FAMILIES[metric.family]}</span>
+                  </td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{metric.bits}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{metric.gates.shared}</td>
+                  {FORMAT_OPERATIONS.map(op => (
+                    <td key={op} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{metric.gates[op]}</td>
+                  ))}
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-60">{metric.source}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Shared covers operand decode, special values, normalization/rounding and the opcode mux
+          (for Tilde: comparator, LUT, sign logic and output mux). Counts are 2-input-gate structural estimates.
+        </p>
+      </CleanCard>
+
+      {/* Extended Operations */}
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Extended Operation Gate Estimates</h3>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                {['Operation', 'Symbol', 'Gates', 'vs. Tilde ALU'].map(h => (
+                  <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {Object.entries(gateCount.extended).map(([op, gates]) => (
+                <tr key={op}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{OPERATION_INFO[op].label}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-mono tilde-text-408BCA">{OPERATION_INFO[op].symbol}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{gates}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">+{(gates / gateCount.total * 100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Each operation is priced as its own datapath next to the {gateCount.total}-gate four-operation ALU and is not
+          included in its total. Compare, min and max reuse the ALU comparator; log and exp are constant-comparator
+          and ROM conversions whose size follows β and the bit width.
+        </p>
+      </CleanCard>
+
+      <FormatCatalogEditor
+        formats={formats}
+        customFormats={formatCatalog.customFormats}
+        saveFormat={formatCatalog.saveFormat}
+        removeFormat={formatCatalog.removeFormat}
+        importFormats={formatCatalog.importFormats}
+      />
+
+      <RtlExportCard beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} />
+
+      <TestVectorCard beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} />
     </div>
   );
 };
 
-const VisualizationsTab = ({ beta, operation, a }) => {
+const VisualizationsTab = ({ beta, aluOptions, operation, a }) => {
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -838,18 +965,20 @@ const VisualizationsTab = ({ beta, operation, a }) => {
 
   const lutData = useMemo(() => {
     const labels = Array.from({ length: 16 }, (_, i) => i);
+    const config = { beta, ...aluOptions };
+    const range = carryRange(config);
     return {
       labels,
       datasets: [{
-        label: 'LUT Value',
-        data: labels.map(d => getLutValue(d, beta)),
+        label: 'LUT Value (d < R)',
+        data: labels.map(d => (d < range ? lutEntry('add', d, config) : null)),
         borderColor: '#DFA01E',
         backgroundColor: 'rgba(223, 160, 30, 0.2)',
         fill: true,
         stepped: true,
       }]
     };
-  }, [beta]);
+  }, [beta, aluOptions]);
 
   const errorChartData = useMemo(() => {
     const labels = Array.from({ length: 20 }, (_, i) => 1.1 + i * 0.2);
@@ -916,20 +1045,33 @@ end`;
       <CleanCard className="tilde-p-8" variant="glass">
         <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Core Formulas</h3>
         <div className="tilde-space-y-4 tilde-text-center tilde-text-white">
-          <KaTeX>{`\\text{add}(a, b) = \\begin{cases} m + \\text{LUT}[d] & \\text{if } d < \\text{carry\\_range} \\\\ m & \\text{otherwise} \\end{cases}`}</KaTeX>
-          <KaTeX>{`\\text{sub}(a, b) = \\begin{cases} m - \\text{LUT}[d] & \\text{if } d < \\text{carry\\_range} \\\\ m & \\text{otherwise} \\end{cases}`}</KaTeX>
-          <KaTeX>{`\\text{mul}(a, b) = a + b - 1`}</KaTeX>
-          <KaTeX>{`\\text{div}(a, b) = a - b + 1`}</KaTeX>
+          {CORE_FORMULAS.map(formula => (
+            <KaTeX key={formula}>{formula}</KaTeX>
+          ))}
           <p className="tilde-text-sm tilde-text-white-60">Where $d = |a-b|$ and $m = \\max(a,b)$. Special rules apply for zero and identity cases.</p>
         </div>
       </CleanCard>
 
+      <CleanCard className="tilde-p-8" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Extended Operations</h3>
+        <div className="tilde-space-y-4 tilde-text-center tilde-text-white">
+          {EXTENDED_FORMULAS.map(formula => (
+            <KaTeX key={formula}>{formula}</KaTeX>
+          ))}
+          <p className="tilde-text-sm tilde-text-white-60">
+            On index magnitudes; k is a plain integer. A zero operand gives zero for square, √ and positive powers,
+            unity for exp, and divide-by-zero for reciprocal, log and negative powers. √ and log of a negative operand
+            raise invalid, as does compare with a &lt; b in unsigned mode, which has no code for −1.
+          </p>
+        </div>
+      </CleanCard>
+
       <CleanCard className="tilde-p-8" variant="elevated">
         <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Key Parameters</h3>
         <div className="tilde-space-y-4 tilde-text-center tilde-text-white">
-          <KaTeX>{`\\alpha_{\\text{add}} = \\lceil -\\log_{\\beta}((\\beta-1)/2) \\rceil`}</KaTeX>
-          <KaTeX>{`\\alpha_{\\text{carry}} = \\lfloor -\\log_{\\beta}((\\beta-1)/2) \\rfloor`}</KaTeX>
-          <KaTeX>{`\\Delta\\% = 100(\\beta-1)/(\\beta+1)`}</KaTeX>
+          {PARAMETER_FORMULAS.map(formula => (
+            <KaTeX key={formula}>{formula}</KaTeX>
+          ))}
         </div>
       </CleanCard>
 
@@ -944,96 +1086,253 @@ end`;
 };
 
 // Main Component
+const navigationTabs = [
+  { id: 'calculator', label: 'Interactive Calculator' },
+  { id: 'expression', label: 'Expression Evaluator' },
+  { id: 'mac', label: 'Dot Product (MAC)' },
+  { id: 'mlp', label: 'MLP Benchmark' },
+  { id: 'convolution', label: 'Image Convolution' },
+  { id: 'audio', label: 'Audio / MIDI' },
+  { id: 'beta', label: 'β Analysis & Charts' },
+  { id: 'quantizer', label: 'Quantizer' },
+  { id: 'heatmap', label: 'Error Heatmap' },
+  { id: 'hardware', label: 'Hardware Competitive Analysis' },
+  { id: 'design', label: 'Design Space' },
+  { id: 'scenarios', label: 'Scenarios & Compare' },
+  { id: 'report', label: 'Report' },
+  { id: 'visualizations', label: 'Visualizations' },
+  { id: 'reference', label: 'Reference' }
+];
+
+const tabIds = navigationTabs.map(tab => tab.id);
+
+const routeDefaults = {
+  activeTab: 'calculator',
+  bitWidth: 4,
+  a: 5,
+  b: 3,
+  operation: 'add',
+  beta: 2.5,
+  signed: false,
+  selectedTech: DEFAULT_TECH_NODE,
+  carryPolicy: 'fixed',
+  carryN: CARRY_RANGE,
+  lutRounding: 'floor'
+};
+
 export default function TildeMathematica() {
-  const [activeTab, setActiveTab] = useState('calculator');
-  const [bitWidth, setBitWidth] = useState(4);
-  const [a, setA] = useState(5);
-  const [b, setB] = useState(3);
-  const [operation, setOperation] = useState('add');
-  const [beta, setBeta] = useState(2.5);
-
-  const maxValue = (1 << bitWidth) - 1;
-  const lutLength = calculateLutLength(beta);
-
-  const commonTerms = useMemo(() => ({
-    Za: a === 0,
-    Zb: b === 0,
-    Ua: a === 1,
-    Ub: b === 1,
-    E: a === b,
-    d: Math.abs(a - b),
-    m: Math.max(a, b)
-  }), [a, b]);
-
-  const result = useMemo(() => {
-    const { Za, Zb, Ua, Ub, E, d, m } = commonTerms;
-    let res = 0;
-
-    switch (operation) {
-      case 'add':
-        if (Za || Zb) res = m;
-        else if (d < 8) res = m + getLutValue(d, beta);
-        else res = m;
-        break;
-      case 'sub':
-        if (E) res = 0;
-        else if (Za || Zb) res = m;
-        else res = m - getLutValue(d, beta);
-        break;
-      case 'mul':
-        if (Za || Zb) res = 0;
-        else if (Ua || Ub) res = m;
-        else res = a + b - 1;
-        break;
-      case 'div':
-        if (Za) res = 0;
-        else if (Zb) res = maxValue;
-        else if (E) res = 1;
-        else res = a - b + 1;
-        break;
-      default: res = 0;
-    }
+  const [initialRoute] = useState(() => parseRoute(window.location, tabIds, routeDefaults));
+  const [activeTab, setActiveTab] = useState(initialRoute.activeTab);
+  const [bitWidth, setBitWidth] = useState(initialRoute.bitWidth);
+  const [a, setA] = useState(initialRoute.a);
+  const [b, setB] = useState(initialRoute.b);
+  const [operation, setOperation] = useState(initialRoute.operation);
+  const [beta, setBeta] = useState(initialRoute.beta);
+  const [signed, setSigned] = useState(initialRoute.signed);
+  const [selectedTech, setSelectedTech] = useState(initialRoute.selectedTech);
+  const [carryPolicy, setCarryPolicy] = useState(initialRoute.carryPolicy);
+  const [carryN, setCarryN] = useState(initialRoute.carryN);
+  const [lutRounding, setLutRounding] = useState(initialRoute.lutRounding);
+  // Hand-edited or imported LUT tables; only apply at the β they were made for
+  const [lutOverride, setLutOverride] = useState(null);
+  const techLibrary = useTechLibrary();
+  const formatCatalog = useFormatCatalog();
+  const scenarioLibrary = useScenarios();
+
+  const applyRoute = useCallback((route) => {
+    setActiveTab(route.activeTab);
+    setBitWidth(route.bitWidth);
+    setA(route.a);
+    setB(route.b);
+    setOperation(route.operation);
+    setBeta(route.beta);
+    setSigned(route.signed);
+    setSelectedTech(route.selectedTech);
+    setCarryPolicy(route.carryPolicy);
+    setCarryN(route.carryN);
+    setLutRounding(route.lutRounding);
+  }, []);
 
-    return Math.min(Math.max(0, res), maxValue);
-  }, [operation, commonTerms, beta, maxValue, a, b]);
+  // A shared link may name a custom node this browser doesn't have
+  const activeTech = techLibrary.techNodes[selectedTech] ? selectedTech : DEFAULT_TECH_NODE;
 
-  const gateCount = useMemo(() => {
-    const sharedGates = Math.round(bitWidth * 6 + 32);
-    const addGates = Math.round(bitWidth * 3 + 16);
-    const subGates = Math.round(bitWidth * 4 + 20);
-    const mulGates = Math.round(bitWidth * 2 + 12);
-    const divGates = Math.round(bitWidth * 2 + 12);
-    const decoderGates = 12;
-    const muxGates = Math.round(bitWidth * 6);
+  // Everything the URL carries; tab links reuse it with their own tab
+  const routeState = { activeTab, bitWidth, a, b, operation, beta, signed, selectedTech: activeTech, carryPolicy, carryN, lutRounding };
+  useAppRoute(routeState, applyRoute, tabIds, routeDefaults);
 
-    const baseGates = sharedGates + addGates + subGates + mulGates + divGates + decoderGates + muxGates;
-    const lutGates = beta >= EFFICIENCY_THRESHOLD ? Math.round(lutLength * 4) : Math.round(lutLength * 12);
-    const total = baseGates + lutGates;
+  const maxValue = maxIndex(bitWidth, signed);
 
-    return {
-      base: baseGates,
-      lut: lutGates,
-      total: total,
-      shared: sharedGates,
-      add: addGates,
-      sub: subGates,
-      mul: mulGates,
-      div: divGates,
-      control: decoderGates + muxGates
-    };
-  }, [bitWidth, lutLength, beta]);
+  // Keep the operands in range when the word shrinks, signed mode turns off
+  // or a negative power exponent is left behind by another operation
+  useEffect(() => {
+    const clampTo = ([min, max]) => (value) => Math.min(max, Math.max(min, value));
+    setA(clampTo(operandLimits('a', operation, { bitWidth, signed })));
+    setB(clampTo(operandLimits('b', operation, { bitWidth, signed })));
+  }, [operation, bitWidth, signed]);
+
+  // Datapath options beyond β, width and sign, spread into every ALU config
+  const aluOptions = useMemo(() => ({
+    lut: activeLut(lutOverride, beta),
+    lutRounding,
+    carryPolicy,
+    carryN
+  }), [lutOverride, beta, lutRounding, carryPolicy, carryN]);
+
+  const lutLength = activeLutLength({ beta, ...aluOptions });
+
+  // Only the four ALU operations have a modelled datapath
+  const datapath = useMemo(() =>
+    DATAPATH_BRANCHES[operation] ? traceOperation(operation, a, b, { beta, bitWidth, signed, ...aluOptions }) : null,
+  [operation, a, b, beta, bitWidth, signed, aluOptions]
+  );
+
+  const measurement = useMemo(() =>
+    measureOperation(operation, a, b, { beta, bitWidth, signed, ...aluOptions }), [operation, a, b, beta, bitWidth, signed, aluOptions]
+  );
+  const result = measurement.result;
+
+  const gateCount = useMemo(() =>
+    estimateGateCount({ beta, bitWidth, signed, ...aluOptions }), [beta, bitWidth, signed, aluOptions]
+  );
+
+  const netlist = useMemo(() =>
+    analyzeNetlist({ beta, bitWidth, signed, ...aluOptions }), [beta, bitWidth, signed, aluOptions]
+  );
 
   const errorPercentage = useMemo(() =>
     100 * (beta - 1) / (beta + 1), [beta]
   );
 
-  const navigationTabs = [
-    { id: 'calculator', label: 'Interactive Calculator' },
-    { id: 'beta', label: 'β Analysis & Charts' },
-    { id: 'hardware', label: 'Hardware Competitive Analysis' },
-    { id: 'visualizations', label: 'Visualizations' },
-    { id: 'reference', label: 'Reference' }
-  ];
+  const loadDesign = (point) => {
+    setBeta(point.beta);
+    setBitWidth(point.bitWidth);
+    setSelectedTech(point.tech);
+    setActiveTab('calculator');
+  };
+
+  // Each tab is its own route, /<tab id>; see useAppRoute
+  const routes = {
+    calculator: () => (
+      <div className="tilde-space-y-12 px-4">
+        <div className="tilde-mb-12">
+          <InteractiveCalculator
+            bitWidth={bitWidth}
+            setBitWidth={setBitWidth}
+            signed={signed}
+            setSigned={setSigned}
+            a={a}
+            setA={setA}
+            b={b}
+            setB={setB}
+            operation={operation}
+            setOperation={setOperation}
+            beta={beta}
+            setBeta={setBeta}
+            lutRounding={lutRounding}
+            setLutRounding={setLutRounding}
+            carryPolicy={carryPolicy}
+            setCarryPolicy={setCarryPolicy}
+            carryN={carryN}
+            setCarryN={setCarryN}
+            aluOptions={aluOptions}
+            result={result}
+            datapath={datapath}
+            gateCount={gateCount}
+            lutLength={lutLength}
+            errorPercentage={errorPercentage}
+            maxValue={maxValue}
+            measurement={measurement}
+            netlist={netlist}
+          />
+        </div>
+      </div>
+    ),
+    expression: () => (
+      <ExpressionTab beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} a={a} b={b} />
+    ),
+    mac: () => (
+      <DotProductTab
+        beta={beta}
+        bitWidth={bitWidth}
+        signed={signed}
+        aluOptions={aluOptions}
+        gateCount={gateCount}
+        techName={activeTech}
+        techData={techLibrary.techNodes[activeTech]}
+      />
+    ),
+    mlp: () => (
+      <MlpBenchmarkTab
+        beta={beta}
+        bitWidth={bitWidth}
+        signed={signed}
+        aluOptions={aluOptions}
+        formats={formatCatalog.formats}
+      />
+    ),
+    convolution: () => (
+      <ConvolutionTab beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} />
+    ),
+    audio: () => (
+      <AudioTab beta={beta} bitWidth={bitWidth} signed={signed} />
+    ),
+    beta: () => (
+      <BetaAnalysisTab
+        beta={beta}
+        bitWidth={bitWidth}
+        signed={signed}
+        lutLength={lutLength}
+        errorPercentage={errorPercentage}
+        aluOptions={aluOptions}
+        lutOverride={lutOverride}
+        setLutOverride={setLutOverride}
+        setBeta={setBeta}
+      />
+    ),
+    quantizer: () => (
+      <QuantizerTab beta={beta} bitWidth={bitWidth} signed={signed} setA={setA} setB={setB} />
+    ),
+    heatmap: () => (
+      <ErrorHeatmapTab beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} errorPercentage={errorPercentage} />
+    ),
+    hardware: () => (
+      <HardwareTab beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} lutLength={lutLength} gateCount={gateCount} techLibrary={techLibrary} formatCatalog={formatCatalog} selectedTech={activeTech} setSelectedTech={setSelectedTech} />
+    ),
+    design: () => (
+      <DesignSpaceTab beta={beta} bitWidth={bitWidth} signed={signed} aluOptions={aluOptions} techNodes={techLibrary.techNodes} selectedTech={activeTech} onLoad={loadDesign} />
+    ),
+    scenarios: () => (
+      <ScenariosTab
+        current={{ beta, bitWidth, signed, selectedTech: activeTech, a, b, operation, carryPolicy, carryN, lutRounding }}
+        techNodes={techLibrary.techNodes}
+        scenarios={scenarioLibrary.scenarios}
+        saveScenario={scenarioLibrary.saveScenario}
+        removeScenario={scenarioLibrary.removeScenario}
+        importScenarios={scenarioLibrary.importScenarios}
+        onLoad={(scenario) => applyRoute({ ...scenario, activeTab: 'calculator' })}
+      />
+    ),
+    report: () => (
+      <ReportTab
+        beta={beta}
+        bitWidth={bitWidth}
+        signed={signed}
+        a={a}
+        b={b}
+        operation={operation}
+        aluOptions={aluOptions}
+        techName={activeTech}
+        techData={techLibrary.techNodes[activeTech]}
+        formats={formatCatalog.formats}
+      />
+    ),
+    visualizations: () => (
+      <VisualizationsTab beta={beta} aluOptions={aluOptions} operation={operation} a={a} />
+    ),
+    reference: () => (
+      <ReferenceTab />
+    )
+  };
 
   return (
     <div className="tilde-container">
@@ -1067,6 +1366,7 @@ export default function TildeMathematica() {
               <TabButton
                 key={tab.id}
                 active={activeTab === tab.id}
+                href={buildRoute({ ...routeState, activeTab: tab.id })}
                 onClick={() => setActiveTab(tab.id)}
               >
                 {tab.label}
@@ -1102,13 +1402,13 @@ export default function TildeMathematica() {
               <p className="tilde-snapshot-label">β value</p>
               <p className="tilde-snapshot-value">{beta.toFixed(4)}</p>
               <p className="tilde-snapshot-description">
-                {beta >= EFFICIENCY_THRESHOLD ? 'Simplified mode' : 'Full LUT mode'}
+                {isSimplifiedLut(beta) ? 'Simplified mode' : 'Full LUT mode'}
               </p>
             </div>
             <div className="tilde-snapshot-item">
               <p className="tilde-snapshot-label">Bit width</p>
               <p className="tilde-snapshot-value">{bitWidth} bits</p>
-              <p className="tilde-snapshot-description">Range 0 – {maxValue}</p>
+              <p className="tilde-snapshot-description">{signed ? `Range ±${maxValue}, signed` : `Range 0 – ${maxValue}`}</p>
             </div>
             <div className="tilde-snapshot-item">
               <p className="tilde-snapshot-label">Gate count</p>
@@ -1127,46 +1427,7 @@ export default function TildeMathematica() {
         <main className="tilde-main-content">
           <div className="tilde-content-area">
             {/* Tab Content */}
-            {activeTab === 'calculator' && (
-              <div className="tilde-space-y-12 px-4">
-                <div className="tilde-mb-12">
-                  <InteractiveCalculator
-                    bitWidth={bitWidth}
-                    setBitWidth={setBitWidth}
-                    a={a}
-                    setA={setA}
-                    b={b}
-                    setB={setB}
-                    operation={operation}
-                    setOperation={setOperation}
-                    beta={beta}
-                    setBeta={setBeta}
-                    result={result}
-                    commonTerms={commonTerms}
-                    gateCount={gateCount}
-                    lutLength={lutLength}
-                    errorPercentage={errorPercentage}
-                    maxValue={maxValue}
-                  />
-                </div>
-              </div>
-            )}
-
-            {activeTab === 'beta' && (
-              <BetaAnalysisTab beta={beta} lutLength={lutLength} errorPercentage={errorPercentage} />
-            )}
-
-            {activeTab === 'hardware' && (
-              <HardwareTab beta={beta} bitWidth={bitWidth} lutLength={lutLength} gateCount={gateCount} />
-            )}
-
-            {activeTab === 'visualizations' && (
-              <VisualizationsTab beta={beta} operation={operation} a={a} />
-            )}
-
-            {activeTab === 'reference' && (
-              <ReferenceTab />
-            )}
+            {routes[activeTab]()}
           </div>
         </main>
 
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { CleanCard, MetricCard } from './ui';
+import { formatIndex } from './format';
+import { downloadBlob } from './download';
+import {
+  PHRASES,
+  PIANO_RANGE,
+  cents,
+  centsPerStep,
+  noteTable,
+  pitchSummary,
+  gainSummary,
+  renderPhrase,
+  encodeWav
+} from '../tilde/audio';
+
+// The Application Presets entry this tab checks
+const MIDI_PRESET = { beta: 1.4, bitWidth: 6 };
+
+const formatSigned = (x, digits = 1) => (Number.isFinite(x) ? `${x > 0 ? '+' : ''}${x.toFixed(digits)}` : '—');
+
+const formatDb = (db) => (Number.isFinite(db) ? db.toFixed(2) : '∞');
+
+const gainDb = (quantized, gain) => (quantized > 0 ? 20 * Math.log10(quantized / gain) : -Infinity);
+
+const wavBlob = (samples) => new Blob([encodeWav(samples)], { type: 'audio/wav' });
+
+// Object URL for a rendered signal, revoked when the signal changes
+const useWavUrl = (samples) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(wavBlob(samples));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [samples]);
+
+  return url;
+};
+
+const AudioTab = ({ beta, bitWidth, signed }) => {
+  const [phraseId, setPhraseId] = useState('ode');
+
+  const config = useMemo(() => ({ beta, bitWidth, signed }), [beta, bitWidth, signed]);
+  const notes = useMemo(() => noteTable(config), [config]);
+  const pitch = useMemo(() => pitchSummary(notes), [notes]);
+  const gain = useMemo(() => gainSummary(config), [config]);
+  const rendered = useMemo(() => renderPhrase(phraseId, config), [phraseId, config]);
+  const referenceUrl = useWavUrl(rendered.reference);
+  const tildeUrl = useWavUrl(rendered.tilde);
+
+  const step = centsPerStep(beta);
+  const [lo, hi] = PIANO_RANGE;
+  const chartData = notes.map(entry => ({
+    note: entry.note,
+    name: entry.name,
+    cents: Number.isFinite(entry.cents) ? entry.cents : null
+  }));
+  const fileStem = `tilde_${phraseId}_b${beta.toFixed(3).replace('.', 'p')}_${bitWidth}bit`;
+  const isPreset = beta === MIDI_PRESET.beta && bitWidth === MIDI_PRESET.bitWidth;
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Audio and MIDI</h2>
+        <p className="tilde-text-white-80">
+          Note frequencies and velocities stored at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''}
+        </p>
+      </div>
+
+      <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4">
+        <MetricCard title="Grid Step" value={step.toFixed(1)} unit="cents = 1200·log₂β" variant="primary" />
+        <MetricCard
+          title="Max Pitch Error"
+          value={`±${pitch.maxCents.toFixed(1)}`}
+          unit={`cents over piano keys, mean ±${pitch.meanCents.toFixed(1)}`}
+          variant="secondary"
+        />
+        <MetricCard
+          title="Distinct Piano Keys"
+          value={`${pitch.distinct} / ${pitch.keys}`}
+          unit="keys with a code of their own"
+          description={pitch.saturated ? `${pitch.saturated} keys outside the range` : undefined}
+        />
+        <MetricCard
+          title="Max Gain Error"
+          value={formatDb(gain.maxDb)}
+          unit="dB over velocities 1–127"
+          description={gain.silent ? `${gain.silent} velocities round to silence` : undefined}
+        />
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <p className="tilde-text-sm tilde-text-white-80">
+          A trained ear hears pitch differences of about 5 cents, and a semitone is 100 cents. Pitch errors reach half a
+          grid step, so musical pitch needs β close to 2^(1/120) ≈ 1.006; semitone resolution alone needs
+          β ≤ 2^(1/12) ≈ 1.059. The MIDI Music preset (β = {MIDI_PRESET.beta}, {MIDI_PRESET.bitWidth} bits) steps
+          by {centsPerStep(MIDI_PRESET.beta).toFixed(0)} cents{isPreset ? ', the configuration shown here' : ''}.
+        </p>
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Pitch Error per MIDI Note</h3>
+        <div className="tilde-h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis dataKey="note" stroke="rgba(255,255,255,0.6)" />
+              <YAxis stroke="rgba(255,255,255,0.6)" unit="¢" />
+              <Tooltip
+                formatter={(value) => [`${formatSigned(value)} cents`, 'Pitch error']}
+                labelFormatter={(note) => `MIDI ${note} (${chartData[note].name})`}
+              />
+              <Line type="stepAfter" dataKey="cents" stroke="#408BCA" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="tilde-overflow-x-auto tilde-code-preview tilde-mt-4">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                {['MIDI', 'Note', 'Frequency (Hz)', 'Index', 'Tilde (Hz)', 'Error (cents)'].map(h => (
+                  <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {notes.map(entry => (
+                <tr key={entry.note} className={entry.note >= lo && entry.note <= hi ? '' : 'tilde-lut-unused'}>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{entry.note}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white">{entry.name}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{entry.frequency.toFixed(2)}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-408BCA tilde-font-mono">{formatIndex(entry.index)}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{entry.quantized.toFixed(2)}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-DFA01E tilde-font-mono">
+                    {formatSigned(entry.cents)}
+                    {entry.merged && ' (same code as the note above)'}
+                    {entry.saturated && ' (saturated)'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Frequencies are encoded directly, to the nearest code. Faded rows lie outside the piano range ({notes[lo].name}–{notes[hi].name}).
+        </p>
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Listen and Compare</h3>
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-3 tilde-gap-6 tilde-mb-6">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Phrase:</label>
+            <select value={phraseId} onChange={(e) => setPhraseId(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(PHRASES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="tilde-text-xs tilde-text-white-60 tilde-mt-2">{rendered.duration.toFixed(1)} s, rendered offline in JavaScript</p>
+          </div>
+          {[
+            ['Float', referenceUrl, rendered.reference, 'float'],
+            ['Tilde', tildeUrl, rendered.tilde, 'tilde']
+          ].map(([title, url, samples, suffix]) => (
+            <div key={suffix}>
+              <h4 className="tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">{title}</h4>
+              <audio controls src={url || undefined} className="tilde-w-full" />
+              <button
+                onClick={() => downloadBlob(`${fileStem}_${suffix}.wav`, wavBlob(samples))}
+                className="tilde-button secondary tilde-mt-2"
+              >
+                Download WAV
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                {['Note', 'Velocity', 'Float (Hz)', 'Tilde (Hz)', 'Pitch (cents)', 'Gain (dB)'].map(h => (
+                  <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {rendered.notes.map((n, i) => (
+                <tr key={i}>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white">{n.name}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{n.velocity}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{n.frequency.toFixed(2)}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-408BCA tilde-font-mono">{n.quantized.toFixed(2)}</td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-DFA01E tilde-font-mono">
+                    {formatSigned(n.quantized > 0 ? cents(n.quantized, n.frequency) : -Infinity)}
+                  </td>
+                  <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">
+                    {formatSigned(gainDb(n.quantizedGain, n.gain), 2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Both versions use the same two-partial tone and envelope and share one normalization; only the stored
+          frequencies and velocity gains differ. Gains are squared velocities, stored with full scale at the largest code.
+        </p>
+      </CleanCard>
+    </div>
+  );
+};
+
+export default AudioTab;
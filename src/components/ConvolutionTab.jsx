@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CleanCard, MetricCard } from './ui';
+import { formatPercent } from './format';
+import { FLAGS } from '../tilde/engine';
+import {
+  KERNELS,
+  SAMPLE_IMAGES,
+  IMAGE_MAX_SIZE,
+  imageFromRgba,
+  runConvolution,
+  toBytes,
+  psnr,
+  ssim,
+  meanAbsoluteError
+} from '../tilde/convolution';
+
+// Differences are amplified so small errors stay visible
+const DIFFERENCE_GAIN = 4;
+
+const GrayImage = ({ width, height, bytes }) => {
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    bytes.forEach((v, i) => {
+      image.data[4 * i] = v;
+      image.data[4 * i + 1] = v;
+      image.data[4 * i + 2] = v;
+      image.data[4 * i + 3] = 255;
+    });
+    ctx.putImageData(image, 0, 0);
+  }, [width, height, bytes]);
+
+  return <canvas ref={canvasRef} width={width} height={height} className="tilde-image-canvas" />;
+};
+
+// Decode a local image file, fit it into IMAGE_MAX_SIZE and convert to grayscale
+const loadImageFile = (file) => createImageBitmap(file).then((bitmap) => {
+  const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return imageFromRgba(ctx.getImageData(0, 0, width, height).data, width, height);
+});
+
+const formatDb = (db) => (Number.isFinite(db) ? db.toFixed(2) : '∞');
+
+const ConvolutionTab = ({ beta, bitWidth, signed, aluOptions }) => {
+  const [source, setSource] = useState('shapes');
+  const [kernelId, setKernelId] = useState('gaussian');
+  const [loaded, setLoaded] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const image = useMemo(
+    () => (source === 'loaded' && loaded ? loaded.image : SAMPLE_IMAGES[source].generate()),
+    [source, loaded]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRunning(true);
+
+    runConvolution(image, kernelId, { beta, bitWidth, signed, ...aluOptions }, {
+      signal: controller.signal,
+      onProgress: setSummary
+    })
+      .then(() => setRunning(false))
+      .catch((e) => {
+        if (e.name === 'AbortError') return;
+        console.error('Convolution failed:', e);
+        setRunning(false);
+      });
+
+    return () => controller.abort();
+  }, [image, kernelId, beta, bitWidth, signed, aluOptions]);
+
+  const { width, height } = image;
+  const inputBytes = useMemo(() => toBytes(image.pixels), [image]);
+  // Until the new run's first slice the summary still describes the previous image
+  const current = summary && summary.width === width && summary.height === height ? summary : null;
+  const done = current && current.rows === height;
+
+  const outputs = useMemo(() => {
+    if (!current) return null;
+    const reference = toBytes(current.reference);
+    const tilde = toBytes(current.tilde);
+    const difference = Uint8ClampedArray.from(reference, (r, i) => DIFFERENCE_GAIN * Math.abs(r - tilde[i]));
+    return { reference, tilde, difference };
+  }, [current]);
+
+  const quality = useMemo(() => {
+    if (!done) return null;
+    return {
+      psnr: psnr(outputs.reference, outputs.tilde),
+      ssim: ssim(outputs.reference, outputs.tilde, width, height),
+      meanError: meanAbsoluteError(outputs.reference, outputs.tilde)
+    };
+  }, [done, outputs, width, height]);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setLoadError(null);
+    loadImageFile(file)
+      .then((loadedImage) => {
+        setLoaded({ name: file.name, image: loadedImage });
+        setSource('loaded');
+      })
+      .catch(() => setLoadError(`${file.name} could not be decoded as an image`));
+  };
+
+  const pixelCount = width * height;
+  const flagged = current
+    ? Object.entries(current.flagCounts).filter(([flag, n]) => flag !== 'inexact' && n > 0)
+    : [];
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Image Convolution</h2>
+        <p className="tilde-text-white-80">
+          A 3×3 kernel in tilde arithmetic at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''}, against
+          a float reference
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-3 tilde-gap-6">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Image:</label>
+            <select value={source} onChange={(e) => setSource(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(SAMPLE_IMAGES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+              {loaded && <option value="loaded">{loaded.name}</option>}
+            </select>
+            <input type="file" accept="image/*" onChange={handleFile} className="tilde-text-sm tilde-text-white-80 tilde-mt-2" />
+            {loadError && <p className="tilde-text-xs tilde-mt-2 tilde-text-DFA01E">{loadError}</p>}
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Kernel:</label>
+            <select value={kernelId} onChange={(e) => setKernelId(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(KERNELS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="tilde-font-mono tilde-text-xs tilde-text-white-60 tilde-mt-2">
+              {KERNELS[kernelId].taps.map(row => row.map(w => (Number.isInteger(w) ? w : w.toFixed(3))).join('  ')).join(' | ')}
+            </div>
+          </div>
+          <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
+            <div className="tilde-flex tilde-justify-between">
+              <span>Pixels:</span>
+              <span className="tilde-font-mono">{width} × {height}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Status:</span>
+              <span className="tilde-font-mono">{running ? `${(((current?.rows || 0) / height) * 100).toFixed(1)}%` : 'Complete'}</span>
+            </div>
+            <div className="tilde-progress">
+              <div className="tilde-progress-bar" style={{ width: `${((current?.rows || 0) / height) * 100}%` }} />
+            </div>
+          </div>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Images are converted to grayscale and fitted into {IMAGE_MAX_SIZE} × {IMAGE_MAX_SIZE} pixels.
+          {!signed && ' Unsigned words cannot hold negative taps, so positive and negative taps are accumulated separately and subtracted.'}
+        </p>
+      </CleanCard>
+
+      {outputs && (
+        <CleanCard className="tilde-p-6" variant="glass">
+          <div className="tilde-grid tilde-grid-cols-2 md:tilde-grid-cols-4 tilde-gap-4">
+            {[
+              ['Input', inputBytes],
+              ['Float reference', outputs.reference],
+              ['Tilde', outputs.tilde],
+              [`|Difference| × ${DIFFERENCE_GAIN}`, outputs.difference]
+            ].map(([title, bytes]) => (
+              <div key={title}>
+                <h4 className="tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">{title}</h4>
+                <GrayImage width={width} height={height} bytes={bytes} />
+              </div>
+            ))}
+          </div>
+        </CleanCard>
+      )}
+
+      {quality && (
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4">
+          <MetricCard title="PSNR" value={formatDb(quality.psnr)} unit="dB, 8-bit output" variant="primary" />
+          <MetricCard title="SSIM" value={quality.ssim.toFixed(4)} unit="1 = identical" variant="secondary" />
+          <MetricCard title="Mean Error" value={formatPercent(quality.meanError)} unit="of full scale" />
+          <MetricCard
+            title="Flagged Pixels"
+            value={flagged.length ? flagged.map(([flag, n]) => `${FLAGS[flag]}: ${n}`).join(', ') : 'none'}
+            unit={`of ${pixelCount.toLocaleString('en-US')}, beyond inexact`}
+          />
+        </div>
+      )}
+
+      {current && (
+        <CleanCard className="tilde-p-6" variant="elevated">
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">How the Tilde Output Is Computed</h3>
+          <p className="tilde-text-sm tilde-text-white-80">
+            Pixels in [0, 1] are stored as tilde indices scaled by β^{current.scales.inputExponent} and kernel taps so
+            their largest product leaves room for the kernel&apos;s gain; outputs decode at β^{current.scales.outputExponent}.
+            Each pixel is a sequential multiply-accumulate over the nine taps with the current LUT rounding and carry
+            range. {KERNELS[kernelId].magnitude
+              ? `Edge outputs are shown as |v| / ${KERNELS[kernelId].range}.`
+              : 'Outputs are clamped to [0, 1].'} PSNR and SSIM (11 × 11 Gaussian window, σ = 1.5) compare the 8-bit
+            tilde output with the 8-bit float reference.
+          </p>
+        </CleanCard>
+      )}
+    </div>
+  );
+};
+
+export default ConvolutionTab;
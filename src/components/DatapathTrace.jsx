@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { CleanCard } from './ui';
+import { formatIndex, formatReal } from './format';
+import { DATAPATH_STAGES } from '../tilde/datapath';
+import { indexToValue } from '../tilde/values';
+
+const STEP_MS = 800;
+
+const TERM_KEYS = ['Za', 'Zb', 'Ua', 'Ub', 'E', 'd', 'm'];
+
+const termValue = (value) => (typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+
+const stageBody = (id, trace, beta) => {
+  const { sign, terms, branches, selected, lut } = trace;
+  switch (id) {
+    case 'sign':
+      return (
+        <>
+          <div>a: s={sign.negA ? 1 : 0} |a|={sign.magA}</div>
+          <div>b{trace.operation === 'sub' ? '′' : ''}: s={sign.negB ? 1 : 0} |b|={sign.magB}</div>
+          <div className="tilde-text-white-60">{sign.rule}</div>
+          <div>→ {sign.path} datapath</div>
+        </>
+      );
+    case 'terms':
+      return (
+        <div className="tilde-datapath-terms">
+          {TERM_KEYS.map(key => (
+            <span key={key} className={terms[key] === true ? 'tilde-text-DFA01E tilde-font-bold' : ''}>
+              {key}={termValue(terms[key])}
+            </span>
+          ))}
+        </div>
+      );
+    case 'branch':
+      return (
+        <>
+          {branches.map((branch, i) => (
+            <div key={branch.condition} className={i === selected ? 'tilde-text-DFA01E tilde-font-bold' : i > selected ? 'tilde-text-white-60' : ''}>
+              {i === selected ? '▶ ' : i < selected ? '✗ ' : '· '}{branch.condition}
+            </div>
+          ))}
+          {branches.some(branch => branch.lut) && (
+            <div className="tilde-text-white-60">R = {Number.isFinite(trace.carryRange) ? trace.carryRange : '∞'}</div>
+          )}
+        </>
+      );
+    case 'lut':
+      return lut
+        ? <div>LUT[{lut.address}] = <span className="tilde-text-DFA01E tilde-font-bold">{lut.value}</span></div>
+        : <div className="tilde-text-white-60">not read: the selected branch bypasses the LUT</div>;
+    case 'mux':
+      return branches.map((branch, i) => (
+        <div key={branch.condition} className={i === selected ? 'tilde-text-DFA01E tilde-font-bold' : 'tilde-text-white-60'}>
+          {i === selected ? `▶ ${branch.expression} = ${trace.raw}` : `  ${branch.expression}`}
+        </div>
+      ));
+    case 'clamp':
+      return (
+        <>
+          <div>{trace.raw} → {trace.magnitude}</div>
+          <div className="tilde-text-white-60">range 0 … {trace.max}{trace.clamped ? ', saturated' : ''}</div>
+        </>
+      );
+    default:
+      return (
+        <>
+          <div className="tilde-text-DFA01E tilde-font-bold">{formatIndex(trace.result)}</div>
+          <div className="tilde-text-white-60">= {formatReal(indexToValue(trace.result, beta))}</div>
+        </>
+      );
+  }
+};
+
+// Stage-by-stage view of the ALU for the calculator's current operation
+const DatapathTrace = ({ trace, a, b, beta }) => {
+  const stages = DATAPATH_STAGES.filter(stage => !stage.signedOnly || trace.sign);
+  const last = stages.length - 1;
+  // null shows every stage; otherwise stages after `stage` are still pending
+  const [stage, setStage] = useState(null);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setTimeout(() => {
+      if (stage >= last) {
+        setPlaying(false);
+        setStage(null);
+      } else {
+        setStage(s => s + 1);
+      }
+    }, STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, stage, last]);
+
+  const play = () => {
+    setStage(0);
+    setPlaying(true);
+  };
+
+  const step = () => {
+    setPlaying(false);
+    setStage(s => (s === null || s >= last ? 0 : s + 1));
+  };
+
+  const stageClass = (i) => {
+    if (stage === null) return '';
+    if (i === stage) return 'active';
+    return i > stage ? 'pending' : '';
+  };
+
+  return (
+    <CleanCard className="tilde-p-8" variant="elevated">
+      <div className="tilde-flex tilde-flex-wrap tilde-justify-between tilde-items-center tilde-gap-2 tilde-mb-6">
+        <h2 className="tilde-text-2xl tilde-font-bold tilde-text-white">
+          Datapath Trace: <span className="tilde-font-mono">{trace.operation}({formatIndex(a)}, {formatIndex(b)})</span>
+        </h2>
+        <div className="tilde-flex tilde-gap-2">
+          <button onClick={play} disabled={playing} className="tilde-button primary">Play</button>
+          <button onClick={step} className="tilde-button secondary">Step</button>
+          <button onClick={() => { setPlaying(false); setStage(null); }} className="tilde-button secondary">Show All</button>
+        </div>
+      </div>
+      <div className="tilde-datapath">
+        {stages.map((s, i) => (
+          <React.Fragment key={s.id}>
+            {i > 0 && <span className="tilde-datapath-arrow">→</span>}
+            <div className={`tilde-datapath-stage ${stageClass(i)}`}>
+              <h4 className="tilde-text-xs tilde-font-semibold tilde-text-408BCA tilde-mb-2">{s.label}</h4>
+              <div className="tilde-text-xs tilde-font-mono tilde-text-white-80 tilde-space-y-1">
+                {stageBody(s.id, trace, beta)}
+              </div>
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </CleanCard>
+  );
+};
+
+export default DatapathTrace;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Scatter } from 'react-chartjs-2';
+import { CleanCard } from './ui';
+import { formatReal } from './format';
+import { CARRY_POLICIES, LUT_ROUNDING } from '../tilde/engine';
+import {
+  DESIGN_OBJECTIVES, DESIGN_BIT_WIDTHS, DEFAULT_BETA_SAMPLES, betaSamples, designKey,
+  enumerateDesignSpace, runDesignMeasurement, paretoFrontier
+} from '../tilde/designSpace';
+
+const palette = ['#408BCA', '#DFA01E', '#5E84A2', '#E04E1B', '#8FC1E3', '#B07CC6', '#6CC38A', '#C9C9C9'];
+
+const axisTitle = (key) => {
+  const { label, unit } = DESIGN_OBJECTIVES[key];
+  return unit ? `${label} (${unit})` : label;
+};
+
+const ObjectiveSelect = ({ label, value, onChange, measured }) => (
+  <div>
+    <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">{label}:</label>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="tilde-input tilde-w-full">
+      {Object.entries(DESIGN_OBJECTIVES).map(([key, objective]) => (
+        <option key={key} value={key} disabled={objective.measured && !measured}>{objective.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const DesignSpaceTab = ({ beta, bitWidth, signed, aluOptions, techNodes, selectedTech, onLoad }) => {
+  const [xKey, setXKey] = useState('gates');
+  const [yKey, setYKey] = useState('error');
+  const [techFilter, setTechFilter] = useState('all');
+  const [widthFilter, setWidthFilter] = useState('all');
+  const [betaCount, setBetaCount] = useState(DEFAULT_BETA_SAMPLES);
+  const [measured, setMeasured] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  // LUT overrides only fit the β they were made for, so every point uses the
+  // formula tables with the current rounding and carry range
+  const { lutRounding, carryPolicy, carryN } = aluOptions;
+  const designOptions = useMemo(() => ({ lutRounding, carryPolicy, carryN }), [lutRounding, carryPolicy, carryN]);
+
+  const basePoints = useMemo(() =>
+    enumerateDesignSpace({ betas: betaSamples(betaCount), signed, aluOptions: designOptions, techNodes }),
+  [betaCount, signed, designOptions, techNodes]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setMeasured(null);
+    setProgress(0);
+
+    runDesignMeasurement(basePoints, designOptions, {}, { signal: controller.signal, onProgress: setProgress })
+      .then(setMeasured)
+      .catch((e) => {
+        if (e.name !== 'AbortError') console.error('Design space measurement failed:', e);
+      });
+
+    return () => controller.abort();
+  }, [basePoints, designOptions]);
+
+  // Fall back to the closed-form objectives while measurement is running
+  const x = DESIGN_OBJECTIVES[xKey].measured && !measured ? 'error' : xKey;
+  const y = DESIGN_OBJECTIVES[yKey].measured && !measured ? 'error' : yKey;
+
+  const points = useMemo(() =>
+    basePoints
+      .filter(p => techFilter === 'all' || p.tech === techFilter)
+      .filter(p => widthFilter === 'all' || p.bitWidth === Number(widthFilter))
+      .map(p => (measured ? { ...p, ...measured.get(designKey(p)) } : p)),
+  [basePoints, techFilter, widthFilter, measured]);
+
+  const frontier = useMemo(() => paretoFrontier(points, x, y).map(i => points[i]), [points, x, y]);
+
+  const datasets = useMemo(() => {
+    const techs = Object.keys(techNodes).filter(tech => techFilter === 'all' || tech === techFilter);
+    const series = techs.map((tech, i) => ({
+      label: tech,
+      source: points.filter(p => p.tech === tech),
+      backgroundColor: `${palette[i % palette.length]}99`,
+      borderColor: palette[i % palette.length],
+      pointRadius: 2.5
+    }));
+    const current = points.filter(p =>
+      Math.abs(p.beta - beta) < 1e-9 && p.bitWidth === bitWidth && p.tech === selectedTech
+    );
+    return [
+      {
+        label: 'Pareto frontier',
+        source: frontier,
+        showLine: true,
+        borderColor: '#FFFFFF',
+        backgroundColor: '#FFFFFF',
+        pointRadius: 4
+      },
+      ...(current.length ? [{
+        label: 'Current',
+        source: current,
+        borderColor: '#E04E1B',
+        backgroundColor: '#E04E1B',
+        pointRadius: 7,
+        pointStyle: 'rectRot'
+      }] : []),
+      ...series
+    ].map(set => ({ ...set, data: set.source.map(p => ({ x: p[x], y: p[y] })) }));
+  }, [points, frontier, techNodes, techFilter, beta, bitWidth, selectedTech, x, y]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    onClick: (event, elements) => {
+      if (!elements.length) return;
+      const { datasetIndex, index } = elements[0];
+      onLoad(datasets[datasetIndex].source[index]);
+    },
+    plugins: {
+      legend: { labels: { color: '#FFFFFF', font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          label: (context) => {
+            const p = datasets[context.datasetIndex].source[context.dataIndex];
+            return `β=${p.beta.toFixed(4)}, ${p.bitWidth} bits, ${p.tech}: ${formatReal(p[x])}, ${formatReal(p[y])}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: DESIGN_OBJECTIVES[x].log ? 'logarithmic' : 'linear',
+        title: { display: true, text: axisTitle(x), color: '#FFFFFF' },
+        ticks: { color: '#FFFFFF' },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+      },
+      y: {
+        type: DESIGN_OBJECTIVES[y].log ? 'logarithmic' : 'linear',
+        title: { display: true, text: axisTitle(y), color: '#FFFFFF' },
+        ticks: { color: '#FFFFFF' },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+      }
+    }
+  };
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Design Space</h2>
+        <p className="tilde-text-white-80">
+          {betaCount} β values × bit widths {DESIGN_BIT_WIDTHS[0]}–{DESIGN_BIT_WIDTHS[DESIGN_BIT_WIDTHS.length - 1]} ×{' '}
+          {Object.keys(techNodes).length} process nodes{signed ? ' (signed)' : ''}. Click a point to load it.
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-3 tilde-gap-4">
+          <ObjectiveSelect label="X axis" value={xKey} onChange={setXKey} measured={Boolean(measured)} />
+          <ObjectiveSelect label="Y axis" value={yKey} onChange={setYKey} measured={Boolean(measured)} />
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">β samples:</label>
+            <input
+              type="number"
+              min="2"
+              max="100"
+              value={betaCount}
+              onChange={(e) => setBetaCount(Math.min(100, Math.max(2, parseInt(e.target.value || 2))))}
+              className="tilde-input tilde-w-full"
+            />
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Process node:</label>
+            <select value={techFilter} onChange={(e) => setTechFilter(e.target.value)} className="tilde-input tilde-w-full">
+              <option value="all">All nodes</option>
+              {Object.keys(techNodes).map(tech => (
+                <option key={tech} value={tech}>{tech}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Bit width:</label>
+            <select value={widthFilter} onChange={(e) => setWidthFilter(e.target.value)} className="tilde-input tilde-w-full">
+              <option value="all">All widths</option>
+              {DESIGN_BIT_WIDTHS.map(w => (
+                <option key={w} value={w}>{w} bits</option>
+              ))}
+            </select>
+          </div>
+          <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
+            <div className="tilde-flex tilde-justify-between">
+              <span>Measured error:</span>
+              <span className="tilde-font-mono">{measured ? 'Complete' : `${(progress * 100).toFixed(1)}%`}</span>
+            </div>
+            <div className="tilde-progress">
+              <div className="tilde-progress-bar" style={{ width: `${progress * 100}%` }} />
+            </div>
+          </div>
+        </div>
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <div className="tilde-h-80">
+          <Scatter data={{ datasets }} options={chartOptions} />
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Gates, area and efficiency use the Hardware tab's closed-form estimates. Measured errors are sampled over
+          add/sub/mul/div (1024 random pairs per operation, exhaustive when smaller) and exclude division by zero.
+          Every point uses the current LUT rounding ({LUT_ROUNDING[lutRounding]}) and carry range
+          ({CARRY_POLICIES[carryPolicy]}{carryPolicy === 'fixed' ? `, N = ${carryN}` : ''}); LUT overrides are not applied.
+        </p>
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Pareto Frontier ({frontier.length} points)</h3>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">β</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Bits</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Node</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{axisTitle(x)}</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{axisTitle(y)}</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white"></th>
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {frontier.map((p) => (
+                <tr key={`${designKey(p)}:${p.tech}`}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{p.beta.toFixed(4)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{p.bitWidth}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{p.tech}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatReal(p[x])}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatReal(p[y])}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs">
+                    <button onClick={() => onLoad(p)} className="tilde-button secondary">Load</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CleanCard>
+    </div>
+  );
+};
+
+export default DesignSpaceTab;
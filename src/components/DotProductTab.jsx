@@ -0,0 +1,264 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { CleanCard, MetricCard } from './ui';
+import { formatReal, formatPercent, formatIndex } from './format';
+import FlagBadges from './FlagBadges';
+import { FLAGS, raisedFlags } from '../tilde/engine';
+import {
+  ACCUMULATION_ORDERS, ACCUMULATOR_GUARD_BITS, VECTOR_INPUTS, dotProduct, dotProductErrorCurve, parseVector, randomVectorText
+} from '../tilde/mac';
+import { blockMetrics, estimateMacGateCount } from '../tilde/hardware';
+import { createRandom } from '../tilde/random';
+
+const sampleA = '5, 3, 7, 2, 6, 4, 1, 8';
+const sampleB = '2, 6, 3, 5, 1, 7, 4, 3';
+
+const COLORS = { sequential: '#408BCA', pairwise: '#8884d8', kahan: '#DFA01E' };
+
+const DEFAULT_LENGTH = 64;
+const MAX_LENGTH = 1024;
+
+// Σ aᵢ·bᵢ with tilde mul and add in a chosen accumulation order, with a gate
+// and area estimate for a MAC block next to the four-operation ALU
+const DotProductTab = ({ beta, bitWidth, signed, aluOptions, gateCount, techName, techData }) => {
+  const [input, setInput] = useState('index');
+  const [order, setOrder] = useState('sequential');
+  const [textA, setTextA] = useState(sampleA);
+  const [textB, setTextB] = useState(sampleB);
+  const [length, setLength] = useState(DEFAULT_LENGTH);
+  const [seed, setSeed] = useState(1);
+
+  const config = useMemo(() => ({ beta, bitWidth, signed, ...aluOptions }), [beta, bitWidth, signed, aluOptions]);
+
+  const vectors = useMemo(() => {
+    try {
+      const a = parseVector(textA, config, input, 'A');
+      const b = parseVector(textB, config, input, 'B');
+      if (a.indices.length !== b.indices.length) {
+        return { error: `Vectors must have the same length (A has ${a.indices.length}, B has ${b.indices.length})` };
+      }
+      if (!a.indices.length) return { error: 'Enter at least one element in each vector' };
+      return { a, b };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [textA, textB, config, input]);
+
+  const results = useMemo(() => (vectors.error ? null : Object.fromEntries(Object.keys(ACCUMULATION_ORDERS).map(o =>
+    [o, dotProduct(vectors.a.indices, vectors.b.indices, config, { order: o })]))), [vectors, config]);
+
+  const curve = useMemo(() => (vectors.error ? [] : dotProductErrorCurve(vectors.a.indices, vectors.b.indices, config)
+    .map(point => ({
+      length: point.length,
+      ...Object.fromEntries(Object.keys(ACCUMULATION_ORDERS).map(o => [o, point[o] * 100]))
+    }))), [vectors, config]);
+
+  // float64 on the unquantized reals, so quantization error is included
+  const rawExact = vectors.a && vectors.a.reals
+    ? vectors.a.reals.reduce((s, x, i) => s + x * vectors.b.reals[i], 0)
+    : null;
+
+  const n = vectors.a ? vectors.a.indices.length : 0;
+  const mac = useMemo(() => estimateMacGateCount(config, { order, length: n }), [config, order, n]);
+  const aluMetrics = useMemo(() => blockMetrics(gateCount.total, techData), [gateCount, techData]);
+  const macMetrics = useMemo(() => blockMetrics(mac.total, techData), [mac, techData]);
+
+  const randomize = () => {
+    const random = createRandom(seed);
+    setTextA(randomVectorText(config, length, random, input));
+    setTextB(randomVectorText(config, length, random, input));
+    setSeed(s => s + 1);
+  };
+
+  const selected = results && results[order];
+
+  const hardwareRows = [
+    { label: 'Tilde ALU (four operations)', gates: gateCount.total, metrics: aluMetrics, cycles: 1 },
+    { label: `MAC block (${ACCUMULATION_ORDERS[order]})`, gates: mac.total, metrics: macMetrics, cycles: mac.cyclesPerProduct }
+  ];
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Dot Product (MAC)</h2>
+        <p className="tilde-text-white-80">
+          Σ a<sub>i</sub>·b<sub>i</sub> with tilde mul and add at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''},
+          against float64
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-4 tilde-mb-4">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Input:</label>
+            <select value={input} onChange={(e) => setInput(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(VECTOR_INPUTS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Accumulation order:</label>
+            <select value={order} onChange={(e) => setOrder(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(ACCUMULATION_ORDERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-4">
+          {[['A', textA, setTextA], ['B', textB, setTextB]].map(([name, text, setText]) => (
+            <div key={name}>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Vector {name}:</label>
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={5}
+                spellCheck={false}
+                className="tilde-input tilde-w-full tilde-font-mono"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="tilde-flex tilde-flex-wrap tilde-items-center tilde-gap-2 tilde-mt-4">
+          <label className="tilde-text-sm tilde-text-white-80">Length:</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_LENGTH}
+            value={length}
+            onChange={(e) => setLength(Math.min(MAX_LENGTH, Math.max(1, parseInt(e.target.value || 1))))}
+            className="tilde-input w-24"
+          />
+          <button onClick={randomize} className="tilde-button primary">Random Vectors</button>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-2">
+          Type or paste numbers separated by commas, spaces or new lines (a JSON array also works).
+          Random indices stay in the lower half of the range so each product fits the word.
+        </p>
+        {vectors.error && (
+          <p className="tilde-text-xs tilde-mt-2 tilde-text-DFA01E">{vectors.error}</p>
+        )}
+      </CleanCard>
+
+      {selected && (
+        <>
+          <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4">
+            <MetricCard title="Tilde Result" value={formatIndex(selected.result)} unit={`= ${formatReal(selected.value)}`} variant="primary" />
+            <MetricCard
+              title="float64 Result"
+              value={formatReal(selected.exact)}
+              unit="same encoded inputs"
+              description={rawExact === null ? undefined : `Unquantized inputs: ${formatReal(rawExact)}`}
+            />
+            <MetricCard title="Accumulated Error" value={formatPercent(selected.relative)} unit={`${n} products`} variant="secondary" />
+            <MetricCard title="Index Error" value={formatReal(selected.ulp)} unit="ulp" />
+          </div>
+
+          <CleanCard className="tilde-p-6" variant="elevated">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Status Flags (any product or sum)</h3>
+            <FlagBadges flags={selected.flags} />
+          </CleanCard>
+
+          <CleanCard className="tilde-p-6" variant="glass">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Accumulation Orders</h3>
+            <div className="tilde-overflow-x-auto">
+              <table className="tilde-w-full tilde-text-left">
+                <thead>
+                  <tr className="tilde-border-b tilde-border-white-20">
+                    {['Order', 'Tilde Result', 'Value', 'Relative Error', 'ulp', 'Flags'].map(h => (
+                      <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="tilde-divide-y tilde-divide-white-10">
+                  {Object.entries(results).map(([o, r]) => (
+                    <tr key={o} className={o === order ? 'tilde-bg-white-10' : ''}>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{ACCUMULATION_ORDERS[o]}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-mono tilde-text-408BCA">{formatIndex(r.result)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatReal(r.value)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-DFA01E">{formatPercent(r.relative)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatReal(r.ulp)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">
+                        {raisedFlags(r.flags).map(flag => FLAGS[flag]).join(', ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+              Sequential and pairwise sum in the operand format. Kahan keeps the sum and its compensation in a
+              {' '}{ACCUMULATOR_GUARD_BITS}-bit wider accumulator at β<sup>1/{1 << ACCUMULATOR_GUARD_BITS}</sup> with
+              error-minimizing tables, and rounds to the operand format once at the end.
+            </p>
+          </CleanCard>
+
+          {curve.length > 1 && (
+            <CleanCard className="tilde-p-6" variant="elevated">
+              <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Error vs. Vector Length</h3>
+              <div className="tilde-h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={curve}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                    <XAxis dataKey="length" stroke="rgba(255,255,255,0.6)" />
+                    <YAxis stroke="rgba(255,255,255,0.6)" unit="%" />
+                    <Tooltip formatter={(value) => `${value.toFixed(4)}%`} />
+                    <Legend />
+                    {Object.entries(ACCUMULATION_ORDERS).map(([o, label]) => (
+                      <Line key={o} type="monotone" dataKey={o} name={label} stroke={COLORS[o]} strokeWidth={2} dot={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </CleanCard>
+          )}
+        </>
+      )}
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">
+          MAC Block Hardware ({techName}) - 1000 Compute Blocks
+        </h3>
+        <div className="tilde-grid tilde-grid-cols-2 md:tilde-grid-cols-4 tilde-gap-4 tilde-mb-6">
+          <MetricCard title="Multiplier" value={mac.multiplier} unit="gates" />
+          <MetricCard title="Adder & LUT" value={mac.adder} unit="gates" variant="primary" />
+          <MetricCard title="Registers" value={mac.registers} unit="gates" />
+          <MetricCard title="Control" value={mac.control} unit="gates" variant="secondary" />
+        </div>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                {['Block', 'Gates', 'Area (µm²)', 'Power (µW)', 'Cycles / product', 'Throughput (GOPS)'].map(h => (
+                  <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {hardwareRows.map(row => (
+                <tr key={row.label}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{row.label}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{row.gates}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{row.metrics.area.toFixed(2)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{(row.metrics.power / 1000).toFixed(1)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{row.cycles}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-408BCA">{(row.metrics.performance / row.cycles).toFixed(0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          A MAC block pairs the ALU's multiplier with one adder and an accumulator register; the ALU row is one
+          operation per cycle, the MAC row one product (a multiply and an add) per {mac.cyclesPerProduct === 1 ? 'cycle' : `${mac.cyclesPerProduct} cycles`}.
+          Pairwise order keeps one partial sum per tree level; Kahan order needs a wide add/sub unit and two wide registers.
+        </p>
+      </CleanCard>
+    </div>
+  );
+};
+
+export default DotProductTab;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CleanCard, MetricCard } from './ui';
+import { formatReal, formatPercent, formatIndex } from './format';
+import { SWEEP_OPERATIONS, SWEEP_METRICS, runErrorSweep, operandRange } from '../tilde/sweep';
+import { FLAGS } from '../tilde/engine';
+
+const operationNames = { add: 'Addition', sub: 'Subtraction', mul: 'Multiplication', div: 'Division' };
+
+// Brand palette from cool (exact) to hot (worst error)
+const heatStops = [
+  [27, 68, 105],
+  [64, 139, 202],
+  [223, 160, 30],
+  [224, 78, 27]
+];
+
+const heatColor = (t) => {
+  const scaled = Math.min(1, Math.max(0, t)) * (heatStops.length - 1);
+  const i = Math.min(heatStops.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  return heatStops[i].map((c, k) => Math.round(c + (heatStops[i + 1][k] - c) * f));
+};
+
+const formatMetric = (metric, value) =>
+  metric === 'relative' ? formatPercent(value) : formatReal(value);
+
+const Heatmap = ({ summary }) => {
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const { grid, undefinedCells, bins, max } = summary;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(bins, bins);
+
+    for (let y = 0; y < bins; y++) {
+      for (let x = 0; x < bins; x++) {
+        // Flip vertically so b grows upwards
+        const cell = (bins - 1 - y) * bins + x;
+        const offset = (y * bins + x) * 4;
+        const [r, g, b] = undefinedCells[cell] && grid[cell] === 0
+          ? [90, 90, 90]
+          : heatColor(max > 0 ? Math.sqrt(grid[cell] / max) : 0);
+        image.data[offset] = r;
+        image.data[offset + 1] = g;
+        image.data[offset + 2] = b;
+        image.data[offset + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  }, [summary]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={summary.bins}
+      height={summary.bins}
+      className="tilde-heatmap-canvas"
+    />
+  );
+};
+
+const ErrorHeatmapTab = ({ beta, bitWidth, signed, aluOptions, errorPercentage }) => {
+  const [metric, setMetric] = useState('relative');
+  const [summaries, setSummaries] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRunning(true);
+    setSummaries([]);
+
+    runErrorSweep(SWEEP_OPERATIONS, { beta, bitWidth, signed, ...aluOptions }, { metric }, {
+      signal: controller.signal,
+      onProgress: setSummaries
+    })
+      .then(() => setRunning(false))
+      .catch((e) => {
+        if (e.name === 'AbortError') return;
+        console.error('Error sweep failed:', e);
+        setRunning(false);
+      });
+
+    return () => controller.abort();
+  }, [beta, bitWidth, signed, aluOptions, metric]);
+
+  const operands = operandRange({ bitWidth, signed });
+  const size = operands.length;
+  const totalPairs = size * size * SWEEP_OPERATIONS.length;
+  const completedPairs = summaries.reduce((acc, s) => acc + s.progress * s.pairs, 0);
+  const progress = totalPairs ? completedPairs / totalPairs : 0;
+  const addSub = summaries.filter(s => s.operation === 'add' || s.operation === 'sub');
+  const measuredEnvelope = addSub.length ? Math.max(...addSub.map(s => s.max)) : 0;
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Exhaustive Error Heatmap</h2>
+        <p className="tilde-text-white-80">
+          Every (a, b) pair at {bitWidth} bits{signed ? ' (signed)' : ''}, β = {beta.toFixed(4)}, against exact real arithmetic
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-6">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Error metric:</label>
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className="tilde-input tilde-w-full"
+            >
+              {Object.entries(SWEEP_METRICS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
+            <div className="tilde-flex tilde-justify-between">
+              <span>Pairs per operation:</span>
+              <span className="tilde-font-mono">{(size * size).toLocaleString('en-US')}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Status:</span>
+              <span className="tilde-font-mono">{running ? `${(progress * 100).toFixed(1)}%` : 'Complete'}</span>
+            </div>
+            <div className="tilde-progress">
+              <div className="tilde-progress-bar" style={{ width: `${progress * 100}%` }} />
+            </div>
+          </div>
+        </div>
+      </CleanCard>
+
+      {metric === 'relative' && (
+        <CleanCard className="tilde-p-6" variant="glass">
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Relative Accuracy Envelope</h3>
+          <div className="tilde-grid tilde-grid-cols-2 tilde-gap-4">
+            <MetricCard
+              title="Closed-form Δ%"
+              value={errorPercentage.toFixed(2)}
+              unit="% = 100(β-1)/(β+1)"
+              variant="default"
+            />
+            <MetricCard
+              title="Measured max (add/sub)"
+              value={(measuredEnvelope * 100).toFixed(2)}
+              unit="%"
+              variant="primary"
+              description={running ? 'Sweep in progress' : 'Exhaustive over all pairs'}
+            />
+          </div>
+        </CleanCard>
+      )}
+
+      <div className="tilde-grid tilde-grid-cols-1 lg:tilde-grid-cols-2 tilde-gap-6">
+        {summaries.map((summary) => (
+          <CleanCard key={summary.operation} className="tilde-p-6" variant="elevated">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">
+              {operationNames[summary.operation]}
+            </h3>
+            <Heatmap summary={summary} />
+            <div className="tilde-flex tilde-justify-between tilde-text-xs tilde-text-white-60 tilde-mt-1">
+              <span>a →, b ↑ ({operands[0]} – {operands[size - 1]})</span>
+              <span>scale: 0 – {formatMetric(metric, summary.max)} (√)</span>
+            </div>
+          </CleanCard>
+        ))}
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Error Statistics</h3>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Operation</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Max</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Mean</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">RMS</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Worst Pair</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Undefined</th>
+                {Object.values(FLAGS).map(label => (
+                  <th key={label} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {summaries.map((summary) => (
+                <tr key={summary.operation}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{operationNames[summary.operation]}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatMetric(metric, summary.max)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatMetric(metric, summary.mean)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatMetric(metric, summary.rms)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">
+                    {summary.worst ? `${summary.operation}(${summary.worst.a}, ${summary.worst.b}) = ${formatIndex(summary.worst.result)}` : '—'}
+                  </td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{summary.excluded.toLocaleString('en-US')}</td>
+                  {Object.keys(FLAGS).map(flag => (
+                    <td key={flag} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">
+                      {summary.flagCounts[flag].toLocaleString('en-US')}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+          Pairs whose exact result is undefined or infinite (division by zero) are excluded from the statistics and drawn grey.
+          Flag columns count the pairs raising each status flag, excluded pairs included.
+        </p>
+      </CleanCard>
+    </div>
+  );
+};
+
+export default ErrorHeatmapTab;
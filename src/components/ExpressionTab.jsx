@@ -0,0 +1,178 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { CleanCard, MetricCard } from './ui';
+import { formatReal, formatPercent, formatIndex } from './format';
+import FlagBadges from './FlagBadges';
+import { FLAGS, raisedFlags } from '../tilde/engine';
+import { OPERATION_SYMBOLS, parseExpression, expressionVariables, evaluateExpression } from '../tilde/expression';
+import { indexToValue } from '../tilde/values';
+
+const sampleExpression = '(a + b) * c / d - e';
+
+// Unset variables start at index 2 (β¹); a and b follow the calculator operands
+const DEFAULT_INDEX = '2';
+
+const parseIndex = (text, signed) => {
+  const trimmed = text.trim();
+  if (signed && trimmed === '-0') return -0;
+  return /^-?\d+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+};
+
+const ExpressionTab = ({ beta, bitWidth, signed, aluOptions, a, b }) => {
+  const [source, setSource] = useState(sampleExpression);
+  const [inputs, setInputs] = useState({});
+
+  const config = useMemo(() => ({ beta, bitWidth, signed, ...aluOptions }), [beta, bitWidth, signed, aluOptions]);
+
+  const parsed = useMemo(() => {
+    try {
+      const ast = parseExpression(source);
+      return { ast, names: expressionVariables(ast) };
+    } catch (e) {
+      return { error: e.message, names: [] };
+    }
+  }, [source]);
+
+  const inputText = (name) => {
+    if (name in inputs) return inputs[name];
+    if (name === 'a' || name === 'b') return formatIndex(name === 'a' ? a : b);
+    return DEFAULT_INDEX;
+  };
+
+  const variables = Object.fromEntries(parsed.names.map(name => [name, parseIndex(inputText(name), signed)]));
+
+  let evaluation;
+  try {
+    evaluation = parsed.ast ? evaluateExpression(parsed.ast, variables, config, source) : { error: parsed.error };
+  } catch (e) {
+    evaluation = { error: e.message };
+  }
+
+  const chartData = (evaluation.steps || []).map(s => ({
+    step: s.step,
+    local: s.local.relative * 100,
+    accumulated: s.accumulated.relative * 100
+  }));
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Expression Evaluator</h2>
+        <p className="tilde-text-white-80">
+          Evaluate a chain of operations at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''} and
+          trace how error accumulates step by step
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Expression:</label>
+        <input
+          type="text"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          spellCheck={false}
+          className="tilde-input tilde-w-full tilde-font-mono"
+        />
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-2">
+          Operators + − × ÷ (or * /) and parentheses; unary minus needs signed mode. Numbers and variables are
+          tilde indices, so 1 is unity and n is β^(n−1).
+        </p>
+        {evaluation.error && (
+          <p className="tilde-text-xs tilde-mt-2 tilde-text-DFA01E">{evaluation.error}</p>
+        )}
+
+        {parsed.names.length > 0 && (
+          <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4 tilde-mt-4">
+            {parsed.names.map(name => (
+              <div key={name}>
+                <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">
+                  {name} <span className="tilde-text-white-60">= {formatReal(Number.isNaN(variables[name]) ? NaN : indexToValue(variables[name], beta))}</span>
+                </label>
+                <input
+                  type="text"
+                  value={inputText(name)}
+                  onChange={(e) => setInputs(v => ({ ...v, [name]: e.target.value }))}
+                  className="tilde-input tilde-w-full tilde-font-mono"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </CleanCard>
+
+      {evaluation.steps && (
+        <>
+          <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4">
+            <MetricCard title="Tilde Result" value={formatIndex(evaluation.result)} unit={`= ${formatReal(evaluation.value)}`} variant="primary" />
+            <MetricCard title="Exact Result" value={formatReal(evaluation.exact)} unit="real arithmetic" />
+            <MetricCard title="Relative Error" value={formatPercent(evaluation.error.relative)} unit="whole expression" variant="secondary" />
+            <MetricCard title="Index Error" value={formatReal(evaluation.error.ulp)} unit="ulp" />
+          </div>
+
+          <CleanCard className="tilde-p-6" variant="elevated">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Status Flags (any step)</h3>
+            <FlagBadges flags={evaluation.flags} />
+          </CleanCard>
+
+          <CleanCard className="tilde-p-6" variant="glass">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Step Trace</h3>
+            <div className="tilde-overflow-x-auto">
+              <table className="tilde-w-full tilde-text-left">
+                <thead>
+                  <tr className="tilde-border-b tilde-border-white-20">
+                    {['#', 'Sub-expression', 'Operation', 'Tilde Value', 'Exact Value', 'Step Error', 'Accumulated Error', 'ulp', 'Flags'].map(h => (
+                      <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="tilde-divide-y tilde-divide-white-10">
+                  {evaluation.steps.map(s => (
+                    <tr key={s.step}>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-60">{s.step}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-mono tilde-text-white">{s.text}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-mono tilde-text-white-80">
+                        {formatIndex(s.a)} {OPERATION_SYMBOLS[s.operation]} {formatIndex(s.b)} = {formatIndex(s.result)}
+                      </td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-408BCA">{formatReal(s.value)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatReal(s.exact)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatPercent(s.local.relative)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-DFA01E">{formatPercent(s.accumulated.relative)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatReal(s.accumulated.ulp)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-DFA01E">
+                        {raisedFlags(s.flags).map(flag => FLAGS[flag]).join(', ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+              Step error compares each operation with the exact result on its own (already rounded) inputs;
+              accumulated error compares it with the exact value of the whole sub-expression.
+            </p>
+          </CleanCard>
+
+          {chartData.length > 1 && (
+            <CleanCard className="tilde-p-6" variant="elevated">
+              <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Error Build-up</h3>
+              <div className="tilde-h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                    <XAxis dataKey="step" stroke="rgba(255,255,255,0.6)" />
+                    <YAxis stroke="rgba(255,255,255,0.6)" unit="%" />
+                    <Tooltip formatter={(value) => `${value.toFixed(4)}%`} />
+                    <Line type="monotone" dataKey="local" name="Step error" stroke="#408BCA" strokeWidth={2} />
+                    <Line type="monotone" dataKey="accumulated" name="Accumulated error" stroke="#DFA01E" strokeWidth={2} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </CleanCard>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExpressionTab;
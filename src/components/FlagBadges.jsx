@@ -0,0 +1,15 @@
+import React from 'react';
+import { FLAGS } from '../tilde/engine';
+
+// One badge per status flag; raised flags stand out, clear ones are dimmed
+const FlagBadges = ({ flags }) => (
+  <div className="tilde-flex tilde-flex-wrap tilde-justify-center tilde-gap-2">
+    {Object.entries(FLAGS).map(([flag, label]) => (
+      <span key={flag} className={`tilde-flag-badge ${flags[flag] ? 'raised' : ''}`}>
+        {label}
+      </span>
+    ))}
+  </div>
+);
+
+export default FlagBadges;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import {
+  BUILTIN_FORMATS, FORMAT_FAMILIES, FORMAT_GATE_FIELDS, serializeFormatCatalog
+} from '../tilde/formats';
+
+const emptyFormat = {
+  label: '',
+  bits: 8,
+  family: 'custom',
+  description: '',
+  source: '',
+  gates: { shared: 0, add: 0, sub: 0, mul: 0, div: 0 }
+};
+
+const uniqueName = (base, formats) => {
+  let name = base;
+  for (let i = 2; formats[name]; i++) name = `${base}_${i}`;
+  return name;
+};
+
+const FormatCatalogEditor = ({ formats, customFormats, saveFormat, removeFormat, importFormats }) => {
+  const [selected, setSelected] = useState(Object.keys(formats)[0]);
+  // draft: { name, previousName, format } while the form is open
+  const [draft, setDraft] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const current = formats[selected] ? selected : Object.keys(formats)[0];
+  const isCustom = Boolean(customFormats[current]);
+  const overridesBuiltin = isCustom && Boolean(BUILTIN_FORMATS[current]);
+
+  const openDraft = (name, previousName, format) => {
+    setMessage(null);
+    setDraft({ name, previousName, format: { ...format, gates: { ...format.gates } } });
+  };
+
+  const setField = (key, value) => setDraft({ ...draft, format: { ...draft.format, [key]: value } });
+  const setGates = (key, value) =>
+    setDraft({ ...draft, format: { ...draft.format, gates: { ...draft.format.gates, [key]: value } } });
+
+  const handleSave = () => {
+    try {
+      const { format } = draft;
+      saveFormat(draft.name, {
+        ...format,
+        bits: parseInt(format.bits),
+        gates: Object.fromEntries(FORMAT_GATE_FIELDS.map(key => [key, parseFloat(format.gates[key])]))
+      }, draft.previousName);
+      setSelected(draft.name.trim());
+      setDraft(null);
+      setMessage(null);
+    } catch (e) {
+      setMessage({ error: true, text: e.message });
+    }
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const names = importFormats(text);
+        setMessage({ error: false, text: `Imported ${names.length} format(s): ${names.join(', ')}` });
+      } catch (err) {
+        setMessage({ error: true, text: `Import failed: ${err.message}` });
+      }
+    });
+    e.target.value = '';
+  };
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Format Catalog</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Add competitor formats with per-operation gate estimates and a source. Custom formats are saved in this
+        browser and appear in the comparison tables above.
+      </p>
+
+      <div className="tilde-flex tilde-flex-wrap tilde-items-center tilde-gap-2 tilde-mb-4">
+        <select value={current} onChange={(e) => setSelected(e.target.value)} className="tilde-input">
+          {Object.entries(formats).map(([name, format]) => (
+            <option key={name} value={name}>{format.label}{customFormats[name] ? ' (custom)' : ''}</option>
+          ))}
+        </select>
+        <button onClick={() => openDraft(uniqueName('Custom', formats), null, emptyFormat)} className="tilde-button secondary">
+          New Format
+        </button>
+        <button
+          onClick={() => openDraft(uniqueName(`${current}_copy`, formats), null, formats[current])}
+          className="tilde-button secondary"
+        >
+          Clone
+        </button>
+        <button onClick={() => openDraft(current, current, formats[current])} className="tilde-button secondary">
+          Edit
+        </button>
+        {isCustom && (
+          <button onClick={() => removeFormat(current)} className="tilde-button secondary">
+            {overridesBuiltin ? 'Reset' : 'Delete'}
+          </button>
+        )}
+        <button
+          onClick={() => downloadText('tilde-formats.json', serializeFormatCatalog(customFormats), 'application/json')}
+          disabled={!Object.keys(customFormats).length}
+          className="tilde-button secondary"
+        >
+          Export JSON
+        </button>
+        <label className="tilde-button secondary">
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="tilde-hidden" />
+        </label>
+      </div>
+
+      {message && (
+        <p className={`tilde-text-xs tilde-mb-4 ${message.error ? 'tilde-text-DFA01E' : 'tilde-text-white-80'}`}>{message.text}</p>
+      )}
+
+      {draft && (
+        <div className="tilde-bg-white-10 tilde-p-4 tilde-rounded-lg tilde-border tilde-border-white-20 tilde-space-y-4">
+          <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-4">
+            <div>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Key:</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="tilde-input tilde-w-full"
+              />
+            </div>
+            <div>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Label:</label>
+              <input
+                type="text"
+                value={draft.format.label}
+                onChange={(e) => setField('label', e.target.value)}
+                className="tilde-input tilde-w-full"
+              />
+            </div>
+            <div>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Bits:</label>
+              <input
+                type="number"
+                min="1"
+                value={draft.format.bits}
+                onChange={(e) => setField('bits', e.target.value)}
+                className="tilde-input tilde-w-full"
+              />
+            </div>
+            <div>
+              <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Family:</label>
+              <select
+                value={draft.format.family}
+                onChange={(e) => setField('family', e.target.value)}
+                className="tilde-input tilde-w-full"
+              >
+                {Object.entries(FORMAT_FAMILIES).map(([family, label]) => (
+                  <option key={family} value={family}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Description:</label>
+            <input
+              type="text"
+              value={draft.format.description}
+              onChange={(e) => setField('description', e.target.value)}
+              className="tilde-input tilde-w-full"
+            />
+          </div>
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Source:</label>
+            <input
+              type="text"
+              value={draft.format.source}
+              onChange={(e) => setField('source', e.target.value)}
+              className="tilde-input tilde-w-full"
+            />
+          </div>
+          <div className="tilde-grid tilde-grid-cols-2 md:tilde-grid-cols-3 tilde-gap-4">
+            {FORMAT_GATE_FIELDS.map(key => (
+              <div key={key}>
+                <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">{key} gates:</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.format.gates[key]}
+                  onChange={(e) => setGates(key, e.target.value)}
+                  className="tilde-input tilde-w-full"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="tilde-flex tilde-gap-2">
+            <button onClick={handleSave} className="tilde-button primary">Save</button>
+            <button onClick={() => { setDraft(null); setMessage(null); }} className="tilde-button secondary">Cancel</button>
+          </div>
+        </div>
+      )}
+    </CleanCard>
+  );
+};
+
+export default FormatCatalogEditor;
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { formatReal, formatPercent } from './format';
+import { LUT_ROUNDING, carryRange } from '../tilde/engine';
+import {
+  LUT_KINDS, inspectLut, createLutOverride, parseLutOverride, serializeLutOverride
+} from '../tilde/lut';
+
+// Lists every add/sub LUT entry for the current β against its exact
+// correction, and edits or imports an override table for that β
+const LutInspector = ({ beta, aluOptions, override, setOverride, setBeta }) => {
+  const { lut } = aluOptions;
+  const [message, setMessage] = useState(null);
+
+  const rows = useMemo(() => inspectLut({ beta, ...aluOptions }), [beta, aluOptions]);
+  const config = { beta, ...aluOptions };
+  const range = carryRange(config);
+  const editing = Boolean(lut);
+  const stale = override && !editing;
+  const changed = rows.reduce((n, row) => n + Object.keys(LUT_KINDS).filter(kind => row[kind].overridden).length, 0);
+
+  const setEntry = (kind, d, text) => {
+    const value = parseInt(text, 10);
+    if (!Number.isInteger(value) || value < 0) return;
+    setOverride({ ...override, [kind]: rows.map((row, i) => (i === d ? value : row[kind].value)) });
+  };
+
+  const handleExport = () => {
+    const tables = override && editing ? override : createLutOverride(config);
+    downloadText(`tilde_lut_b${beta.toFixed(3).replace('.', 'p')}.json`, serializeLutOverride(tables), 'application/json');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const imported = parseLutOverride(text);
+        setOverride(imported);
+        setMessage({ error: false, text: `Imported LUT override for β = ${imported.beta}` });
+      } catch (err) {
+        setMessage({ error: true, text: `Import failed: ${err.message}` });
+      }
+    });
+    e.target.value = '';
+  };
+
+  const cellClass = (entry) => (entry.overridden ? 'tilde-text-DFA01E tilde-font-semibold' : 'tilde-text-white-80');
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-2">LUT Inspector (β = {beta.toFixed(4)})</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Exact corrections are log<sub>β</sub>(1 + β<sup>−d</sup>) for add and −log<sub>β</sub>(1 − β<sup>−d</sup>) for sub.
+        Entry error is the relative error that entry adds to a result. {editing
+          ? `Override active: ${changed} entr${changed === 1 ? 'y differs' : 'ies differ'} from the formula, used by the calculator, error analysis and gate counts.`
+          : `Values come from the built-in formula (${LUT_ROUNDING[aluOptions.lutRounding || 'floor']} rounding).`}
+      </p>
+
+      <div className="tilde-flex tilde-flex-wrap tilde-gap-2 tilde-mb-4">
+        {editing ? (
+          <button onClick={() => setOverride(null)} className="tilde-button secondary">Reset to Formula</button>
+        ) : (
+          <button onClick={() => setOverride(createLutOverride(config))} className="tilde-button primary">Edit Entries</button>
+        )}
+        <button onClick={handleExport} className="tilde-button secondary">Export JSON</button>
+        <label className="tilde-button secondary">
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="tilde-hidden" />
+        </label>
+      </div>
+
+      {stale && (
+        <div className="tilde-flex tilde-flex-wrap tilde-items-center tilde-gap-2 tilde-mb-4">
+          <span className="tilde-text-xs tilde-text-DFA01E">
+            The loaded override was built for β = {override.beta} and is inactive at the current β.
+          </span>
+          <button onClick={() => setBeta(override.beta)} className="tilde-button secondary">Use β = {override.beta}</button>
+          <button onClick={() => setOverride(null)} className="tilde-button secondary">Discard</button>
+        </div>
+      )}
+      {message && (
+        <p className={`tilde-text-xs tilde-mb-4 ${message.error ? 'tilde-text-DFA01E' : 'tilde-text-white-80'}`}>{message.text}</p>
+      )}
+
+      <div className="tilde-overflow-x-auto tilde-code-preview">
+        <table className="tilde-w-full tilde-text-left">
+          <thead>
+            <tr className="tilde-border-b tilde-border-white-20">
+              <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">d</th>
+              {Object.values(LUT_KINDS).flatMap(label => [
+                <th key={`${label}-exact`} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">{label} exact</th>,
+                <th key={`${label}-value`} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">{label} LUT</th>,
+                <th key={`${label}-error`} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">{label} error</th>
+              ])}
+            </tr>
+          </thead>
+          <tbody className="tilde-divide-y tilde-divide-white-10">
+            {rows.map(row => (
+              <tr key={row.d} className={row.inRange ? '' : 'tilde-lut-unused'}>
+                <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-mono tilde-text-white">{row.d}</td>
+                {Object.keys(LUT_KINDS).flatMap(kind => {
+                  const entry = row[kind];
+                  return [
+                    <td key={`${kind}-exact`} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-mono tilde-text-white-60">{formatReal(entry.exact)}</td>,
+                    <td key={`${kind}-value`} className={`tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-mono ${cellClass(entry)}`}>
+                      {editing ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={entry.value}
+                          onChange={(e) => setEntry(kind, row.d, e.target.value)}
+                          className="tilde-input tilde-lut-input"
+                        />
+                      ) : entry.value}
+                    </td>,
+                    <td key={`${kind}-error`} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-mono tilde-text-white-80">{formatPercent(entry.error)}</td>
+                  ];
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+        Add and sub read the table only inside the carry range, d &lt; {Number.isFinite(range) ? range : '∞'};
+        dimmed rows are never read. Sub never reads d = 0 (equal operands take the E branch). Distances past the
+        table fall back to the formula.
+      </p>
+    </CleanCard>
+  );
+};
+
+export default LutInspector;
@@ -0,0 +1,62 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { CleanCard } from './ui';
+import { LUT_ROUNDING } from '../tilde/engine';
+import { compareLutRounding } from '../tilde/designSpace';
+
+// β grid below the efficiency threshold, where the rounding modes differ
+const BETAS = Array.from({ length: 10 }, (_, i) => 1.1 + i * 0.1);
+
+const SAMPLES = 512;
+
+const COLORS = { floor: '#408BCA', nearest: '#8884d8', ceil: '#E04E1B', minError: '#DFA01E' };
+
+const ErrorChart = ({ title, data, metric }) => (
+  <div>
+    <h4 className="tilde-text-sm tilde-font-semibold tilde-text-white tilde-mb-2">{title}</h4>
+    <div className="tilde-h-80">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+          <XAxis dataKey="beta" stroke="rgba(255,255,255,0.5)" />
+          <YAxis stroke="rgba(255,255,255,0.5)" unit="%" />
+          <Tooltip
+            formatter={(value) => `${value.toFixed(2)}%`}
+            contentStyle={{ backgroundColor: '#1B4469', borderColor: 'rgba(255,255,255,0.2)', color: '#fff' }}
+          />
+          <Legend />
+          {Object.entries(LUT_ROUNDING).map(([mode, label]) => (
+            <Line key={mode} type="monotone" dataKey={`${mode}.${metric}`} name={label} stroke={COLORS[mode]} strokeWidth={2} dot={false} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+// Mean and max measured error of each LUT rounding mode across β at the
+// current width, sign mode and carry range
+const LutRoundingChart = ({ bitWidth, signed, aluOptions }) => {
+  const { carryPolicy, carryN } = aluOptions;
+  const data = useMemo(() =>
+    compareLutRounding({ bitWidth, signed, carryPolicy, carryN }, BETAS, { samples: SAMPLES })
+      .map(row => ({ ...row, beta: row.beta.toFixed(1) })),
+  [bitWidth, signed, carryPolicy, carryN]);
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-2">LUT Rounding Modes</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Relative error over add, sub, mul and div at {bitWidth} bits{signed ? ' (signed)' : ''}, {SAMPLES} sampled
+        pairs per operation. Floor, nearest and ceil round the shared log<sub>β</sub>(d + 1) formula;
+        error-minimizing picks each add and sub entry separately, which needs a second ROM.
+      </p>
+      <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-6">
+        <ErrorChart title="Mean Error vs. β" data={data} metric="mean" />
+        <ErrorChart title="Max Error vs. β" data={data} metric="max" />
+      </div>
+    </CleanCard>
+  );
+};
+
+export default LutRoundingChart;
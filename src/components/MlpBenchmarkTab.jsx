@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { CleanCard, MetricCard } from './ui';
+import { formatPercent } from './format';
+import { FLAGS, raisedFlags } from '../tilde/engine';
+import { ACCUMULATION_ORDERS } from '../tilde/mac';
+import { FORMAT_SCALING } from '../tilde/numerics';
+import { runMlpBenchmark } from '../tilde/mlp';
+import digitsModel from '../data/digitsMlp.json';
+
+const layerNames = digitsModel.layers.map((layer, l) =>
+  (l === digitsModel.layers.length - 1 ? `Layer ${l + 1} (logits)` : `Layer ${l + 1} (${layer.activation})`));
+
+const architecture = [digitsModel.layers[0].weights[0].length, ...digitsModel.layers.map(layer => layer.weights.length)].join('-');
+
+const scalingText = (variant) => {
+  if (variant.id === 'float32') return '—';
+  if (variant.id.startsWith('tilde')) return 'Per tensor, power of β';
+  return FORMAT_SCALING[variant.scaling];
+};
+
+// Inference on the bundled digits MLP in float32, tilde arithmetic and every
+// catalog format with a numerics model
+const MlpBenchmarkTab = ({ beta, bitWidth, signed, aluOptions, formats }) => {
+  const [order, setOrder] = useState('sequential');
+  const [summaries, setSummaries] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [selected, setSelected] = useState('tilde');
+  const [scales, setScales] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRunning(true);
+    setSummaries([]);
+
+    runMlpBenchmark(digitsModel, { beta, bitWidth, signed, ...aluOptions }, { formats, order }, {
+      signal: controller.signal,
+      onProgress: (progress, benchmark) => {
+        setSummaries(progress);
+        setScales(benchmark.scales);
+      }
+    })
+      .then(() => setRunning(false))
+      .catch((e) => {
+        if (e.name === 'AbortError') return;
+        console.error('MLP benchmark failed:', e);
+        setRunning(false);
+      });
+
+    return () => controller.abort();
+  }, [beta, bitWidth, signed, aluOptions, formats, order]);
+
+  const total = digitsModel.samples.length;
+  const processed = summaries.length ? summaries[0].processed : 0;
+  const byId = Object.fromEntries(summaries.map(s => [s.id, s]));
+  const reference = byId.float32;
+  const tilde = byId.tilde;
+  const matrix = byId[selected] || tilde;
+  const matrixPeak = matrix ? Math.max(1, ...matrix.confusion.flat()) : 1;
+
+  const chartData = summaries.map(s => ({ label: s.label, accuracy: s.accuracy * 100 }));
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">MLP Inference Benchmark</h2>
+        <p className="tilde-text-white-80">
+          A {architecture} digits classifier at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''}, against
+          float32 and the competitor formats
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-6">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Tilde accumulation order:</label>
+            <select value={order} onChange={(e) => setOrder(e.target.value)} className="tilde-input tilde-w-full">
+              {Object.entries(ACCUMULATION_ORDERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="tilde-text-xs tilde-text-white-60 tilde-mt-2">{digitsModel.description}</p>
+          </div>
+          <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
+            <div className="tilde-flex tilde-justify-between">
+              <span>Test samples:</span>
+              <span className="tilde-font-mono">{total}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Status:</span>
+              <span className="tilde-font-mono">{running ? `${((processed / total) * 100).toFixed(1)}%` : 'Complete'}</span>
+            </div>
+            <div className="tilde-progress">
+              <div className="tilde-progress-bar" style={{ width: `${(processed / total) * 100}%` }} />
+            </div>
+          </div>
+        </div>
+        {!signed && (
+          <p className="tilde-text-xs tilde-mt-4 tilde-text-DFA01E">
+            The network has negative weights, which clip to zero in unsigned mode; switch to signed mode for a
+            meaningful tilde result.
+          </p>
+        )}
+      </CleanCard>
+
+      {tilde && reference && (
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-4 tilde-gap-4">
+          <MetricCard title="Tilde Accuracy" value={formatPercent(tilde.accuracy)} unit={`${processed} of ${total} samples`} variant="primary" />
+          <MetricCard title="float32 Accuracy" value={formatPercent(reference.accuracy)} unit="reference" />
+          <MetricCard
+            title="Output Error"
+            value={formatPercent(tilde.layerErrors[tilde.layerErrors.length - 1])}
+            unit="relative, logits vs. float32"
+            variant="secondary"
+          />
+          <MetricCard
+            title="Tilde Flags"
+            value={raisedFlags(tilde.flagCounts).filter(flag => flag !== 'inexact').map(flag => FLAGS[flag]).join(', ') || 'none'}
+            unit="beyond inexact"
+            description={Object.entries(tilde.flagCounts).filter(([, n]) => n > 0).map(([flag, n]) => `${FLAGS[flag]}: ${n}`).join(', ')}
+          />
+        </div>
+      )}
+
+      {summaries.length > 0 && (
+        <CleanCard className="tilde-p-6" variant="glass">
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Accuracy and Layer Error</h3>
+          <div className="tilde-overflow-x-auto">
+            <table className="tilde-w-full tilde-text-left">
+              <thead>
+                <tr className="tilde-border-b tilde-border-white-20">
+                  {['Arithmetic', 'Scaling', 'Accuracy', ...layerNames].map(h => (
+                    <th key={h} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="tilde-divide-y tilde-divide-white-10">
+                {summaries.map(s => (
+                  <tr key={s.id} className={s.id === 'tilde' ? 'tilde-bg-white-10' : ''}>
+                    <td className={`tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium ${s.id === 'tilde' ? 'tilde-text-408BCA' : 'tilde-text-white'}`}>{s.label}</td>
+                    <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-60">{scalingText(s)}</td>
+                    <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-DFA01E">{formatPercent(s.accuracy)}</td>
+                    {s.layerErrors.map((error, l) => (
+                      <td key={layerNames[l]} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{formatPercent(error)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+            Layer error is ‖y − y<sub>float32</sub>‖ / ‖y<sub>float32</sub>‖ of each layer's output, averaged over the samples.
+            Tilde multiplies and adds in tilde arithmetic with the current LUT rounding and carry range; tilde storage and
+            the catalog formats round weights and inputs to the format and accumulate in float32, as their accelerators do.
+            Activation scales are calibrated on the float32 run.
+          </p>
+          <p className="tilde-text-xs tilde-text-white-60 tilde-mt-2">
+            Tilde scales: {scales.map(({ weightExponent, inputExponent }, l) =>
+              `layer ${l + 1} weights β^${weightExponent}, inputs β^${inputExponent}`).join('; ')}
+          </p>
+        </CleanCard>
+      )}
+
+      {chartData.length > 0 && (
+        <CleanCard className="tilde-p-6" variant="elevated">
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Classification Accuracy</h3>
+          <div className="tilde-h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                <XAxis dataKey="label" stroke="rgba(255,255,255,0.6)" interval={0} angle={-30} textAnchor="end" height={90} tick={{ fontSize: 10 }} />
+                <YAxis stroke="rgba(255,255,255,0.6)" unit="%" domain={[0, 100]} />
+                <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                <Bar dataKey="accuracy" name="Accuracy" fill="#408BCA" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </CleanCard>
+      )}
+
+      {matrix && (
+        <CleanCard className="tilde-p-6" variant="glass">
+          <div className="tilde-flex tilde-flex-wrap tilde-justify-between tilde-items-center tilde-gap-2 tilde-mb-4">
+            <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white">Confusion Matrix</h3>
+            <select value={matrix.id} onChange={(e) => setSelected(e.target.value)} className="tilde-input">
+              {summaries.map(s => (
+                <option key={s.id} value={s.id}>{s.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="tilde-overflow-x-auto">
+            <table className="tilde-confusion">
+              <thead>
+                <tr>
+                  <th className="tilde-text-xs tilde-text-white-60">true \ predicted</th>
+                  {matrix.confusion.map((row, k) => (
+                    <th key={k} className="tilde-text-xs tilde-font-medium tilde-text-white">{k}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.confusion.map((row, label) => (
+                  <tr key={label}>
+                    <th className="tilde-text-xs tilde-font-medium tilde-text-white">{label}</th>
+                    {row.map((count, k) => (
+                      <td
+                        key={k}
+                        className={`tilde-text-xs tilde-font-mono ${k === label ? 'tilde-text-DFA01E tilde-font-bold' : 'tilde-text-white-80'}`}
+                        style={{ backgroundColor: `rgba(64, 139, 202, ${(0.6 * count) / matrixPeak})` }}
+                      >
+                        {count || ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CleanCard>
+      )}
+    </div>
+  );
+};
+
+export default MlpBenchmarkTab;
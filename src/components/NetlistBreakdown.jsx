@@ -0,0 +1,48 @@
+import React from 'react';
+import { GATE_TRANSISTORS, NETLIST_BLOCKS } from '../tilde/netlist';
+
+// Per-type and per-block gate counts of the structural netlist model
+const NetlistBreakdown = ({ netlist }) => (
+  <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-6 tilde-mt-6">
+    <div className="tilde-overflow-x-auto">
+      <table className="tilde-w-full tilde-text-left">
+        <thead>
+          <tr className="tilde-border-b tilde-border-white-20">
+            <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">Gate Type</th>
+            <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">Count</th>
+            <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">Transistors</th>
+          </tr>
+        </thead>
+        <tbody className="tilde-divide-y tilde-divide-white-10">
+          {Object.entries(netlist.byType).map(([type, count]) => (
+            <tr key={type}>
+              <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white tilde-font-mono">{type}</td>
+              <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{count}</td>
+              <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{count * GATE_TRANSISTORS[type]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+    <div className="tilde-overflow-x-auto">
+      <table className="tilde-w-full tilde-text-left">
+        <thead>
+          <tr className="tilde-border-b tilde-border-white-20">
+            <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">Block</th>
+            <th className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-medium tilde-text-white">Gates</th>
+          </tr>
+        </thead>
+        <tbody className="tilde-divide-y tilde-divide-white-10">
+          {Object.entries(netlist.byBlock).filter(([, count]) => count > 0).map(([block, count]) => (
+            <tr key={block}>
+              <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white">{NETLIST_BLOCKS[block]}</td>
+              <td className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-text-white-80 tilde-font-mono">{count}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+export default NetlistBreakdown;
@@ -0,0 +1,190 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { CleanCard, MetricCard } from './ui';
+import { formatReal, formatPercent, formatIndex } from './format';
+import { ROUNDING_MODES, quantize, quantizeArray, histogram, parseValues } from '../tilde/quantize';
+import { indexToValue } from '../tilde/values';
+
+const PREVIEW_ROWS = 50;
+
+const sampleData = '0.25, 0.8, 1, 1.7, 3.14159, 12.5, 100, 2500, -6.2, 0.04';
+
+const QuantizerTab = ({ beta, bitWidth, signed, setA, setB }) => {
+  const [rounding, setRounding] = useState('nearest');
+  const [single, setSingle] = useState(3.14159);
+  const [text, setText] = useState(sampleData);
+  const [fileName, setFileName] = useState(null);
+
+  const config = useMemo(() => ({ beta, bitWidth, signed }), [beta, bitWidth, signed]);
+
+  const singleResult = useMemo(() => {
+    const q = quantize(single, config, { rounding });
+    const decoded = indexToValue(q.index, beta);
+    return { ...q, decoded, error: single !== 0 ? (decoded - single) / Math.abs(single) : 0 };
+  }, [single, config, rounding, beta]);
+
+  const values = useMemo(() => parseValues(text), [text]);
+  const quantized = useMemo(() => quantizeArray(values, config, { rounding }), [values, config, rounding]);
+
+  const histogramData = useMemo(() =>
+    histogram(quantized.errors).map(bin => ({
+      range: `${(bin.from * 100).toFixed(1)}%`,
+      count: bin.count
+    })), [quantized]
+  );
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    file.text().then(setText);
+  };
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Real-Number Quantizer</h2>
+        <p className="tilde-text-white-80">
+          Encode reals into tilde indices at β = {beta.toFixed(4)}, {bitWidth} bits{signed ? ' (signed)' : ''}
+        </p>
+      </div>
+
+      {/* Rounding Mode */}
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Rounding mode:</label>
+        <select
+          value={rounding}
+          onChange={(e) => setRounding(e.target.value)}
+          className="tilde-input tilde-w-full"
+        >
+          {Object.entries(ROUNDING_MODES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </CleanCard>
+
+      {/* Single Value */}
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Encode a Value</h3>
+        <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-6">
+          <div className="tilde-space-y-4">
+            <input
+              type="number"
+              step="any"
+              value={single}
+              onChange={(e) => setSingle(parseFloat(e.target.value || 0))}
+              className="tilde-input tilde-w-full"
+            />
+            <div className="tilde-flex tilde-gap-2">
+              <button onClick={() => setA(singleResult.index)} className="tilde-button secondary">Use as A</button>
+              <button onClick={() => setB(singleResult.index)} className="tilde-button secondary">Use as B</button>
+            </div>
+          </div>
+          <div className="tilde-text-sm tilde-text-white-80 tilde-space-y-2">
+            <div className="tilde-flex tilde-justify-between">
+              <span>Tilde index:</span>
+              <span className="tilde-font-mono">{formatIndex(singleResult.index)}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Decoded value:</span>
+              <span className="tilde-font-mono">{formatReal(singleResult.decoded)}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Relative error:</span>
+              <span className="tilde-font-mono">{formatPercent(singleResult.error)}</span>
+            </div>
+            <div className="tilde-flex tilde-justify-between">
+              <span>Status:</span>
+              <span className="tilde-font-mono">
+                {singleResult.saturated ? 'Saturated'
+                  : singleResult.underflow ? 'Underflow'
+                    : singleResult.clipped ? 'Clipped (negative)'
+                      : singleResult.invalid ? 'Invalid' : 'OK'}
+              </span>
+            </div>
+          </div>
+        </div>
+      </CleanCard>
+
+      {/* Array Input */}
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Encode an Array</h3>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mb-4">
+          Paste CSV, whitespace separated numbers or a JSON array, or upload a .csv / .json file.
+        </p>
+        <textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setFileName(null); }}
+          rows={6}
+          className="tilde-input tilde-textarea tilde-w-full"
+        />
+        <div className="tilde-flex tilde-items-center tilde-gap-4 tilde-mt-4">
+          <input type="file" accept=".csv,.json,.txt" onChange={handleFile} className="tilde-text-sm tilde-text-white-80" />
+          {fileName && <span className="tilde-text-xs tilde-text-white-60">{fileName}</span>}
+        </div>
+      </CleanCard>
+
+      <div className="tilde-grid tilde-grid-cols-2 md:tilde-grid-cols-4 tilde-gap-4">
+        <MetricCard title="Values" value={values.length.toLocaleString('en-US')} unit="parsed" variant="primary" />
+        <MetricCard title="Saturated" value={quantized.counts.saturated} unit="above max code" variant="secondary" />
+        <MetricCard title="Underflow" value={quantized.counts.underflow} unit="non-zero → 0" variant="secondary" />
+        <MetricCard
+          title={signed ? 'Invalid' : 'Clipped'}
+          value={signed ? quantized.counts.invalid : quantized.counts.clipped + quantized.counts.invalid}
+          unit={signed ? 'NaN inputs' : 'negative or NaN'}
+          variant="default"
+        />
+        <MetricCard title="Max Error" value={formatPercent(quantized.maxError)} unit="relative" variant="default" />
+        <MetricCard title="Mean Error" value={formatPercent(quantized.meanError)} unit="relative" variant="default" />
+        <MetricCard title="RMS Error" value={formatPercent(quantized.rmsError)} unit="relative" variant="default" />
+        <MetricCard title="Rounding" value={rounding} unit="mode" variant="default" />
+      </div>
+
+      {/* Error Histogram */}
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Quantization Error Histogram</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <BarChart data={histogramData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+            <XAxis dataKey="range" stroke="rgba(255,255,255,0.5)" />
+            <YAxis allowDecimals={false} stroke="rgba(255,255,255,0.5)" />
+            <Tooltip contentStyle={{ backgroundColor: '#1B4469', borderColor: 'rgba(255,255,255,0.2)', color: '#fff' }} />
+            <Bar dataKey="count" fill="#408BCA" />
+          </BarChart>
+        </ResponsiveContainer>
+        <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">Signed relative error (q − x) / |x|, bin lower edges shown.</p>
+      </CleanCard>
+
+      {/* Preview Table */}
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">
+          Encoded Values {quantized.entries.length > PREVIEW_ROWS && `(first ${PREVIEW_ROWS})`}
+        </h3>
+        <div className="tilde-overflow-x-auto">
+          <table className="tilde-w-full tilde-text-left">
+            <thead>
+              <tr className="tilde-border-b tilde-border-white-20">
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Input</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Index</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Decoded</th>
+                <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Error</th>
+              </tr>
+            </thead>
+            <tbody className="tilde-divide-y tilde-divide-white-10">
+              {quantized.entries.slice(0, PREVIEW_ROWS).map((entry, i) => (
+                <tr key={i}>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatReal(entry.x)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white tilde-font-mono">{formatIndex(entry.index)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatReal(entry.decoded)}</td>
+                  <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">{formatPercent(entry.error)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CleanCard>
+    </div>
+  );
+};
+
+export default QuantizerTab;
@@ -0,0 +1,56 @@
+import React, { useMemo, useRef } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { REPORT_FORMATS, buildReport, reportToHtml, reportToMarkdown } from '../tilde/report';
+
+const writers = { html: reportToHtml, markdown: reportToMarkdown };
+
+const ReportTab = ({ beta, bitWidth, signed, a, b, operation, aluOptions, techName, techData, formats }) => {
+  const previewRef = useRef();
+
+  const report = useMemo(() =>
+    buildReport({ beta, bitWidth, signed, a, b, operation, aluOptions, techName, techData, formats }),
+  [beta, bitWidth, signed, a, b, operation, aluOptions, techName, techData, formats]);
+
+  const html = useMemo(() => reportToHtml(report), [report]);
+
+  const handleExport = (format) => {
+    const { extension, type } = REPORT_FORMATS[format];
+    const name = `tilde_report_b${beta.toFixed(3).replace('.', 'p')}_w${bitWidth}${signed ? 's' : ''}.${extension}`;
+    downloadText(name, writers[format](report), type);
+  };
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Analysis Report</h2>
+        <p className="tilde-text-white-80">
+          One self-contained document for the current configuration: parameters, hardware metrics,
+          competitive analysis, charts and formulas
+        </p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <div className="tilde-flex tilde-flex-wrap tilde-items-center tilde-gap-2">
+          {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+            <button key={format} onClick={() => handleExport(format)} className="tilde-button primary">
+              Download {label}
+            </button>
+          ))}
+          <button onClick={() => previewRef.current?.contentWindow.print()} className="tilde-button secondary">
+            Print / Save as PDF
+          </button>
+          <span className="tilde-text-xs tilde-text-white-60 tilde-ml-2">
+            Formulas use MathML; Markdown embeds charts as SVG images.
+          </span>
+        </div>
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <iframe ref={previewRef} title="Report preview" srcDoc={html} className="tilde-report-preview" />
+      </CleanCard>
+    </div>
+  );
+};
+
+export default ReportTab;
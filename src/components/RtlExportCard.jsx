@@ -0,0 +1,64 @@
+import React, { useState, useMemo } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { OPCODES, generateVerilog } from '../tilde/rtl';
+
+const operationNames = { add: 'Addition', sub: 'Subtraction', mul: 'Multiplication', div: 'Division' };
+
+const RtlExportCard = ({ beta, bitWidth, signed, aluOptions }) => {
+  const [operations, setOperations] = useState(Object.keys(OPCODES));
+  const [showPreview, setShowPreview] = useState(false);
+
+  const toggleOperation = (op) => {
+    setOperations(current => current.includes(op)
+      ? current.filter(o => o !== op)
+      : Object.keys(OPCODES).filter(o => o === op || current.includes(o)));
+  };
+
+  const verilog = useMemo(() =>
+    operations.length ? generateVerilog({ beta, bitWidth, signed, ...aluOptions }, { operations }) : '',
+    [beta, bitWidth, signed, aluOptions, operations]
+  );
+
+  const fileName = `tilde_alu_b${beta.toFixed(3).replace('.', 'p')}_w${bitWidth}${signed ? 's' : ''}.v`;
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Export RTL</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Synthesizable Verilog for the current configuration: LUT ROM, Za/Zb/Ua/Ub/E detectors,
+        opcode decoder and output mux. The datapath follows the in-browser model rule for rule.
+      </p>
+      <div className="tilde-flex tilde-flex-wrap tilde-gap-2 tilde-mb-4">
+        {Object.keys(OPCODES).map(op => (
+          <button
+            key={op}
+            onClick={() => toggleOperation(op)}
+            className={`tilde-button ${operations.includes(op) ? 'primary' : 'secondary'}`}
+          >
+            {operationNames[op]}
+          </button>
+        ))}
+      </div>
+      <div className="tilde-flex tilde-flex-wrap tilde-gap-2">
+        <button
+          onClick={() => downloadText(fileName, verilog)}
+          disabled={!operations.length}
+          className="tilde-button primary"
+        >
+          Download {fileName}
+        </button>
+        <button onClick={() => setShowPreview(!showPreview)} className="tilde-button secondary">
+          {showPreview ? 'Hide' : 'Preview'} Verilog
+        </button>
+      </div>
+      {showPreview && (
+        <pre className="tilde-text-xs tilde-text-green-300 tilde-bg-black-50 tilde-p-4 tilde-rounded-md tilde-overflow-x-auto tilde-mt-4 tilde-code-preview">
+          <code>{verilog || '// Select at least one operation'}</code>
+        </pre>
+      )}
+    </CleanCard>
+  );
+};
+
+export default RtlExportCard;
@@ -0,0 +1,234 @@
+import React, { useState, useMemo } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { formatReal, formatPercent, formatIndex } from './format';
+import { CARRY_POLICIES, FLAGS, LUT_ROUNDING, operationText, raisedFlags } from '../tilde/engine';
+import { DEFAULT_TECH_NODE } from '../tilde/techLibrary';
+import { evaluateScenario, serializeScenarios } from '../tilde/scenarios';
+
+const describe = (s) =>
+  `β=${s.beta.toFixed(4)}, ${s.bitWidth} bits${s.signed ? ' signed' : ''}, ${s.selectedTech}`;
+
+// `better` marks the winning direction for highlighting; omitted rows are informational
+const comparisonRows = [
+  { section: 'Configuration' },
+  { label: 'β', value: (s) => s.beta, format: (v) => v.toFixed(4) },
+  { label: 'Bit width', value: (s) => s.bitWidth },
+  { label: 'Signed', value: (s) => s.signed, format: (v) => (v ? 'yes' : 'no') },
+  { label: 'Process node', value: (s) => s.selectedTech },
+  { label: 'Carry range', value: (s) => (s.carryPolicy === 'fixed' ? `Fixed N = ${s.carryN}` : CARRY_POLICIES[s.carryPolicy]) },
+  { label: 'LUT rounding', value: (s) => LUT_ROUNDING[s.lutRounding] },
+  { section: 'Hardware Metrics' },
+  { label: 'Total gates', value: (s, e) => e.gateCount.total, better: 'min' },
+  { label: 'LUT size (entries)', value: (s, e) => e.lutLength, better: 'min' },
+  { label: 'Transistors (est.)', value: (s, e) => e.transistors, better: 'min' },
+  { label: 'Netlist gates', value: (s, e) => e.netlist.total, better: 'min' },
+  { label: 'NAND2 equivalent', value: (s, e) => e.netlist.nandEquivalent, better: 'min' },
+  { label: 'Logic depth', value: (s, e) => e.netlist.depth, better: 'min' },
+  { section: 'Tilde ALU Performance (1000 blocks)' },
+  { label: 'Computing density (GOPS/µm²)', value: (s, e) => e.performance.computingDensity, better: 'max', format: (v) => v.toFixed(1) },
+  { label: 'Energy efficiency (GOPS/W)', value: (s, e) => e.performance.energyEfficiency, better: 'max', format: (v) => v.toFixed(1) },
+  { label: 'Total performance (GOPS)', value: (s, e) => e.performance.performance, better: 'max', format: (v) => v.toFixed(0) },
+  { label: 'Total power (µW)', value: (s, e) => e.performance.power / 1000, better: 'min', format: (v) => v.toFixed(1) },
+  { label: 'Area (µm²)', value: (s, e) => e.performance.area, better: 'min', format: (v) => v.toFixed(2) },
+  { section: 'Error' },
+  { label: 'Δ% (closed form)', value: (s, e) => e.errorPercentage, better: 'min', format: (v) => `${v.toFixed(2)}%` },
+  { label: 'Mean relative error (measured)', value: (s, e) => e.measuredError.measuredMean, better: 'min', format: (v) => `${v.toFixed(2)}%` },
+  { label: 'Max relative error (measured)', value: (s, e) => e.measuredError.measuredMax, better: 'min', format: (v) => `${v.toFixed(2)}%` },
+  { label: 'Dynamic range (dB)', value: (s, e) => e.dynamicRange, better: 'max', format: (v) => v.toFixed(1) },
+  {
+    label: 'Operation',
+    value: (s, e) => `${operationText(s.operation, formatIndex(s.a), formatIndex(s.b))} = ${formatIndex(e.measurement.result)}`
+  },
+  { label: 'Operation relative error', value: (s, e) => e.measurement.relative, better: 'min', format: formatPercent },
+  { label: 'Operation flags', value: (s, e) => raisedFlags(e.measurement.flags).map(flag => FLAGS[flag]).join(', ') || 'none' },
+  { section: 'LUT' },
+  { label: 'LUT contents', value: (s, e) => e.lut.join(', '), mono: true }
+];
+
+const ScenariosTab = ({ current, techNodes, scenarios, saveScenario, removeScenario, importScenarios, onLoad }) => {
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const names = Object.keys(scenarios);
+  const compared = selected.filter(n => scenarios[n]);
+
+  const evaluations = useMemo(() =>
+    selected.filter(n => scenarios[n]).map(n => {
+      const scenario = scenarios[n];
+      const techData = techNodes[scenario.selectedTech] || techNodes[DEFAULT_TECH_NODE];
+      return { name: n, scenario, evaluation: evaluateScenario(scenario, techData) };
+    }), [selected, scenarios, techNodes]);
+
+  const handleSave = () => {
+    try {
+      saveScenario(name, current);
+      setSelected(s => (s.includes(name.trim()) ? s : [...s, name.trim()]));
+      setName('');
+      setMessage(null);
+    } catch (e) {
+      setMessage({ error: true, text: e.message });
+    }
+  };
+
+  const toggle = (n) => setSelected(s => (s.includes(n) ? s.filter(x => x !== n) : [...s, n]));
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const imported = importScenarios(text);
+        setMessage({ error: false, text: `Imported ${imported.length} scenario(s): ${imported.join(', ')}` });
+      } catch (err) {
+        setMessage({ error: true, text: `Import failed: ${err.message}` });
+      }
+    });
+    e.target.value = '';
+  };
+
+  const cellClass = (row, values, i) => {
+    if (!row.better || values.length < 2) return 'tilde-text-white-80';
+    const best = row.better === 'min' ? Math.min(...values) : Math.max(...values);
+    return values[i] === best ? 'tilde-text-408BCA tilde-font-semibold' : 'tilde-text-white-80';
+  };
+
+  return (
+    <div className="tilde-space-y-6">
+      <div className="tilde-text-center tilde-mb-8">
+        <h2 className="tilde-text-3xl tilde-font-bold tilde-text-white tilde-mb-2">Scenarios</h2>
+        <p className="tilde-text-white-80">Save named configurations and compare them side by side</p>
+      </div>
+
+      <CleanCard className="tilde-p-6" variant="elevated">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Save Current Configuration</h3>
+        <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+          {describe(current)}; {operationText(current.operation, formatIndex(current.a), formatIndex(current.b))}
+        </p>
+        <div className="tilde-flex tilde-flex-wrap tilde-gap-2">
+          <input
+            type="text"
+            value={name}
+            placeholder="Scenario name"
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            className="tilde-input"
+          />
+          <button onClick={handleSave} className="tilde-button primary">Save Scenario</button>
+          <button
+            onClick={() => downloadText('tilde-scenarios.json', serializeScenarios(scenarios), 'application/json')}
+            disabled={!names.length}
+            className="tilde-button secondary"
+          >
+            Export JSON
+          </button>
+          <label className="tilde-button secondary">
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="tilde-hidden" />
+          </label>
+        </div>
+        {message && (
+          <p className={`tilde-text-xs tilde-mt-4 ${message.error ? 'tilde-text-DFA01E' : 'tilde-text-white-80'}`}>{message.text}</p>
+        )}
+      </CleanCard>
+
+      <CleanCard className="tilde-p-6" variant="glass">
+        <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Saved Scenarios</h3>
+        {names.length === 0 ? (
+          <p className="tilde-text-sm tilde-text-white-60">No saved scenarios yet.</p>
+        ) : (
+          <div className="tilde-overflow-x-auto">
+            <table className="tilde-w-full tilde-text-left">
+              <thead>
+                <tr className="tilde-border-b tilde-border-white-20">
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Compare</th>
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Name</th>
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Configuration</th>
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Operation</th>
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white"></th>
+                </tr>
+              </thead>
+              <tbody className="tilde-divide-y tilde-divide-white-10">
+                {names.map(n => {
+                  const s = scenarios[n];
+                  return (
+                    <tr key={n}>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs">
+                        <input type="checkbox" checked={compared.includes(n)} onChange={() => toggle(n)} />
+                      </td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{n}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80">{describe(s)}</td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white-80 tilde-font-mono">
+                        {operationText(s.operation, formatIndex(s.a), formatIndex(s.b))}
+                      </td>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs">
+                        <div className="tilde-flex tilde-gap-2">
+                          <button onClick={() => onLoad(s)} className="tilde-button secondary">Load</button>
+                          <button onClick={() => removeScenario(n)} className="tilde-button secondary">Delete</button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CleanCard>
+
+      {evaluations.length >= 2 && (
+        <CleanCard className="tilde-p-6" variant="elevated">
+          <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Comparison</h3>
+          <div className="tilde-overflow-x-auto">
+            <table className="tilde-w-full tilde-text-left">
+              <thead>
+                <tr className="tilde-border-b tilde-border-white-20">
+                  <th className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">Metric</th>
+                  {evaluations.map(({ name: n }) => (
+                    <th key={n} className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-font-medium tilde-text-white">{n}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="tilde-divide-y tilde-divide-white-10">
+                {comparisonRows.map((row) => {
+                  if (row.section) {
+                    return (
+                      <tr key={row.section} className="tilde-bg-white-10">
+                        <td colSpan={evaluations.length + 1} className="tilde-px-3 tilde-py-2 tilde-text-xs tilde-font-semibold tilde-text-white">
+                          {row.section}
+                        </td>
+                      </tr>
+                    );
+                  }
+                  const values = evaluations.map(({ scenario, evaluation }) => row.value(scenario, evaluation));
+                  return (
+                    <tr key={row.label}>
+                      <td className="tilde-px-3 tilde-py-3 tilde-text-xs tilde-text-white">{row.label}</td>
+                      {values.map((value, i) => (
+                        <td
+                          key={evaluations[i].name}
+                          className={`tilde-px-3 tilde-py-3 tilde-text-xs ${row.mono ? 'tilde-font-mono' : ''} ${cellClass(row, values, i)}`}
+                        >
+                          {row.format ? row.format(value) : typeof value === 'number' ? formatReal(value) : value}
+                          {row.better && i > 0 && Number.isFinite(values[0]) && values[0] !== 0 && (
+                            <span className="tilde-text-white-60"> ({value >= values[0] ? '+' : ''}{(100 * (value - values[0]) / Math.abs(values[0])).toFixed(1)}%)</span>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="tilde-text-xs tilde-text-white-60 tilde-mt-4">
+            Best value per row is highlighted; percentages are relative to the first selected scenario ({evaluations[0].name}).
+          </p>
+        </CleanCard>
+      )}
+    </div>
+  );
+};
+
+export default ScenariosTab;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { BUILTIN_TECH_NODES, TECH_PARAMETERS, serializeTechLibrary } from '../tilde/techLibrary';
+
+const uniqueName = (base, techNodes) => {
+  let name = base;
+  for (let i = 2; techNodes[name]; i++) name = `${base} ${i}`;
+  return name;
+};
+
+const TechLibraryEditor = ({ techNodes, customNodes, selectedTech, setSelectedTech, saveNode, removeNode, importNodes }) => {
+  // draft: { name, previousName, values } while the form is open
+  const [draft, setDraft] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const isCustom = Boolean(customNodes[selectedTech]);
+  const overridesBuiltin = isCustom && Boolean(BUILTIN_TECH_NODES[selectedTech]);
+
+  const openDraft = (name, previousName, values) => {
+    setMessage(null);
+    setDraft({ name, previousName, values: { ...values } });
+  };
+
+  const handleSave = () => {
+    try {
+      const values = Object.fromEntries(Object.entries(draft.values).map(([key, value]) => [key, parseFloat(value)]));
+      saveNode(draft.name, values, draft.previousName);
+      setSelectedTech(draft.name.trim());
+      setDraft(null);
+      setMessage(null);
+    } catch (e) {
+      setMessage({ error: true, text: e.message });
+    }
+  };
+
+  const handleRemove = () => {
+    removeNode(selectedTech);
+    if (!BUILTIN_TECH_NODES[selectedTech]) setSelectedTech(Object.keys(BUILTIN_TECH_NODES)[0]);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const names = importNodes(text);
+        setMessage({ error: false, text: `Imported ${names.length} node(s): ${names.join(', ')}` });
+      } catch (err) {
+        setMessage({ error: true, text: `Import failed: ${err.message}` });
+      }
+    });
+    e.target.value = '';
+  };
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Technology Library</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Create, clone and edit process nodes for foundry-specific or hypothetical PDK numbers. Custom nodes are
+        saved in this browser and can be shared as JSON. Editing a built-in node saves an override that can be reset.
+      </p>
+
+      <div className="tilde-flex tilde-flex-wrap tilde-gap-2 tilde-mb-4">
+        <button
+          onClick={() => openDraft(uniqueName('custom', techNodes), null, techNodes[selectedTech])}
+          className="tilde-button secondary"
+        >
+          New Node
+        </button>
+        <button
+          onClick={() => openDraft(uniqueName(`${selectedTech} copy`, techNodes), null, techNodes[selectedTech])}
+          className="tilde-button secondary"
+        >
+          Clone {selectedTech}
+        </button>
+        <button
+          onClick={() => openDraft(selectedTech, selectedTech, techNodes[selectedTech])}
+          className="tilde-button secondary"
+        >
+          Edit {selectedTech}
+        </button>
+        {isCustom && (
+          <button onClick={handleRemove} className="tilde-button secondary">
+            {overridesBuiltin ? `Reset ${selectedTech}` : `Delete ${selectedTech}`}
+          </button>
+        )}
+        <button
+          onClick={() => downloadText('tilde-tech-library.json', serializeTechLibrary(customNodes), 'application/json')}
+          disabled={!Object.keys(customNodes).length}
+          className="tilde-button secondary"
+        >
+          Export JSON
+        </button>
+        <label className="tilde-button secondary">
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="tilde-hidden" />
+        </label>
+      </div>
+
+      {message && (
+        <p className={`tilde-text-xs tilde-mb-4 ${message.error ? 'tilde-text-DFA01E' : 'tilde-text-white-80'}`}>{message.text}</p>
+      )}
+
+      {draft && (
+        <div className="tilde-bg-white-10 tilde-p-4 tilde-rounded-lg tilde-border tilde-border-white-20 tilde-space-y-4">
+          <div>
+            <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Name:</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              className="tilde-input tilde-w-full"
+            />
+          </div>
+          <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-2 tilde-gap-4">
+            {Object.entries(TECH_PARAMETERS).map(([key, { label, unit }]) => (
+              <div key={key}>
+                <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">
+                  {label}{unit && ` (${unit})`}:
+                </label>
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.values[key]}
+                  onChange={(e) => setDraft({ ...draft, values: { ...draft.values, [key]: e.target.value } })}
+                  className="tilde-input tilde-w-full"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="tilde-flex tilde-gap-2">
+            <button onClick={handleSave} className="tilde-button primary">Save</button>
+            <button onClick={() => { setDraft(null); setMessage(null); }} className="tilde-button secondary">Cancel</button>
+          </div>
+        </div>
+      )}
+    </CleanCard>
+  );
+};
+
+export default TechLibraryEditor;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { CleanCard } from './ui';
+import { downloadText } from './download';
+import { OPCODES } from '../tilde/rtl';
+import { FLAGS } from '../tilde/engine';
+import {
+  MAX_EXHAUSTIVE_VECTORS, exhaustiveVectorCount, generateVectors, maxSampleSize, parseSampleSize, vectorFlagCounts,
+  vectorHeader, vectorsToCsv, vectorsToHex, vectorsToJson
+} from '../tilde/vectors';
+
+const formats = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv', write: vectorsToCsv },
+  hex: { label: '$readmemh hex', extension: 'hex', type: 'text/plain', write: vectorsToHex },
+  json: { label: 'JSON', extension: 'json', type: 'application/json', write: vectorsToJson }
+};
+
+const TestVectorCard = ({ beta, bitWidth, signed, aluOptions }) => {
+  const operations = Object.keys(OPCODES);
+  const exhaustiveCount = exhaustiveVectorCount({ bitWidth }, operations);
+  const exhaustiveAllowed = exhaustiveCount <= MAX_EXHAUSTIVE_VECTORS;
+
+  const [mode, setMode] = useState('sampled');
+  const [sampleSize, setSampleSize] = useState(1000);
+  const [seed, setSeed] = useState(1);
+  // Flag counts of the last exported set
+  const [flagCounts, setFlagCounts] = useState(null);
+
+  const exhaustive = mode === 'exhaustive' && exhaustiveAllowed;
+  const vectorCount = exhaustive ? exhaustiveCount : sampleSize * operations.length;
+
+  const handleExport = (format) => {
+    const config = { beta, bitWidth, signed, ...aluOptions };
+    const options = { operations, sample: exhaustive ? 'exhaustive' : sampleSize, seed };
+    const vectors = generateVectors(config, options);
+    setFlagCounts(vectorFlagCounts(vectors));
+    const { extension, type, write } = formats[format];
+    const name = `tilde_vectors_b${beta.toFixed(3).replace('.', 'p')}_w${bitWidth}${signed ? 's' : ''}.${extension}`;
+    downloadText(name, write(vectors, vectorHeader(config, options)), type);
+  };
+
+  return (
+    <CleanCard className="tilde-p-6" variant="elevated">
+      <h3 className="tilde-text-lg tilde-font-semibold tilde-text-white tilde-mb-4">Test Vector Export</h3>
+      <p className="tilde-text-xs tilde-text-white-80 tilde-mb-4">
+        Golden (opcode, a, b) → result vectors from the JS engine. Every file starts with a header recording β,
+        bit width, signedness, opcodes, LUT contents and carry range. CSV and JSON rows also list the status flags
+        each vector raises.
+      </p>
+
+      <div className="tilde-grid tilde-grid-cols-1 md:tilde-grid-cols-3 tilde-gap-4 tilde-mb-4">
+        <div>
+          <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Coverage:</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className="tilde-input tilde-w-full">
+            <option value="sampled">Random sample</option>
+            <option value="exhaustive" disabled={!exhaustiveAllowed}>
+              Exhaustive ({exhaustiveCount.toLocaleString('en-US')}){exhaustiveAllowed ? '' : ' - too large'}
+            </option>
+          </select>
+        </div>
+        <div>
+          <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Pairs per opcode:</label>
+          <input
+            type="number"
+            min="1"
+            max={maxSampleSize(operations)}
+            value={sampleSize}
+            disabled={exhaustive}
+            onChange={(e) => setSampleSize(parseSampleSize(e.target.value, operations))}
+            className="tilde-input tilde-w-full"
+          />
+        </div>
+        <div>
+          <label className="tilde-block tilde-text-sm tilde-font-medium tilde-text-white tilde-mb-2">Seed:</label>
+          <input
+            type="number"
+            value={seed}
+            disabled={exhaustive}
+            onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+            className="tilde-input tilde-w-full"
+          />
+        </div>
+      </div>
+
+      <div className="tilde-flex tilde-flex-wrap tilde-items-center tilde-gap-2">
+        {Object.entries(formats).map(([format, { label }]) => (
+          <button key={format} onClick={() => handleExport(format)} className="tilde-button primary">
+            {label}
+          </button>
+        ))}
+        <span className="tilde-text-xs tilde-text-white-60 tilde-ml-2">
+          {vectorCount.toLocaleString('en-US')} vectors
+        </span>
+      </div>
+      {flagCounts && (
+        <p className="tilde-text-xs tilde-text-white-80 tilde-mt-4">
+          Last export: {Object.entries(FLAGS).map(([flag, label]) => `${flagCounts[flag].toLocaleString('en-US')} ${label.toLowerCase()}`).join(', ')}
+        </p>
+      )}
+    </CleanCard>
+  );
+};
+
+export default TestVectorCard;
@@ -0,0 +1,14 @@
+// Browser download helpers
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (filename, text, type = 'text/plain') =>
+  downloadBlob(filename, new Blob([text], { type }));
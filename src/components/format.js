@@ -0,0 +1,15 @@
+// Formatting helpers
+// Keeps the sign of the negative zero code, which String() drops
+export const formatIndex = (index) => (Object.is(index, -0) ? '-0' : String(index));
+
+export const formatReal = (value) => {
+  if (Number.isNaN(value)) return 'undefined';
+  if (!Number.isFinite(value)) return value > 0 ? '∞' : '−∞';
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e6 || magnitude < 1e-3) return value.toExponential(3);
+  return parseFloat(value.toPrecision(6)).toString();
+};
+
+export const formatPercent = (ratio) =>
+  Number.isFinite(ratio) ? `${(ratio * 100).toFixed(4)}%` : formatReal(ratio);
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// UI Components
+export const CleanCard = ({ children, className = "", variant = "default" }) => {
+  const variantClasses = {
+    default: "tilde-card",
+    elevated: "tilde-card elevated",
+    glass: "tilde-card glass"
+  };
+
+  return (
+    <div className={`${variantClasses[variant]} ${className}`}>
+      {children}
+    </div>
+  );
+};
+
+export const MetricCard = ({ title, value, unit, variant = "default", description }) => {
+  return (
+    <div className={`tilde-metric-card ${variant}`}>
+      <h4 className="tilde-metric-title">{title}</h4>
+      <div className="tilde-metric-value">{value}</div>
+      <div className="tilde-metric-unit">{unit}</div>
+      {description && <div className="tilde-metric-description">{description}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import { CARRY_POLICIES, LUT_ROUNDING, operandLimits, operations } from '../tilde/engine';
+import { BETA_MIN, BETA_MAX } from '../tilde/betaScale';
+
+// URL layout: /<tab>?bits=4&beta=2.5&signed=0&a=5&b=3&op=add&tech=7nm&carry=fixed&carryN=8&lutRound=floor
+// The tab is the path so each view is its own route; everything else is a
+// query parameter. Unknown or out-of-range values fall back to defaults.
+
+const clamp = (value, lo, hi) => Math.min(hi, Math.max(lo, value));
+
+const parseNumber = (text, fallback) => {
+  const value = Number(text);
+  return text !== null && text !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+export const parseRoute = ({ pathname, search }, tabs, defaults) => {
+  const params = new URLSearchParams(search);
+  const tab = pathname.replace(/^\/+|\/+$/g, '');
+  const bitWidth = clamp(Math.round(parseNumber(params.get('bits'), defaults.bitWidth)), 2, 12);
+  const signed = params.has('signed') ? params.get('signed') === '1' : defaults.signed;
+  const operation = operations[params.get('op')] ? params.get('op') : defaults.operation;
+  // Keep -0, the signed negative-zero code, distinct from 0
+  const operand = (key) => {
+    const text = params.get(key);
+    if (signed && text === '-0') return -0;
+    return clamp(Math.trunc(parseNumber(text, defaults[key])), ...operandLimits(key, operation, { bitWidth, signed }));
+  };
+
+  return {
+    activeTab: tabs.includes(tab) ? tab : defaults.activeTab,
+    bitWidth,
+    beta: clamp(parseNumber(params.get('beta'), defaults.beta), BETA_MIN, BETA_MAX),
+    signed,
+    a: operand('a'),
+    b: operand('b'),
+    operation,
+    selectedTech: params.get('tech') || defaults.selectedTech,
+    carryPolicy: CARRY_POLICIES[params.get('carry')] ? params.get('carry') : defaults.carryPolicy,
+    carryN: clamp(Math.round(parseNumber(params.get('carryN'), defaults.carryN)), 1, 4096),
+    lutRounding: LUT_ROUNDING[params.get('lutRound')] ? params.get('lutRound') : defaults.lutRounding
+  };
+};
+
+export const buildRoute = (state) => {
+  const params = new URLSearchParams({
+    bits: state.bitWidth,
+    beta: state.beta,
+    signed: state.signed ? 1 : 0,
+    a: Object.is(state.a, -0) ? '-0' : state.a,
+    b: Object.is(state.b, -0) ? '-0' : state.b,
+    op: state.operation,
+    tech: state.selectedTech,
+    carry: state.carryPolicy,
+    carryN: state.carryN,
+    lutRound: state.lutRounding
+  });
+  return `/${state.activeTab}?${params}`;
+};
+
+// Mirrors `state` into the address bar: switching tabs pushes a history
+// entry, other changes replace the current one. Back/forward hands the
+// parsed route to `applyRoute`.
+export const useAppRoute = (state, applyRoute, tabs, defaults) => {
+  const lastTab = useRef(state.activeTab);
+  const route = buildRoute(state);
+
+  useEffect(() => {
+    const current = window.location.pathname + window.location.search;
+    if (route === current) return;
+    if (lastTab.current !== state.activeTab) window.history.pushState(null, '', route);
+    else window.history.replaceState(null, '', route);
+    lastTab.current = state.activeTab;
+  }, [route, state.activeTab]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const next = parseRoute(window.location, tabs, defaults);
+      lastTab.current = next.activeTab;
+      applyRoute(next);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyRoute, tabs, defaults]);
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useMemo } from 'react';
+
+// Built-in plus user-defined catalog entries, persisted through `save`.
+// `validate(name, entry)` and `parse(text)` throw on invalid input, so
+// saveEntry and importEntries do too and editors can report the message.
+export const useCatalog = ({ load, save, merge, validate, parse }) => {
+  const [custom, setCustom] = useState(load);
+
+  useEffect(() => {
+    save(custom);
+  }, [custom, save]);
+
+  const entries = useMemo(() => merge(custom), [custom, merge]);
+
+  const saveEntry = (name, entry, previousName) => {
+    const key = name.trim();
+    const validated = validate(key, entry);
+    setCustom(current => {
+      const next = { ...current };
+      if (previousName && previousName !== key) delete next[previousName];
+      next[key] = validated;
+      return next;
+    });
+  };
+
+  const removeEntry = (name) => {
+    setCustom(current => {
+      const next = { ...current };
+      delete next[name];
+      return next;
+    });
+  };
+
+  const importEntries = (text) => {
+    const imported = parse(text);
+    setCustom(current => ({ ...current, ...imported }));
+    return Object.keys(imported);
+  };
+
+  return { entries, custom, saveEntry, removeEntry, importEntries };
+};
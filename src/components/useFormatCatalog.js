@@ -0,0 +1,24 @@
+import { useCatalog } from './useCatalog';
+import {
+  loadCustomFormats, saveCustomFormats, mergeFormats, validateFormat, parseFormatCatalog
+} from '../tilde/formats';
+
+const catalog = {
+  load: loadCustomFormats,
+  save: saveCustomFormats,
+  merge: mergeFormats,
+  validate: validateFormat,
+  parse: parseFormatCatalog
+};
+
+// Built-in plus user-defined competitor formats, persisted to localStorage
+export const useFormatCatalog = () => {
+  const { entries, custom, saveEntry, removeEntry, importEntries } = useCatalog(catalog);
+  return {
+    formats: entries,
+    customFormats: custom,
+    saveFormat: saveEntry,
+    removeFormat: removeEntry,
+    importFormats: importEntries
+  };
+};
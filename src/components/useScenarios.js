@@ -0,0 +1,23 @@
+import { useCatalog } from './useCatalog';
+import {
+  loadScenarios, saveScenarios, mergeScenarios, validateScenario, parseScenarios
+} from '../tilde/scenarios';
+
+const catalog = {
+  load: loadScenarios,
+  save: saveScenarios,
+  merge: mergeScenarios,
+  validate: validateScenario,
+  parse: parseScenarios
+};
+
+// Named calculator configurations, persisted to localStorage
+export const useScenarios = () => {
+  const { custom, saveEntry, removeEntry, importEntries } = useCatalog(catalog);
+  return {
+    scenarios: custom,
+    saveScenario: saveEntry,
+    removeScenario: removeEntry,
+    importScenarios: importEntries
+  };
+};
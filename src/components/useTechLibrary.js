@@ -0,0 +1,24 @@
+import { useCatalog } from './useCatalog';
+import {
+  loadCustomTechNodes, saveCustomTechNodes, mergeTechNodes, validateTechNode, parseTechLibrary
+} from '../tilde/techLibrary';
+
+const catalog = {
+  load: loadCustomTechNodes,
+  save: saveCustomTechNodes,
+  merge: mergeTechNodes,
+  validate: validateTechNode,
+  parse: parseTechLibrary
+};
+
+// Built-in plus user-defined process nodes, persisted to localStorage
+export const useTechLibrary = () => {
+  const { entries, custom, saveEntry, removeEntry, importEntries } = useCatalog(catalog);
+  return {
+    techNodes: entries,
+    customNodes: custom,
+    saveNode: saveEntry,
+    removeNode: removeEntry,
+    importNodes: importEntries
+  };
+};
@@ -0,0 +1,199 @@
+// Audio and MIDI
+//
+// Checks the tilde encoding against musical tolerances. Every MIDI note
+// frequency 440 · 2^((n − 69)/12) Hz is quantized to the nearest code and its
+// pitch error reported in cents (1/100 semitone); a geometric grid has the
+// same spacing in cents everywhere, 1200 · log2 β, until the range runs out.
+// Note amplitudes are velocity gains in (0, 1], stored scaled by a power of β
+// so full scale sits at the largest code, which makes their steps 20 · log10 β
+// dB apart.
+//
+// A short phrase is synthesized in pure JS twice: once with float frequencies
+// and gains and once with the tilde-stored ones, then written as 16-bit WAV.
+
+import { maxIndex } from './engine.js';
+import { indexToValue } from './values.js';
+import { decodeScaled, encodeScaled, quantize, scaleExponent } from './quantize.js';
+
+export const SAMPLE_RATE = 22050;
+
+export const MIDI_NOTES = 128;
+
+// Piano keys A0 to C8
+export const PIANO_RANGE = [21, 108];
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+export const noteName = (note) => `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+export const noteFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+export const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+// Grid spacing of the encoding in cents; pitch error is at most half of it
+export const centsPerStep = (beta) => 1200 * Math.log2(beta);
+
+// Linear gain of a MIDI velocity, squared as most synthesizers do
+export const velocityGain = (velocity) => (velocity / 127) ** 2;
+
+// Short phrases as [note, velocity, beats]; a note of null is a rest
+export const PHRASES = {
+  ode: {
+    label: 'Ode to Joy (Beethoven)',
+    tempo: 132,
+    notes: [
+      [64, 90, 1], [64, 80, 1], [65, 85, 1], [67, 100, 1],
+      [67, 90, 1], [65, 80, 1], [64, 85, 1], [62, 75, 1],
+      [60, 80, 1], [60, 70, 1], [62, 85, 1], [64, 95, 1],
+      [64, 100, 1.5], [62, 70, 0.5], [62, 90, 2]
+    ]
+  },
+  scale: {
+    label: 'Chromatic scale C4–C5',
+    tempo: 200,
+    notes: Array.from({ length: 13 }, (_, i) => [60 + i, 100, 1])
+  },
+  dynamics: {
+    label: 'Crescendo on A4',
+    tempo: 180,
+    notes: [16, 32, 48, 64, 80, 96, 112, 127].map(velocity => [69, velocity, 1])
+  }
+};
+
+// Scale exponent that puts full-scale gain at the largest code
+const gainExponent = (config) => scaleExponent(1, maxIndex(config.bitWidth, config.signed), config.beta);
+
+export const quantizeFrequency = (frequency, config) => {
+  const q = quantize(frequency, config);
+  return { index: q.index, value: indexToValue(q.index, config.beta), saturated: q.saturated, underflow: q.underflow };
+};
+
+export const quantizeGain = (gain, config) => {
+  const exponent = gainExponent(config);
+  const index = encodeScaled(gain, exponent, config);
+  return { index, value: decodeScaled(index, exponent, config.beta) };
+};
+
+// Pitch error of every MIDI note. Notes sharing a code with a lower note are
+// marked `merged`: the encoding cannot tell them apart.
+export const noteTable = (config) => {
+  let previous = null;
+  return Array.from({ length: MIDI_NOTES }, (_, note) => {
+    const frequency = noteFrequency(note);
+    const q = quantizeFrequency(frequency, config);
+    const entry = {
+      note,
+      name: noteName(note),
+      frequency,
+      index: q.index,
+      quantized: q.value,
+      cents: q.value > 0 ? cents(q.value, frequency) : -Infinity,
+      saturated: q.saturated,
+      underflow: q.underflow,
+      merged: q.index === previous
+    };
+    previous = q.index;
+    return entry;
+  });
+};
+
+// Worst and mean pitch error, and how many piano keys keep a code of their own
+export const pitchSummary = (table) => {
+  const [lo, hi] = PIANO_RANGE;
+  const piano = table.filter(entry => entry.note >= lo && entry.note <= hi);
+  const errors = piano.map(entry => Math.abs(entry.cents));
+  return {
+    maxCents: Math.max(...errors),
+    meanCents: errors.reduce((s, e) => s + e, 0) / errors.length,
+    distinct: new Set(piano.map(entry => entry.index)).size,
+    keys: piano.length,
+    saturated: piano.filter(entry => entry.saturated || entry.underflow).length
+  };
+};
+
+// Worst gain error in dB over all non-zero velocities
+export const gainSummary = (config) => {
+  const errors = Array.from({ length: 127 }, (_, i) => {
+    const gain = velocityGain(i + 1);
+    const q = quantizeGain(gain, config);
+    return q.value > 0 ? Math.abs(20 * Math.log10(q.value / gain)) : Infinity;
+  });
+  return { maxDb: Math.max(...errors), silent: errors.filter(e => e === Infinity).length };
+};
+
+// Two-partial tone with a short attack and an exponential decay
+const ATTACK = 0.01;
+const RELEASE = 0.08;
+const DECAY = 3;
+
+const renderNote = (samples, start, length, frequency, gain) => {
+  const end = Math.min(samples.length, start + length + Math.round(RELEASE * SAMPLE_RATE));
+  for (let i = start; i < end; i++) {
+    const t = (i - start) / SAMPLE_RATE;
+    const attack = Math.min(1, t / ATTACK);
+    const release = i < start + length ? 1 : 1 - (i - start - length) / (RELEASE * SAMPLE_RATE);
+    const envelope = attack * release * Math.exp(-DECAY * t);
+    const phase = 2 * Math.PI * frequency * t;
+    samples[i] += gain * envelope * (Math.sin(phase) + 0.3 * Math.sin(2 * phase));
+  }
+};
+
+// Float and tilde renders of a phrase at SAMPLE_RATE, sharing one
+// normalization so their levels compare. `notes` lists each played note's
+// float and tilde frequency and gain.
+export const renderPhrase = (phraseId, config) => {
+  const phrase = PHRASES[phraseId];
+  const beat = Math.round((60 / phrase.tempo) * SAMPLE_RATE);
+  const length = phrase.notes.reduce((s, [, , beats]) => s + Math.round(beats * beat), 0) + Math.round(RELEASE * SAMPLE_RATE);
+  const reference = new Float32Array(length);
+  const tilde = new Float32Array(length);
+  const notes = [];
+
+  let start = 0;
+  phrase.notes.forEach(([note, velocity, beats]) => {
+    const duration = Math.round(beats * beat);
+    if (note !== null) {
+      const frequency = noteFrequency(note);
+      const gain = velocityGain(velocity);
+      const q = quantizeFrequency(frequency, config);
+      const g = quantizeGain(gain, config);
+      renderNote(reference, start, duration, frequency, gain);
+      if (q.value > 0) renderNote(tilde, start, duration, q.value, g.value);
+      notes.push({ note, name: noteName(note), velocity, frequency, quantized: q.value, gain, quantizedGain: g.value });
+    }
+    start += duration;
+  });
+
+  let peak = 0;
+  for (let i = 0; i < length; i++) peak = Math.max(peak, Math.abs(reference[i]), Math.abs(tilde[i]));
+  const scale = peak > 0 ? 0.9 / peak : 1;
+  for (let i = 0; i < length; i++) {
+    reference[i] *= scale;
+    tilde[i] *= scale;
+  }
+  return { reference, tilde, notes, duration: length / SAMPLE_RATE };
+};
+
+// Mono 16-bit PCM WAV file
+export const encodeWav = (samples, sampleRate = SAMPLE_RATE) => {
+  const buffer = new ArrayBuffer(44 + 2 * samples.length);
+  const view = new DataView(buffer);
+  const text = (offset, s) => [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + 2 * samples.length, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, 2 * sampleRate, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, 2 * samples.length, true);
+  samples.forEach((x, i) => {
+    view.setInt16(44 + 2 * i, Math.round(Math.max(-1, Math.min(1, x)) * 32767), true);
+  });
+  return buffer;
+};
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SAMPLE_RATE,
+  centsPerStep,
+  encodeWav,
+  gainSummary,
+  noteTable,
+  pitchSummary,
+  quantizeGain,
+  renderPhrase
+} from './audio.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message ?? ''} ${actual} vs ${expected}`);
+
+test('A4 at β = 1.4 and 6 bits rounds down to 1.4^18 Hz', () => {
+  [false, true].forEach((signed) => {
+    const a4 = noteTable({ beta: 1.4, bitWidth: 6, signed })[69];
+    assert.equal(a4.name, 'A4');
+    assert.equal(a4.frequency, 440);
+    // 1 + log_1.4 440 ≈ 19.09 rounds to code 19
+    assert.equal(a4.index, 19);
+    close(a4.quantized, 426.8788542106363);
+    close(a4.cents, -52.41218935237139);
+    assert.equal(a4.saturated, false);
+  });
+});
+
+test('pitch error stays within half a grid step on the piano keys', () => {
+  const config = { beta: 1.4, bitWidth: 6, signed: false };
+  close(centsPerStep(1.4), 582.51219260429);
+  const summary = pitchSummary(noteTable(config));
+  assert.equal(summary.keys, 88);
+  assert.equal(summary.saturated, 0);
+  assert.ok(summary.maxCents <= centsPerStep(1.4) / 2);
+  // Steps of almost five semitones leave 16 distinct codes for 88 keys
+  assert.equal(summary.distinct, 16);
+});
+
+test('notes sharing a code are merged and out-of-range notes saturate', () => {
+  const table = noteTable({ beta: 1.4, bitWidth: 4, signed: false });
+  assert.equal(table[0].index, 7);
+  assert.equal(table[0].merged, false);
+  assert.equal(table[1].index, 7);
+  assert.equal(table[1].merged, true);
+  assert.equal(table[127].index, 15);
+  assert.equal(table[127].saturated, true);
+});
+
+test('full-scale gain sits at the largest code and velocity steps stay within half a step in dB', () => {
+  const config = { beta: 1.4, bitWidth: 6, signed: false };
+  assert.deepEqual(quantizeGain(1, config), { index: 63, value: 1 });
+  const { maxDb, silent } = gainSummary(config);
+  assert.equal(silent, 0);
+  assert.ok(maxDb <= 10 * Math.log10(1.4) + 1e-12, `${maxDb} dB`);
+});
+
+test('WAV header fields match the sample count', () => {
+  const samples = [0, 1, -1, 0.5, 2];
+  const view = new DataView(encodeWav(samples, 8000));
+  const text = (offset, length) => String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+  assert.equal(view.byteLength, 44 + 2 * samples.length);
+  assert.equal(text(0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), 36 + 2 * samples.length);
+  assert.equal(text(8, 8), 'WAVEfmt ');
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 1);
+  assert.equal(view.getUint32(24, true), 8000);
+  assert.equal(view.getUint32(28, true), 16000);
+  assert.equal(view.getUint16(32, true), 2);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36, 4), 'data');
+  assert.equal(view.getUint32(40, true), 2 * samples.length);
+  // Samples are clipped to [-1, 1] and scaled to ±32767
+  assert.deepEqual([0, 1, 2, 3, 4].map(i => view.getInt16(44 + 2 * i, true)), [0, 32767, -32767, 16384, 32767]);
+});
+
+test('a rendered phrase encodes to a WAV of the same length at the sample rate', () => {
+  const { reference, tilde, duration } = renderPhrase('scale', { beta: 1.05, bitWidth: 8, signed: false });
+  assert.equal(reference.length, tilde.length);
+  close(duration, reference.length / SAMPLE_RATE);
+  const view = new DataView(encodeWav(tilde));
+  assert.equal(view.getUint32(24, true), SAMPLE_RATE);
+  assert.equal(view.getUint32(40, true), 2 * tilde.length);
+});
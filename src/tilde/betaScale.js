@@ -0,0 +1,21 @@
+// Logarithmic β scale used by the β slider: slider 0-100 maps onto
+// β - 1 between 0.02 and 29, so precision-oriented bases get most of the track.
+
+export const BETA_MIN = 1.02;
+export const BETA_MAX = 30.0;
+
+const logMin = Math.log(BETA_MIN - 1.0);
+const logMax = Math.log(BETA_MAX - 1.0);
+
+export const betaToSlider = (beta) => {
+  if (beta <= BETA_MIN) return 0;
+  if (beta >= BETA_MAX) return 100;
+
+  const logBeta = Math.log(beta - 1.0);
+  return ((logBeta - logMin) / (logMax - logMin)) * 100;
+};
+
+export const sliderToBeta = (sliderValue) => {
+  const logBeta = logMin + (sliderValue / 100) * (logMax - logMin);
+  return Math.max(BETA_MIN, Math.min(BETA_MAX, 1.0 + Math.exp(logBeta)));
+};
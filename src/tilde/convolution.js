@@ -0,0 +1,327 @@
+// Image Convolution
+//
+// Applies a 3×3 kernel to a grayscale image in tilde arithmetic and in float64
+// and scores the tilde output against the float reference with PSNR and SSIM.
+// Images are `{ width, height, pixels }` with pixels in [0, 1], row-major;
+// borders replicate the edge pixel.
+//
+// Kernel taps and pixels are stored scaled by powers of β (see quantize.js)
+// and every pixel is one sequential tilde MAC per tap. Signed mode
+// accumulates signed taps directly. Unsigned words cannot hold a negative tap,
+// so there the positive and negative taps are accumulated separately and the
+// result is their tilde difference, signed by comparing the two sums.
+
+import { evaluateFlagged, isNegative, mergeFlags, FLAGS } from './engine.js';
+import { decodeScaled, encodeScaled, headroomIndex, scaleExponent } from './quantize.js';
+
+// Loaded images are downscaled to fit this many pixels per side
+export const IMAGE_MAX_SIZE = 128;
+
+// `magnitude` kernels are shown as |v| / range; the others clamp v to [0, 1].
+// `identity` isolates the error of storing the pixels as tilde indices.
+// `sobel` sums |Gx| + |Gy|, the usual hardware stand-in for the L2 gradient.
+export const KERNELS = {
+  identity: {
+    label: 'Identity (quantization only)',
+    taps: [[0, 0, 0], [0, 1, 0], [0, 0, 0]]
+  },
+  box: {
+    label: 'Box blur',
+    taps: [[1 / 9, 1 / 9, 1 / 9], [1 / 9, 1 / 9, 1 / 9], [1 / 9, 1 / 9, 1 / 9]]
+  },
+  gaussian: {
+    label: 'Gaussian blur',
+    taps: [[1 / 16, 2 / 16, 1 / 16], [2 / 16, 4 / 16, 2 / 16], [1 / 16, 2 / 16, 1 / 16]]
+  },
+  sharpen: {
+    label: 'Sharpen',
+    taps: [[0, -1, 0], [-1, 5, -1], [0, -1, 0]]
+  },
+  sobelX: {
+    label: 'Sobel Gx',
+    taps: [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]],
+    magnitude: true,
+    range: 4
+  },
+  sobelY: {
+    label: 'Sobel Gy',
+    taps: [[-1, -2, -1], [0, 0, 0], [1, 2, 1]],
+    magnitude: true,
+    range: 4
+  },
+  sobel: {
+    label: 'Sobel |Gx| + |Gy|',
+    taps: [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]],
+    second: [[-1, -2, -1], [0, 0, 0], [1, 2, 1]],
+    magnitude: true,
+    range: 8
+  }
+};
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+const luminance = (r, g, b) => (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+// Grayscale image from canvas RGBA data
+export const imageFromRgba = (data, width, height) => {
+  const pixels = new Float64Array(width * height);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = luminance(data[4 * i], data[4 * i + 1], data[4 * i + 2]);
+  return { width, height, pixels };
+};
+
+const generateImage = (size, shade) => {
+  const pixels = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) pixels[y * size + x] = clamp01(shade(x / size, y / size));
+  }
+  return { width: size, height: size, pixels };
+};
+
+// Procedural test images, generated so the bundle carries no binary assets
+export const SAMPLE_IMAGES = {
+  shapes: {
+    label: 'Shapes on a gradient',
+    generate: (size = IMAGE_MAX_SIZE) => generateImage(size, (u, v) => {
+      if (Math.hypot(u - 0.32, v - 0.35) < 0.2) return 0.9;
+      if (u > 0.55 && u < 0.88 && v > 0.52 && v < 0.85) return 0.15;
+      if (Math.abs(u - v) < 0.03) return 1;
+      return 0.2 + 0.6 * u * (1 - 0.5 * v);
+    })
+  },
+  zonePlate: {
+    label: 'Zone plate',
+    generate: (size = IMAGE_MAX_SIZE) => generateImage(size, (u, v) =>
+      0.5 + 0.5 * Math.cos(90 * ((u - 0.5) ** 2 + (v - 0.5) ** 2)))
+  },
+  checker: {
+    label: 'Checkerboard and ramp',
+    generate: (size = IMAGE_MAX_SIZE) => generateImage(size, (u, v) => {
+      if (v < 0.25) return u;
+      return (Math.floor(u * 8) + Math.floor(v * 8)) % 2 ? 0.85 : 0.1;
+    })
+  }
+};
+
+const window3x3 = (pixels, width, height, x, y) => {
+  const values = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    const row = Math.min(height - 1, Math.max(0, y + dy));
+    for (let dx = -1; dx <= 1; dx++) {
+      values.push(pixels[row * width + Math.min(width - 1, Math.max(0, x + dx))]);
+    }
+  }
+  return values;
+};
+
+const kernelPasses = (kernel) => (kernel.second ? [kernel.taps, kernel.second] : [kernel.taps]).map(taps => taps.flat());
+
+const maxAbs = (values) => values.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+
+const sumAbs = (values) => values.reduce((s, x) => s + Math.abs(x), 0);
+
+const referencePixel = (passes, kernel, values) => {
+  const sums = passes.map(taps => taps.reduce((s, w, i) => s + w * values[i], 0));
+  return kernel.second ? sums.reduce((s, v) => s + Math.abs(v), 0) : sums[0];
+};
+
+// Encoded taps and the shared scale. Pixels peak at 1; the headroom covers
+// the kernel's gain over its largest tap and, for two passes, their sum.
+const prepareKernel = (kernel, config) => {
+  const passes = kernelPasses(kernel);
+  const peak = Math.max(...passes.map(maxAbs));
+  const gain = Math.max(...passes.map(sumAbs)) / peak * passes.length;
+  const top = headroomIndex(config, gain);
+  const weightExponent = scaleExponent(peak, top, config.beta);
+  const inputExponent = scaleExponent(1, top, config.beta);
+  const encodeTaps = taps => taps.map(w => encodeScaled(w, weightExponent, config));
+  return {
+    inputExponent,
+    outputExponent: weightExponent + inputExponent,
+    passes: config.signed
+      ? passes.map(taps => ({ taps: encodeTaps(taps) }))
+      : passes.map(taps => ({
+        positive: encodeTaps(taps.map(w => Math.max(w, 0))),
+        negative: encodeTaps(taps.map(w => Math.max(-w, 0)))
+      }))
+  };
+};
+
+// Sequential multiply-accumulate of the taps over the window's indices
+const mac = (taps, inputs, config) => taps.reduce((acc, w, i) => {
+  const product = evaluateFlagged('mul', w, inputs[i], config);
+  const sum = evaluateFlagged('add', acc.result, product.result, config);
+  return { result: sum.result, flags: mergeFlags(acc.flags, mergeFlags(product.flags, sum.flags)) };
+}, { result: 0, flags: {} });
+
+// One pass at one pixel: a signed index, or in unsigned mode a magnitude
+// index plus the sign from comparing the two partial sums
+const tildePass = (pass, inputs, config) => {
+  if (pass.taps) {
+    const dot = mac(pass.taps, inputs, config);
+    return { result: Math.abs(dot.result), negative: isNegative(dot.result), flags: dot.flags };
+  }
+  const positive = mac(pass.positive, inputs, config);
+  const negative = mac(pass.negative, inputs, config);
+  const difference = evaluateFlagged('sub', positive.result, negative.result, config);
+  return {
+    result: difference.result,
+    negative: negative.result > positive.result,
+    flags: mergeFlags(mergeFlags(positive.flags, negative.flags), difference.flags)
+  };
+};
+
+const tildePixel = (prepared, inputs, config) => {
+  const passes = prepared.passes.map(pass => tildePass(pass, inputs, config));
+  if (passes.length === 1) {
+    const [{ result, negative, flags }] = passes;
+    const value = decodeScaled(result, prepared.outputExponent, config.beta);
+    return { value: negative ? -value : value, flags };
+  }
+  const sum = evaluateFlagged('add', passes[0].result, passes[1].result, config);
+  return {
+    value: decodeScaled(sum.result, prepared.outputExponent, config.beta),
+    flags: mergeFlags(mergeFlags(passes[0].flags, passes[1].flags), sum.flags)
+  };
+};
+
+// Kernel output mapped to a displayable intensity in [0, 1]
+export const displayValue = (kernel, value) =>
+  (kernel.magnitude ? clamp01(Math.abs(value) / kernel.range) : clamp01(value));
+
+export const toBytes = (values) => Uint8ClampedArray.from(values, v => Math.round(v * 255));
+
+// Incremental convolution. `runRows(n)` filters the next n rows and returns
+// true once the image is done.
+export const createConvolution = (image, kernelId, config) => {
+  const kernel = KERNELS[kernelId];
+  const passes = kernelPasses(kernel);
+  const prepared = prepareKernel(kernel, config);
+  const { width, height } = image;
+  const encoded = image.pixels.map(p => encodeScaled(p, prepared.inputExponent, config));
+  const reference = new Float64Array(width * height);
+  const tilde = new Float64Array(width * height);
+  const flagCounts = Object.fromEntries(Object.keys(FLAGS).map(flag => [flag, 0]));
+  let row = 0;
+
+  return {
+    runRows: (count) => {
+      const end = Math.min(row + count, height);
+      for (; row < end; row++) {
+        for (let x = 0; x < width; x++) {
+          const i = row * width + x;
+          reference[i] = displayValue(kernel, referencePixel(passes, kernel, window3x3(image.pixels, width, height, x, row)));
+          const { value, flags } = tildePixel(prepared, window3x3(encoded, width, height, x, row), config);
+          tilde[i] = displayValue(kernel, value);
+          Object.keys(flagCounts).forEach((flag) => { if (flags[flag]) flagCounts[flag]++; });
+        }
+      }
+      return row >= height;
+    },
+    summary: () => ({
+      kernelId,
+      rows: row,
+      width,
+      height,
+      reference,
+      tilde,
+      flagCounts: { ...flagCounts },
+      scales: { inputExponent: prepared.inputExponent, outputExponent: prepared.outputExponent }
+    })
+  };
+};
+
+// Filter the whole image, yielding to the event loop every `budgetMs`.
+// Rejects with an AbortError when `signal` is aborted.
+export const runConvolution = (image, kernelId, config, { onProgress, signal, budgetMs = 12 } = {}) =>
+  new Promise((resolve, reject) => {
+    const convolution = createConvolution(image, kernelId, config);
+
+    const slice = () => {
+      if (signal?.aborted) {
+        reject(new DOMException('Convolution aborted', 'AbortError'));
+        return;
+      }
+
+      const start = performance.now();
+      let done = false;
+      while (!done && performance.now() - start < budgetMs) done = convolution.runRows(1);
+
+      const summary = convolution.summary();
+      if (onProgress) onProgress(summary);
+
+      if (done) resolve(summary);
+      else setTimeout(slice, 0);
+    };
+
+    slice();
+  });
+
+// Peak signal-to-noise ratio in dB of two 8-bit images; Infinity when equal
+export const psnr = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  const mse = sum / a.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+};
+
+// Mean absolute difference of two 8-bit images as a fraction of full scale
+export const meanAbsoluteError = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length / 255;
+};
+
+const SSIM_RADIUS = 5;
+const SSIM_SIGMA = 1.5;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const gaussianWeights = () => {
+  const weights = Array.from({ length: 2 * SSIM_RADIUS + 1 }, (_, i) =>
+    Math.exp(-((i - SSIM_RADIUS) ** 2) / (2 * SSIM_SIGMA * SSIM_SIGMA)));
+  const total = weights.reduce((s, w) => s + w, 0);
+  return weights.map(w => w / total);
+};
+
+// Separable Gaussian filter with replicated borders
+const gaussianFilter = (values, width, height, weights) => {
+  const pass = (input, horizontal) => {
+    const output = new Float64Array(input.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        weights.forEach((w, k) => {
+          const offset = k - SSIM_RADIUS;
+          const sx = horizontal ? Math.min(width - 1, Math.max(0, x + offset)) : x;
+          const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + offset));
+          sum += w * input[sy * width + sx];
+        });
+        output[y * width + x] = sum;
+      }
+    }
+    return output;
+  };
+  return pass(pass(values, true), false);
+};
+
+// Mean structural similarity (Wang et al. 2004) of two 8-bit images with an
+// 11×11 Gaussian window, σ = 1.5
+export const ssim = (a, b, width, height) => {
+  const weights = gaussianWeights();
+  const filter = values => gaussianFilter(values, width, height, weights);
+  const product = (x, y) => Float64Array.from(x, (v, i) => v * y[i]);
+  const muA = filter(Float64Array.from(a));
+  const muB = filter(Float64Array.from(b));
+  const aa = filter(product(a, a));
+  const bb = filter(product(b, b));
+  const ab = filter(product(a, b));
+  let sum = 0;
+  for (let i = 0; i < muA.length; i++) {
+    const varA = aa[i] - muA[i] * muA[i];
+    const varB = bb[i] - muB[i] * muB[i];
+    const cov = ab[i] - muA[i] * muB[i];
+    sum += ((2 * muA[i] * muB[i] + SSIM_C1) * (2 * cov + SSIM_C2))
+      / ((muA[i] * muA[i] + muB[i] * muB[i] + SSIM_C1) * (varA + varB + SSIM_C2));
+  }
+  return sum / muA.length;
+};
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeScaled, encodeScaled } from './quantize.js';
+import {
+  SAMPLE_IMAGES,
+  createConvolution,
+  meanAbsoluteError,
+  psnr,
+  runConvolution,
+  ssim,
+  toBytes
+} from './convolution.js';
+
+const filter = (image, kernelId, config) => {
+  const convolution = createConvolution(image, kernelId, config);
+  convolution.runRows(image.height);
+  return convolution.summary();
+};
+
+test('PSNR is infinite and SSIM is 1 for identical images', () => {
+  const { width, height, pixels } = SAMPLE_IMAGES.shapes.generate(24);
+  const bytes = toBytes(pixels);
+  assert.equal(psnr(bytes, bytes), Infinity);
+  assert.ok(Math.abs(ssim(bytes, bytes, width, height) - 1) < 1e-12);
+  assert.equal(meanAbsoluteError(bytes, bytes), 0);
+});
+
+test('PSNR and mean absolute error of a uniform offset', () => {
+  const a = Uint8ClampedArray.from({ length: 64 }, (_, i) => i);
+  const b = a.map(v => v + 5);
+  // MSE = 25, so PSNR = 10 log10(255² / 25)
+  assert.ok(Math.abs(psnr(a, b) - 10 * Math.log10(255 * 255 / 25)) < 1e-12);
+  assert.equal(meanAbsoluteError(a, b), 5 / 255);
+  assert.ok(ssim(a, b, 8, 8) < 1);
+});
+
+test('the identity kernel reproduces the quantized input', () => {
+  const image = SAMPLE_IMAGES.zonePlate.generate(16);
+  [true, false].forEach((signed) => {
+    const config = { beta: 1.1, bitWidth: 6, signed };
+    const { tilde, reference, flagCounts, scales } = filter(image, 'identity', config);
+    image.pixels.forEach((p, i) => {
+      assert.equal(reference[i], p);
+      const quantized = decodeScaled(encodeScaled(p, scales.inputExponent, config), scales.inputExponent, config.beta);
+      assert.ok(Math.abs(tilde[i] - quantized) < 1e-12, `pixel ${i}: ${tilde[i]} vs ${quantized}`);
+    });
+    // Zero taps and a unit tap on the grid add no rounding of their own
+    assert.equal(flagCounts.inexact, 0);
+  });
+});
+
+test('unsigned Sobel with split taps matches the signed result within its error', () => {
+  const image = SAMPLE_IMAGES.shapes.generate(32);
+  const run = signed => filter(image, 'sobel', { beta: 1.05, bitWidth: 8, signed });
+  const signed = run(true);
+  const unsigned = run(false);
+  assert.deepEqual(unsigned.reference, signed.reference);
+  const both = meanAbsoluteError(toBytes(unsigned.tilde), toBytes(signed.tilde));
+  // The two tilde paths agree more closely than either agrees with float
+  assert.ok(both < meanAbsoluteError(toBytes(signed.tilde), toBytes(signed.reference)));
+  assert.ok(both < meanAbsoluteError(toBytes(unsigned.tilde), toBytes(unsigned.reference)));
+  const score = ({ tilde, reference }) => psnr(toBytes(tilde), toBytes(reference));
+  assert.ok(Math.abs(score(unsigned) - score(signed)) < 1, `${score(unsigned)} vs ${score(signed)} dB`);
+});
+
+test('runConvolution reports progress and honours an aborted signal', async () => {
+  const image = SAMPLE_IMAGES.checker.generate(8);
+  const config = { beta: 1.1, bitWidth: 6, signed: true };
+  const progress = [];
+  const summary = await runConvolution(image, 'box', config, { onProgress: s => progress.push(s.rows) });
+  assert.equal(summary.rows, 8);
+  assert.equal(progress.at(-1), 8);
+  assert.deepEqual(summary.tilde, filter(image, 'box', config).tilde);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(runConvolution(image, 'box', config, { signal: controller.signal }), { name: 'AbortError' });
+});
@@ -0,0 +1,109 @@
+// Datapath Trace
+//
+// Walks one operation through the ALU stage by stage: sign decode (signed
+// mode), the common term decoder, the special-case branch that fires, the LUT
+// read, the result mux and the output clamp. The branch tables mirror the
+// magnitude datapaths in engine.js; `traceOperation(...).result` always equals
+// `evaluate(...)`.
+
+import { carryRange, decodeCommonTerms, isNegative, lutEntry, maxIndex, negate } from './engine.js';
+
+export const DATAPATH_STAGES = [
+  { id: 'sign', label: 'Sign Decode', signedOnly: true },
+  { id: 'terms', label: 'Common Terms' },
+  { id: 'branch', label: 'Branch Select' },
+  { id: 'lut', label: 'LUT Read' },
+  { id: 'mux', label: 'Result Mux' },
+  { id: 'clamp', label: 'Clamp' },
+  { id: 'output', label: 'Output' }
+];
+
+// Mux inputs of each magnitude datapath, in priority order; the first whose
+// condition holds is selected. R is the carry range.
+export const DATAPATH_BRANCHES = {
+  add: [
+    { condition: 'Za ∨ Zb', when: t => t.Za || t.Zb, expression: 'm', value: t => t.m },
+    { condition: 'd < R', when: t => t.d < t.R, expression: 'm + LUT[d]', lut: true, value: (t, lut) => t.m + lut },
+    { condition: 'otherwise', when: () => true, expression: 'm', value: t => t.m }
+  ],
+  sub: [
+    { condition: 'E', when: t => t.E, expression: '0', value: () => 0 },
+    { condition: 'Za ∨ Zb', when: t => t.Za || t.Zb, expression: 'm', value: t => t.m },
+    { condition: 'd < R', when: t => t.d < t.R, expression: 'm − LUT[d]', lut: true, value: (t, lut) => t.m - lut },
+    { condition: 'otherwise', when: () => true, expression: 'm', value: t => t.m }
+  ],
+  mul: [
+    { condition: 'Za ∨ Zb', when: t => t.Za || t.Zb, expression: '0', value: () => 0 },
+    { condition: 'Ua ∨ Ub', when: t => t.Ua || t.Ub, expression: 'm', value: t => t.m },
+    { condition: 'otherwise', when: () => true, expression: 'a + b − 1', value: t => t.a + t.b - 1 }
+  ],
+  div: [
+    { condition: 'Za', when: t => t.Za, expression: '0', value: () => 0 },
+    { condition: 'Zb', when: t => t.Zb, expression: 'max', value: t => t.max },
+    { condition: 'E', when: t => t.E, expression: '1', value: () => 1 },
+    { condition: 'otherwise', when: () => true, expression: 'a − b + 1', value: t => t.a - t.b + 1 }
+  ]
+};
+
+// Which magnitude datapath a signed operation routes through, and its sign
+const decodeSigns = (operation, a, b) => {
+  const negA = isNegative(a);
+  const effectiveB = operation === 'sub' ? negate(b) : b;
+  const negB = isNegative(effectiveB);
+  const magA = Math.abs(a);
+  const magB = Math.abs(b);
+
+  if (operation === 'mul' || operation === 'div') {
+    return { negA, negB, magA, magB, path: operation, negative: negA !== negB, rule: 'sign = sa ⊕ sb' };
+  }
+  const prefix = operation === 'sub' ? 'a − b = a + (−b); ' : '';
+  if (negA === negB) {
+    return { negA, negB, magA, magB, path: 'add', negative: negA, rule: `${prefix}same signs: add magnitudes, keep sign` };
+  }
+  if (magA === magB) {
+    return { negA, negB, magA, magB, path: 'sub', negative: false, rule: `${prefix}exact cancellation gives +0` };
+  }
+  return {
+    negA, negB, magA, magB,
+    path: 'sub',
+    negative: magA > magB ? negA : negB,
+    rule: `${prefix}mixed signs: subtract magnitudes, sign of the larger`
+  };
+};
+
+export const traceOperation = (operation, a, b, config) => {
+  const { bitWidth, signed } = config;
+  const sign = signed ? decodeSigns(operation, a, b) : null;
+  const path = sign ? sign.path : operation;
+  const magA = sign ? sign.magA : a;
+  const magB = sign ? sign.magB : b;
+  const max = maxIndex(bitWidth, signed);
+  const terms = decodeCommonTerms(magA, magB);
+  const range = carryRange(config);
+  const signals = { ...terms, a: magA, b: magB, max, R: range };
+
+  const branches = DATAPATH_BRANCHES[path];
+  const selected = branches.findIndex(branch => branch.when(signals));
+  const branch = branches[selected];
+  const lut = branch.lut ? { address: terms.d, value: lutEntry(path, terms.d, config) } : null;
+  const raw = branch.value(signals, lut && lut.value);
+  const magnitude = Math.min(Math.max(0, raw), max);
+  const result = sign && sign.negative ? -magnitude : magnitude;
+
+  return {
+    operation,
+    path,
+    sign,
+    inputs: { a: magA, b: magB },
+    terms,
+    carryRange: range,
+    branches: branches.map(({ condition, expression, lut: usesLut }) => ({ condition, expression, lut: Boolean(usesLut) })),
+    selected,
+    lut,
+    raw,
+    max,
+    clamped: raw !== magnitude,
+    magnitude,
+    result
+  };
+};
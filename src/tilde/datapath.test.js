@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CORE_OPERATIONS, decodeWord, encodeWord } from './engine.js';
+import { activeLut, createLutOverride } from './lut.js';
+import { DATAPATH_BRANCHES, traceOperation } from './datapath.js';
+import { engineMismatches } from './testing.js';
+
+// Every word pair through the traced datapath
+const mismatches = (config) => engineMismatches(config, CORE_OPERATIONS, (operation, wa, wb) =>
+  encodeWord(traceOperation(operation, decodeWord(wa, config), decodeWord(wb, config), config).result, config));
+
+test('trace result equals evaluate for unsigned words', () => {
+  assert.deepEqual(mismatches({ beta: 1.3, bitWidth: 5, signed: false }), []);
+  assert.deepEqual(mismatches({ beta: 2.5, bitWidth: 4, signed: false }), []);
+});
+
+test('trace result equals evaluate for signed words, including the sign of zero', () => {
+  assert.deepEqual(mismatches({ beta: 1.4, bitWidth: 5, signed: true }), []);
+  assert.deepEqual(mismatches({ beta: 1.1, bitWidth: 4, signed: true }), []);
+});
+
+test('trace follows the carry policy, LUT rounding and overrides', () => {
+  assert.deepEqual(mismatches({ beta: 1.2, bitWidth: 5, signed: true, carryPolicy: 'fixed', carryN: 2 }), []);
+  assert.deepEqual(mismatches({ beta: 1.2, bitWidth: 5, signed: false, carryPolicy: 'alphaCarry', lutRounding: 'nearest' }), []);
+  const override = createLutOverride({ beta: 1.5 });
+  override.sub[2] = 4;
+  assert.deepEqual(mismatches({ beta: 1.5, bitWidth: 5, signed: true, lut: activeLut(override, 1.5) }), []);
+});
+
+test('trace reports the branch and LUT read it used', () => {
+  const config = { beta: 1.5, bitWidth: 4, signed: false };
+  const trace = traceOperation('add', 5, 2, config);
+  assert.equal(DATAPATH_BRANCHES.add[trace.selected].expression, 'm + LUT[d]');
+  assert.deepEqual(trace.lut, { address: 3, value: 3 });
+  assert.equal(trace.raw, 8);
+  assert.equal(trace.clamped, false);
+
+  const saturated = traceOperation('mul', 10, 10, config);
+  assert.equal(saturated.raw, 19);
+  assert.equal(saturated.clamped, true);
+  assert.equal(saturated.result, 15);
+});
+
+test('signed trace routes mixed-sign addition through the subtractor', () => {
+  const config = { beta: 1.5, bitWidth: 4, signed: true };
+  assert.equal(traceOperation('add', 5, -2, config).path, 'sub');
+  assert.equal(traceOperation('sub', 5, -2, config).path, 'add');
+  assert.equal(traceOperation('add', -3, 3, config).sign.negative, false);
+});
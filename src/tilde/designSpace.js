@@ -0,0 +1,149 @@
+// Design Space Exploration
+//
+// Enumerates (β, bit width, process node) configurations and scores each on
+// error, dynamic range, gate count, area and energy efficiency using the same
+// closed-form estimates as the Hardware tab. Measured error is optional and
+// sampled, since exhaustive sweeps at 12 bits are too slow to repeat per point.
+
+import { LUT_ROUNDING, evaluate, maxIndex } from './engine.js';
+import { exactResult, compareToExact } from './values.js';
+import { SWEEP_OPERATIONS, operandRange } from './sweep.js';
+import { estimateGateCount, blockMetrics } from './hardware.js';
+import { sliderToBeta } from './betaScale.js';
+import { createRandom, randomInt } from './random.js';
+
+export const DESIGN_BIT_WIDTHS = Array.from({ length: 11 }, (_, i) => i + 2);
+
+export const DEFAULT_BETA_SAMPLES = 24;
+
+// `minimize` sets the Pareto direction; measured objectives need a sweep first
+export const DESIGN_OBJECTIVES = {
+  error: { label: 'Δ% (closed form)', unit: '%', minimize: true },
+  measuredMean: { label: 'Mean relative error (measured)', unit: '%', minimize: true, measured: true },
+  measuredMax: { label: 'Max relative error (measured)', unit: '%', minimize: true, measured: true },
+  dynamicRange: { label: 'Dynamic range', unit: 'dB', minimize: false },
+  gates: { label: 'Logic gates', unit: '', minimize: true, log: true },
+  area: { label: 'Area (1000 blocks)', unit: 'µm²', minimize: true, log: true },
+  energyEfficiency: { label: 'Energy efficiency', unit: 'GOPS/W', minimize: false, log: true }
+};
+
+// β values evenly spaced along the β slider's logarithmic track
+export const betaSamples = (count = DEFAULT_BETA_SAMPLES) =>
+  Array.from({ length: count }, (_, i) => sliderToBeta(count > 1 ? (100 * i) / (count - 1) : 50));
+
+export const designKey = ({ beta, bitWidth }) => `${beta}:${bitWidth}`;
+
+// Ratio of the largest to the smallest non-zero magnitude, in dB
+export const dynamicRangeDb = ({ beta, bitWidth, signed }) =>
+  20 * (maxIndex(bitWidth, signed) - 1) * Math.log10(beta);
+
+// `aluOptions` (LUT rounding, carry range) apply to every point. LUT
+// overrides are made for a single β, so callers leave them out.
+export const enumerateDesignSpace = ({ betas = betaSamples(), bitWidths = DESIGN_BIT_WIDTHS, signed = false, aluOptions = {}, techNodes }) => {
+  const points = [];
+  betas.forEach((beta) => {
+    bitWidths.forEach((bitWidth) => {
+      const config = { beta, bitWidth, signed, ...aluOptions };
+      const gates = estimateGateCount(config).total;
+      const error = 100 * (beta - 1) / (beta + 1);
+      const dynamicRange = dynamicRangeDb(config);
+
+      Object.entries(techNodes).forEach(([tech, techData]) => {
+        const { area, energyEfficiency } = blockMetrics(gates, techData);
+        points.push({ beta, bitWidth, signed, tech, error, dynamicRange, gates, area, energyEfficiency });
+      });
+    });
+  });
+  return points;
+};
+
+// Mean and max relative error (%) over add/sub/mul/div, from `samples` random
+// pairs per operation, or every pair when that is fewer. Pairs without a
+// finite reference (division by zero) are skipped.
+export const measureDesignError = (config, { samples = 1024, seed = 1 } = {}) => {
+  const operands = operandRange(config);
+  const size = operands.length;
+  const exhaustive = size * size <= samples;
+  const random = createRandom(seed);
+  let count = 0;
+  let sum = 0;
+  let max = 0;
+
+  SWEEP_OPERATIONS.forEach((operation) => {
+    const pairs = exhaustive ? size * size : samples;
+    for (let i = 0; i < pairs; i++) {
+      const a = operands[exhaustive ? Math.floor(i / size) : randomInt(random, size)];
+      const b = operands[exhaustive ? i % size : randomInt(random, size)];
+      const result = evaluate(operation, a, b, config);
+      const { relative } = compareToExact(result, exactResult(operation, a, b, config), config);
+      if (!Number.isFinite(relative)) continue;
+      count++;
+      sum += relative;
+      if (relative > max) max = relative;
+    }
+  });
+
+  return { measuredMean: count ? 100 * sum / count : 0, measuredMax: 100 * max };
+};
+
+// Mean and max relative error (%) of every rounding mode at each β, with the
+// rest of `config` (width, sign, carry range) held fixed. Overrides are
+// ignored: the comparison is between formula tables.
+export const compareLutRounding = (config, betas, options) =>
+  betas.map(beta => ({
+    beta,
+    ...Object.fromEntries(Object.keys(LUT_ROUNDING).map((lutRounding) => {
+      const { measuredMean, measuredMax } = measureDesignError({ ...config, beta, lut: undefined, lutRounding }, options);
+      return [lutRounding, { mean: measuredMean, max: measuredMax }];
+    }))
+  }));
+
+// Measure every distinct (β, bit width) in `points` with `aluOptions`,
+// yielding to the event loop between configurations. Resolves with a Map from
+// designKey to errors and rejects with an AbortError when `signal` is aborted.
+export const runDesignMeasurement = (points, aluOptions = {}, options = {}, { onProgress, signal, budgetMs = 12 } = {}) =>
+  new Promise((resolve, reject) => {
+    const configs = [...new Map(points.map(p => [designKey(p), p])).values()];
+    const results = new Map();
+    let current = 0;
+
+    const slice = () => {
+      if (signal?.aborted) {
+        reject(new DOMException('Measurement aborted', 'AbortError'));
+        return;
+      }
+
+      const start = performance.now();
+      while (current < configs.length && performance.now() - start < budgetMs) {
+        const { beta, bitWidth, signed } = configs[current];
+        results.set(designKey(configs[current]), measureDesignError({ beta, bitWidth, signed, ...aluOptions }, options));
+        current++;
+      }
+
+      if (onProgress) onProgress(current / configs.length);
+
+      if (current >= configs.length) resolve(results);
+      else setTimeout(slice, 0);
+    };
+
+    slice();
+  });
+
+// Indices of the points not dominated on (x, y), ordered along x
+export const paretoFrontier = (points, xKey, yKey) => {
+  const sign = (key) => (DESIGN_OBJECTIVES[key].minimize ? 1 : -1);
+  const cost = points
+    .map((p, index) => ({ index, x: sign(xKey) * p[xKey], y: sign(yKey) * p[yKey] }))
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+    .sort((p, q) => p.x - q.x || p.y - q.y);
+
+  const frontier = [];
+  let bestY = Infinity;
+  cost.forEach((p) => {
+    if (p.y < bestY) {
+      frontier.push(p.index);
+      bestY = p.y;
+    }
+  });
+  return frontier;
+};
@@ -0,0 +1,392 @@
+// Tilde Arithmetic Engine
+//
+// Pure functions shared by the calculator UI and by anyone who wants to run
+// tilde arithmetic outside React. Every operation takes integer tilde indices
+// plus an explicit `{ beta, bitWidth, signed }` config and returns a clamped
+// index.
+//
+// In signed mode a word is sign-magnitude: the top bit is the sign and the
+// remaining bitWidth-1 bits are the magnitude index. In JS a signed index is a
+// plain signed integer, with -0 standing for the negative zero code. An
+// optional `lut: { add, sub }` in the config overrides the correction tables,
+// `lutRounding` picks how the formula tables round (see `getLutValue`) and
+// `carryPolicy`/`carryN` choose the carry range (see `carryRange`).
+
+// Above this base the add/sub LUT collapses to a single entry
+export const EFFICIENCY_THRESHOLD = 2.0;
+
+// Simplified mode: a single-entry LUT, at and above the threshold
+export const isSimplifiedLut = (beta) => beta >= EFFICIENCY_THRESHOLD;
+
+// Default carry range: add and sub apply the LUT correction while d is below
+// this distance
+export const CARRY_RANGE = 8;
+
+export const CARRY_POLICIES = {
+  fixed: 'Fixed N',
+  alphaCarry: 'Derived from α_carry',
+  lutLength: 'Derived from LUT length',
+  unbounded: 'Unbounded'
+};
+
+export const LUT_ROUNDING = {
+  floor: 'Floor',
+  nearest: 'Round to nearest',
+  ceil: 'Ceil',
+  minError: 'Error-minimizing'
+};
+
+// Largest magnitude index that fits in the word
+export const maxIndex = (bitWidth, signed = false) =>
+  (1 << (signed ? bitWidth - 1 : bitWidth)) - 1;
+
+export const isNegative = (index) => index < 0 || Object.is(index, -0);
+
+const withSign = (magnitude, negative) => (negative ? -magnitude : magnitude);
+
+export const negate = (index) => withSign(Math.abs(index), !isNegative(index));
+
+// Raw bit pattern of an index, as the hardware would store it
+export const encodeWord = (index, { bitWidth, signed }) =>
+  signed ? ((isNegative(index) ? 1 : 0) << (bitWidth - 1)) | Math.abs(index) : index;
+
+export const decodeWord = (word, { bitWidth, signed }) => {
+  if (!signed) return word;
+  const signBit = 1 << (bitWidth - 1);
+  return withSign(word & (signBit - 1), (word & signBit) !== 0);
+};
+
+export const calculateLutLength = (beta) => {
+  const baseLength = Math.max(1, Math.floor(8 / (beta - 1)));
+  return isSimplifiedLut(beta) ? 1 : baseLength;
+};
+
+// Distance thresholds from the Reference tab: -log_β((β-1)/2), rounded up and down
+export const alphaAdd = (beta) => Math.ceil(-Math.log(0.5 * (beta - 1)) / Math.log(beta));
+
+export const alphaCarry = (beta) => Math.floor(-Math.log(0.5 * (beta - 1)) / Math.log(beta));
+
+// Distance below which add and sub read the LUT; past it the smaller operand
+// is taken as too small to move the result and both return m. α_carry is the
+// largest distance whose correction is still about half an index step.
+export const carryRange = ({ beta, carryPolicy = 'fixed', carryN = CARRY_RANGE }) => {
+  switch (carryPolicy) {
+    case 'alphaCarry': return Math.max(1, alphaCarry(beta) + 1);
+    case 'lutLength': return calculateLutLength(beta);
+    case 'unbounded': return Infinity;
+    default: return carryN;
+  }
+};
+
+// LUT entries the datapath can actually read: the nominal table clipped to
+// the carry range
+export const activeLutLength = (config) => Math.min(calculateLutLength(config.beta), carryRange(config));
+
+// Exact corrections for distance d: log_β(1 + β^-d) for add and
+// -log_β(1 - β^-d) for sub (infinite at d = 0)
+export const exactCorrection = (kind, d, beta) =>
+  kind === 'add'
+    ? Math.log1p(Math.pow(beta, -d)) / Math.log(beta)
+    : -Math.log1p(-Math.pow(beta, -d)) / Math.log(beta);
+
+// Relative error of the result caused by one entry: add lands at m + value
+// instead of m + exact, sub at m - value instead of m - exact
+export const correctionError = (kind, value, exact, beta) =>
+  Math.pow(beta, kind === 'add' ? value - exact : exact - value) - 1;
+
+const ROUNDERS = { floor: Math.floor, nearest: Math.round, ceil: Math.ceil };
+
+// Per-entry choice between the integers either side of the exact correction.
+// Sub never reads d = 0, so it keeps the floor formula there.
+const minErrorEntry = (kind, d, beta) => {
+  const exact = exactCorrection(kind, d, beta);
+  if (!Number.isFinite(exact)) return getLutValue(d, beta);
+  const lo = Math.floor(exact);
+  const hi = Math.ceil(exact);
+  return Math.abs(correctionError(kind, lo, exact, beta)) <= Math.abs(correctionError(kind, hi, exact, beta)) ? lo : hi;
+};
+
+// Formula table entry. Floor, nearest and ceil round the shared
+// log_β(d + 1) approximation, capped at d; minError rounds each kind's exact
+// correction. Above the efficiency threshold every mode collapses to 1.
+export const getLutValue = (d, beta, rounding = 'floor', kind = 'add') => {
+  if (isSimplifiedLut(beta) && d > 0) return 1;
+  if (rounding === 'minError') return minErrorEntry(kind, d, beta);
+  return Math.min(d, ROUNDERS[rounding](Math.log(d + 1) / Math.log(beta)));
+};
+
+// Correction the add or sub path reads for distance d. `config.lut` may hold
+// override tables `{ add, sub }`; distances past their end use getLutValue.
+export const lutEntry = (kind, d, config) => {
+  const table = config.lut && config.lut[kind];
+  return table && d < table.length ? table[d] : getLutValue(d, config.beta, config.lutRounding, kind);
+};
+
+// Common term decoder: the signals every operation branches on
+export const decodeCommonTerms = (a, b) => ({
+  Za: a === 0,
+  Zb: b === 0,
+  Ua: a === 1,
+  Ub: b === 1,
+  E: a === b,
+  d: Math.abs(a - b),
+  m: Math.max(a, b)
+});
+
+// IEEE 754 style status flags, raised per operation by `evaluateFlagged`
+export const FLAGS = {
+  overflow: 'Overflow',
+  underflow: 'Underflow',
+  divideByZero: 'Divide by zero',
+  invalid: 'Invalid',
+  inexact: 'Inexact'
+};
+
+const NO_FLAGS = { overflow: false, underflow: false, divideByZero: false, invalid: false, inexact: false };
+
+// Keys of the flags that are set
+export const raisedFlags = (flags) => Object.keys(FLAGS).filter(flag => flags[flag]);
+
+const FLAG_KEYS = Object.keys(FLAGS);
+
+// Sticky accumulation, as an IEEE status register: a flag stays set once raised.
+// A plain loop, since MAC workloads merge flags on every tap.
+export const mergeFlags = (into, flags) => {
+  const merged = {};
+  for (const flag of FLAG_KEYS) merged[flag] = Boolean(into[flag] || flags[flag]);
+  return merged;
+};
+
+// Clamps a raw magnitude into the word and raises its flags. `exact` says the
+// branch taken is exact in the log domain, `zero` that the exact result is
+// zero; a zero result otherwise means a nonzero result underflowed. `invalid`
+// marks a result with no real value (returned as zero).
+const saturate = (res, config, { exact = true, zero = false, divideByZero = false, invalid = false } = {}) => {
+  const result = Math.min(Math.max(0, res), maxIndex(config.bitWidth, config.signed));
+  const overflow = res > result;
+  const underflow = result === 0 && !zero && !divideByZero && !invalid;
+  return { result, flags: { overflow, underflow, divideByZero, invalid, inexact: overflow || underflow || !exact } };
+};
+
+// A LUT correction is exact only when the entry equals the exact correction
+const lutCorrection = (kind, d, config) => {
+  const value = lutEntry(kind, d, config);
+  return { value, exact: Math.abs(value - exactCorrection(kind, d, config.beta)) < 1e-9 };
+};
+
+// Magnitude datapaths: the unsigned ALU, also shared by signed mode. Past the
+// carry range add and sub drop the smaller operand, which is always inexact.
+const addMagnitude = (a, b, config) => {
+  const { Za, Zb, d, m } = decodeCommonTerms(a, b);
+  if (Za || Zb) return saturate(m, config, { zero: Za && Zb });
+  if (d < carryRange(config)) {
+    const lut = lutCorrection('add', d, config);
+    return saturate(m + lut.value, config, { exact: lut.exact });
+  }
+  return saturate(m, config, { exact: false });
+};
+
+const subMagnitude = (a, b, config) => {
+  const { Za, Zb, E, d, m } = decodeCommonTerms(a, b);
+  if (E) return saturate(0, config, { zero: true });
+  if (Za || Zb) return saturate(m, config);
+  if (d < carryRange(config)) {
+    const lut = lutCorrection('sub', d, config);
+    return saturate(m - lut.value, config, { exact: lut.exact });
+  }
+  return saturate(m, config, { exact: false });
+};
+
+const mulMagnitude = (a, b, config) => {
+  const { Za, Zb, Ua, Ub, m } = decodeCommonTerms(a, b);
+  if (Za || Zb) return saturate(0, config, { zero: true });
+  if (Ua || Ub) return saturate(m, config);
+  return saturate(a + b - 1, config);
+};
+
+// x / 0 returns the largest magnitude and 0 / 0 returns 0; both raise divideByZero
+const divMagnitude = (a, b, config) => {
+  const { Za, Zb, E } = decodeCommonTerms(a, b);
+  if (Za) return saturate(0, config, { zero: true, divideByZero: Zb });
+  if (Zb) return saturate(maxIndex(config.bitWidth, config.signed), config, { divideByZero: true });
+  if (E) return saturate(1, config);
+  return saturate(a - b + 1, config);
+};
+
+const withSignFlagged = ({ result, flags }, negative) => ({ result: withSign(result, negative), flags });
+
+// Mixed signs route through the opposite LUT path and keep the sign of the
+// larger magnitude. Exact cancellation gives +0, as in IEEE 754.
+const addFlagged = (a, b, config) => {
+  if (!config.signed) return addMagnitude(a, b, config);
+
+  const negA = isNegative(a);
+  const negB = isNegative(b);
+  const magA = Math.abs(a);
+  const magB = Math.abs(b);
+
+  if (negA === negB) return withSignFlagged(addMagnitude(magA, magB, config), negA);
+  if (magA === magB) return { result: 0, flags: NO_FLAGS };
+  return withSignFlagged(subMagnitude(magA, magB, config), magA > magB ? negA : negB);
+};
+
+const subFlagged = (a, b, config) =>
+  config.signed ? addFlagged(a, negate(b), config) : subMagnitude(a, b, config);
+
+const mulFlagged = (a, b, config) => {
+  if (!config.signed) return mulMagnitude(a, b, config);
+  return withSignFlagged(mulMagnitude(Math.abs(a), Math.abs(b), config), isNegative(a) !== isNegative(b));
+};
+
+const divFlagged = (a, b, config) => {
+  if (!config.signed) return divMagnitude(a, b, config);
+  return withSignFlagged(divMagnitude(Math.abs(a), Math.abs(b), config), isNegative(a) !== isNegative(b));
+};
+
+// Extended operations. In the log domain most are shifts, adds or compares
+// on the index k = n - 1: square doubles k, sqrt halves it (rounding half up),
+// reciprocal negates it and power multiplies it by the integer exponent.
+const square = (a, config) => {
+  const n = Math.abs(a);
+  if (n === 0) return saturate(0, config, { zero: true });
+  return saturate(2 * n - 1, config);
+};
+
+const sqrt = (a, config) => {
+  const n = Math.abs(a);
+  if (n === 0) return withSignFlagged(saturate(0, config, { zero: true }), isNegative(a));
+  if (isNegative(a)) return saturate(0, config, { invalid: true });
+  return saturate((n >> 1) + 1, config, { exact: (n - 1) % 2 === 0 });
+};
+
+// Without codes below unity every reciprocal past 1/1 underflows to zero
+const reciprocal = (a, config) => {
+  const n = Math.abs(a);
+  const max = maxIndex(config.bitWidth, config.signed);
+  const result = n === 0 ? saturate(max, config, { divideByZero: true }) : saturate(2 - n, config);
+  return withSignFlagged(result, isNegative(a));
+};
+
+// b is a plain integer exponent, not a tilde index; 0^0 = 1 as in IEEE pow
+const power = (a, k, config) => {
+  const n = Math.abs(a);
+  const negative = isNegative(a) && Math.abs(k) % 2 === 1;
+  let result;
+  if (k === 0) result = saturate(1, config);
+  else if (n === 0) {
+    result = k > 0
+      ? saturate(0, config, { zero: true })
+      : saturate(maxIndex(config.bitWidth, config.signed), config, { divideByZero: true });
+  } else result = saturate((n - 1) * k + 1, config);
+  return withSignFlagged(result, negative);
+};
+
+// Sign-magnitude order with -0 equal to +0
+const signedKey = index => (isNegative(index) ? -Math.abs(index) : index);
+
+// sign(a - b) as a tilde value: 1 (unity), 0 or -1. Unsigned words cannot
+// hold -1, so a < b is invalid there.
+const compare = (a, b, config) => {
+  const order = Math.sign(signedKey(a) - signedKey(b));
+  if (order >= 0) return saturate(order, config, { zero: order === 0 });
+  if (!config.signed) return saturate(0, config, { invalid: true });
+  return withSignFlagged(saturate(1, config), true);
+};
+
+const minimum = (a, b) => ({ result: signedKey(b) < signedKey(a) ? b : a, flags: NO_FLAGS });
+
+const maximum = (a, b) => ({ result: signedKey(b) > signedKey(a) ? b : a, flags: NO_FLAGS });
+
+// log_β x is the integer k = n - 1, re-encoded to the nearest index. log 0 is
+// -∞ (divide by zero); negative operands are invalid.
+const logBeta = (a, config) => {
+  const n = Math.abs(a);
+  const max = maxIndex(config.bitWidth, config.signed);
+  if (n === 0) return withSignFlagged(saturate(config.signed ? max : 0, config, { divideByZero: true }), config.signed);
+  if (isNegative(a)) return saturate(0, config, { invalid: true });
+  if (n === 1) return saturate(0, config, { zero: true });
+  const index = Math.round(Math.log(n - 1) / Math.log(config.beta)) + 1;
+  return saturate(index, config, { exact: Math.abs(Math.pow(config.beta, index - 1) - (n - 1)) < 1e-9 * (n - 1) });
+};
+
+// β^x for x the value of a: index 1 + x, rounded. Negative x lands between
+// zero and unity, where the only codes are 0 and 1.
+const expBeta = (a, config) => {
+  const n = Math.abs(a);
+  if (n === 0) return saturate(1, config);
+  const x = Math.pow(config.beta, n - 1);
+  if (!isNegative(a)) return saturate(Math.round(1 + x), config, { exact: Number.isInteger(x) });
+  return saturate(Math.pow(config.beta, -x) < 0.5 ? 0 : 1, config, { exact: false });
+};
+
+const flaggedOperations = {
+  add: addFlagged,
+  sub: subFlagged,
+  mul: mulFlagged,
+  div: divFlagged,
+  square: (a, b, config) => square(a, config),
+  sqrt: (a, b, config) => sqrt(a, config),
+  reciprocal: (a, b, config) => reciprocal(a, config),
+  power,
+  compare,
+  min: minimum,
+  max: maximum,
+  log: (a, b, config) => logBeta(a, config),
+  exp: (a, b, config) => expBeta(a, config)
+};
+
+// The four-operation ALU that the RTL, netlist, test vectors and sweeps cover
+export const CORE_OPERATIONS = ['add', 'sub', 'mul', 'div'];
+
+// Display metadata. Unary operations ignore b; `exponent` operations read b
+// as a plain integer.
+export const OPERATION_INFO = {
+  add: { label: 'Addition', symbol: '+', arity: 2 },
+  sub: { label: 'Subtraction', symbol: '−', arity: 2 },
+  mul: { label: 'Multiplication', symbol: '×', arity: 2 },
+  div: { label: 'Division', symbol: '÷', arity: 2 },
+  square: { label: 'Square', symbol: 'sq', arity: 1 },
+  sqrt: { label: 'Square root', symbol: '√', arity: 1 },
+  reciprocal: { label: 'Reciprocal', symbol: '1/x', arity: 1 },
+  power: { label: 'Integer power', symbol: '^', arity: 2, exponent: true },
+  compare: { label: 'Compare', symbol: 'cmp', arity: 2, prefix: true },
+  min: { label: 'Minimum', symbol: 'min', arity: 2, prefix: true },
+  max: { label: 'Maximum', symbol: 'max', arity: 2, prefix: true },
+  log: { label: 'log_β conversion', symbol: 'log', arity: 1 },
+  exp: { label: 'β^x conversion', symbol: 'exp', arity: 1 }
+};
+
+// [min, max] accepted for operand `key` ('a' or 'b'). The exponent k of
+// power is a plain integer, so it may be negative in unsigned mode too.
+export const operandLimits = (key, operation, { bitWidth, signed }) => {
+  const max = maxIndex(bitWidth, signed);
+  const exponent = key === 'b' && OPERATION_INFO[operation]?.exponent;
+  return [signed || exponent ? -max : 0, max];
+};
+
+// `a + b`, `min(a, b)` or `sqrt(a)` from already formatted operands
+export const operationText = (operation, a, b) => {
+  const { symbol, arity, prefix } = OPERATION_INFO[operation];
+  if (arity === 1) return `${symbol}(${a})`;
+  return prefix ? `${symbol}(${a}, ${b})` : `${a} ${symbol} ${b}`;
+};
+
+export const add = (a, b, config) => addFlagged(a, b, config).result;
+
+export const sub = (a, b, config) => subFlagged(a, b, config).result;
+
+export const mul = (a, b, config) => mulFlagged(a, b, config).result;
+
+export const div = (a, b, config) => divFlagged(a, b, config).result;
+
+export const operations = Object.fromEntries(
+  Object.entries(flaggedOperations).map(([name, op]) => [name, (a, b, config) => op(a, b, config).result])
+);
+
+// Result index and status flags of one operation
+export const evaluateFlagged = (operation, a, b, config) => {
+  const op = flaggedOperations[operation];
+  return op ? op(a, b, config) : { result: 0, flags: NO_FLAGS };
+};
+
+export const evaluate = (operation, a, b, config) => evaluateFlagged(operation, a, b, config).result;
@@ -0,0 +1,242 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CARRY_RANGE,
+  EFFICIENCY_THRESHOLD,
+  calculateLutLength,
+  decodeCommonTerms,
+  decodeWord,
+  encodeWord,
+  evaluate,
+  evaluateFlagged,
+  getLutValue,
+  isSimplifiedLut,
+  lutEntry,
+  maxIndex,
+  negate,
+  operandLimits
+} from './engine.js';
+
+const unsigned = { beta: 1.5, bitWidth: 4, signed: false };
+const signed = { beta: 1.5, bitWidth: 4, signed: true };
+
+const isMinusZero = (x) => Object.is(x, -0);
+
+test('maxIndex fills the magnitude bits', () => {
+  assert.equal(maxIndex(4), 15);
+  assert.equal(maxIndex(4, true), 7);
+  assert.equal(maxIndex(8, false), 255);
+});
+
+test('the LUT collapses to one entry from the efficiency threshold on', () => {
+  assert.equal(isSimplifiedLut(EFFICIENCY_THRESHOLD), true);
+  assert.equal(calculateLutLength(EFFICIENCY_THRESHOLD), 1);
+  assert.equal(isSimplifiedLut(1.99), false);
+  assert.ok(calculateLutLength(1.99) > 1);
+});
+
+test('operandLimits lets the power exponent go negative in unsigned mode', () => {
+  assert.deepEqual(operandLimits('a', 'add', unsigned), [0, 15]);
+  assert.deepEqual(operandLimits('b', 'add', unsigned), [0, 15]);
+  assert.deepEqual(operandLimits('a', 'power', unsigned), [0, 15]);
+  assert.deepEqual(operandLimits('b', 'power', unsigned), [-15, 15]);
+  assert.deepEqual(operandLimits('b', 'add', signed), [-7, 7]);
+  assert.equal(evaluate('power', 5, -1, unsigned), evaluate('reciprocal', 5, 0, unsigned));
+});
+
+test('decodeCommonTerms derives the branch signals', () => {
+  assert.deepEqual(decodeCommonTerms(5, 2), { Za: false, Zb: false, Ua: false, Ub: false, E: false, d: 3, m: 5 });
+  assert.deepEqual(decodeCommonTerms(2, 5), { Za: false, Zb: false, Ua: false, Ub: false, E: false, d: 3, m: 5 });
+  assert.deepEqual(decodeCommonTerms(0, 1), { Za: true, Zb: false, Ua: false, Ub: true, E: false, d: 1, m: 1 });
+  assert.deepEqual(decodeCommonTerms(4, 4), { Za: false, Zb: false, Ua: false, Ub: false, E: true, d: 0, m: 4 });
+});
+
+test('add applies the LUT correction to the larger operand', () => {
+  for (let a = 1; a <= 8; a++) {
+    for (let b = 1; b <= 8; b++) {
+      const d = Math.abs(a - b);
+      const expected = d < CARRY_RANGE ? Math.max(a, b) + getLutValue(d, unsigned.beta) : Math.max(a, b);
+      assert.equal(evaluate('add', a, b, unsigned), Math.min(expected, 15), `${a} + ${b}`);
+    }
+  }
+});
+
+test('sub subtracts the LUT correction from the larger operand', () => {
+  assert.equal(evaluate('sub', 5, 2, unsigned), 5 - getLutValue(3, unsigned.beta, 'floor', 'sub'));
+  assert.equal(evaluate('sub', 9, 3, unsigned), 9 - getLutValue(6, unsigned.beta, 'floor', 'sub'));
+});
+
+test('lutEntry tables at β = 1.5 for every rounding mode', () => {
+  const table = (kind, lutRounding) => Array.from({ length: 10 }, (_, d) => lutEntry(kind, d, { beta: 1.5, lutRounding }));
+  // Floor, nearest and ceil round log_1.5(d + 1) for both paths
+  ['add', 'sub'].forEach((kind) => {
+    assert.deepEqual(table(kind, 'floor'), [0, 1, 2, 3, 3, 4, 4, 5, 5, 5]);
+    assert.deepEqual(table(kind, 'nearest'), [0, 1, 2, 3, 4, 4, 5, 5, 5, 6]);
+    assert.deepEqual(table(kind, 'ceil'), [0, 1, 2, 3, 4, 5, 5, 6, 6, 6]);
+  });
+  // minError rounds log_1.5(1 + 1.5^-d) and -log_1.5(1 - 1.5^-d) instead
+  assert.deepEqual(table('add', 'minError'), [2, 1, 1, 1, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(table('sub', 'minError'), [0, 3, 1, 1, 1, 0, 0, 0, 0, 0]);
+});
+
+test('add and sub read the table of the configured rounding mode', () => {
+  const config = lutRounding => ({ ...unsigned, lutRounding });
+  assert.equal(evaluate('add', 7, 2, config('floor')), 11);
+  assert.equal(evaluate('add', 7, 2, config('nearest')), 11);
+  assert.equal(evaluate('add', 7, 2, config('ceil')), 12);
+  assert.equal(evaluate('add', 7, 2, config('minError')), 7);
+  assert.equal(evaluate('sub', 5, 4, config('floor')), 4);
+  assert.equal(evaluate('sub', 5, 4, config('minError')), 2);
+});
+
+test('mul and div add and subtract exponents', () => {
+  assert.equal(evaluate('mul', 3, 4, unsigned), 6);
+  assert.equal(evaluate('mul', 5, 5, unsigned), 9);
+  assert.equal(evaluate('div', 6, 2, unsigned), 5);
+  assert.equal(evaluate('div', 9, 4, unsigned), 6);
+});
+
+test('zero operands', () => {
+  assert.equal(evaluate('add', 0, 6, unsigned), 6);
+  assert.equal(evaluate('add', 0, 0, unsigned), 0);
+  assert.equal(evaluate('sub', 6, 0, unsigned), 6);
+  assert.equal(evaluate('mul', 0, 6, unsigned), 0);
+  assert.equal(evaluate('div', 0, 6, unsigned), 0);
+});
+
+test('division by zero returns the largest code or zero and raises the flag', () => {
+  const x = evaluateFlagged('div', 3, 0, unsigned);
+  assert.equal(x.result, 15);
+  assert.equal(x.flags.divideByZero, true);
+  const zero = evaluateFlagged('div', 0, 0, unsigned);
+  assert.equal(zero.result, 0);
+  assert.equal(zero.flags.divideByZero, true);
+});
+
+test('unity operands', () => {
+  assert.equal(evaluate('mul', 1, 7, unsigned), 7);
+  assert.equal(evaluate('mul', 7, 1, unsigned), 7);
+  assert.equal(evaluate('div', 7, 1, unsigned), 7);
+});
+
+test('equal operands', () => {
+  assert.equal(evaluate('sub', 6, 6, unsigned), 0);
+  assert.equal(evaluate('div', 6, 6, unsigned), 1);
+  assert.equal(evaluateFlagged('sub', 6, 6, unsigned).flags.underflow, false);
+});
+
+test('results saturate at the top code and raise overflow', () => {
+  const product = evaluateFlagged('mul', 10, 10, unsigned);
+  assert.equal(product.result, 15);
+  assert.equal(product.flags.overflow, true);
+  assert.equal(product.flags.inexact, true);
+  const sum = evaluateFlagged('add', 15, 14, unsigned);
+  assert.equal(sum.result, 15);
+  assert.equal(sum.flags.overflow, true);
+  assert.equal(evaluate('mul', -6, 6, signed), -7);
+});
+
+test('quotients below unity underflow to zero', () => {
+  const q = evaluateFlagged('div', 2, 5, unsigned);
+  assert.equal(q.result, 0);
+  assert.equal(q.flags.underflow, true);
+});
+
+test('signed results are sign-magnitude', () => {
+  assert.equal(evaluate('mul', -2, 3, signed), -4);
+  assert.equal(evaluate('div', -5, -2, signed), 4);
+  assert.equal(evaluate('add', -5, -2, signed), -evaluate('add', 5, 2, signed));
+  assert.equal(evaluate('add', 5, -2, signed), evaluate('sub', 5, 2, unsigned));
+  assert.equal(evaluate('sub', 2, 5, signed), -evaluate('sub', 5, 2, unsigned));
+});
+
+test('signed -0 handling', () => {
+  assert.ok(isMinusZero(negate(0)));
+  assert.equal(negate(-0), 0);
+  assert.ok(!isMinusZero(negate(-0)));
+  // Exact cancellation gives +0, as in IEEE 754
+  assert.ok(!isMinusZero(evaluate('add', -3, 3, signed)));
+  assert.ok(!isMinusZero(evaluate('sub', 3, 3, signed)));
+  // Zero products keep the sign of the operands
+  assert.ok(isMinusZero(evaluate('mul', -0, 3, signed)));
+  assert.ok(isMinusZero(evaluate('mul', -2, 0, signed)));
+  assert.ok(isMinusZero(evaluate('sub', -0, 0, signed)));
+});
+
+test('encodeWord and decodeWord round-trip every signed word', () => {
+  for (let word = 0; word < 16; word++) {
+    assert.equal(encodeWord(decodeWord(word, signed), signed), word);
+  }
+  assert.equal(encodeWord(-0, signed), 8);
+  assert.ok(isMinusZero(decodeWord(8, signed)));
+});
+
+const flagged = (operation, a, b, config) => {
+  const { result, flags } = evaluateFlagged(operation, a, b, config);
+  return { result, flags: Object.keys(flags).filter(flag => flags[flag]) };
+};
+
+test('square doubles and sqrt halves the log index', () => {
+  assert.deepEqual(flagged('square', 4, 0, unsigned), { result: 7, flags: [] });
+  assert.deepEqual(flagged('square', 9, 0, unsigned), { result: 15, flags: ['overflow', 'inexact'] });
+  assert.deepEqual(flagged('sqrt', 5, 0, unsigned), { result: 3, flags: [] });
+  // k = 3 is odd, so the half rounds up and the result is inexact
+  assert.deepEqual(flagged('sqrt', 4, 0, unsigned), { result: 3, flags: ['inexact'] });
+  assert.deepEqual(flagged('sqrt', -4, 0, signed), { result: 0, flags: ['invalid'] });
+  assert.ok(isMinusZero(evaluate('sqrt', -0, 0, signed)));
+});
+
+test('reciprocal of anything above unity underflows', () => {
+  assert.deepEqual(flagged('reciprocal', 1, 0, unsigned), { result: 1, flags: [] });
+  assert.deepEqual(flagged('reciprocal', 3, 0, unsigned), { result: 0, flags: ['underflow', 'inexact'] });
+  assert.deepEqual(flagged('reciprocal', 0, 0, unsigned), { result: 15, flags: ['divideByZero'] });
+});
+
+test('power multiplies the log index by the exponent', () => {
+  assert.deepEqual(flagged('power', 3, 2, unsigned), { result: 5, flags: [] });
+  assert.deepEqual(flagged('power', 5, 0, unsigned), { result: 1, flags: [] });
+  assert.equal(evaluate('power', -3, 3, signed), -7);
+  assert.equal(evaluate('power', -3, 2, signed), 5);
+});
+
+test('power with a negative exponent underflows', () => {
+  assert.deepEqual(flagged('power', 3, -1, unsigned), { result: 0, flags: ['underflow', 'inexact'] });
+  assert.deepEqual(flagged('power', 3, -2, unsigned), { result: 0, flags: ['underflow', 'inexact'] });
+  assert.deepEqual(flagged('power', 1, -3, unsigned), { result: 1, flags: [] });
+  assert.deepEqual(flagged('power', 0, -1, unsigned), { result: 15, flags: ['divideByZero'] });
+});
+
+test('compare returns the sign of a - b, invalid below zero in unsigned mode', () => {
+  assert.deepEqual(flagged('compare', 5, 3, unsigned), { result: 1, flags: [] });
+  assert.deepEqual(flagged('compare', 4, 4, unsigned), { result: 0, flags: [] });
+  assert.deepEqual(flagged('compare', 3, 5, unsigned), { result: 0, flags: ['invalid'] });
+  assert.deepEqual(flagged('compare', -3, 2, signed), { result: -1, flags: [] });
+  assert.deepEqual(flagged('compare', -0, 0, signed), { result: 0, flags: [] });
+});
+
+test('min and max treat -0 and +0 as equal and return the first operand', () => {
+  assert.ok(isMinusZero(evaluate('min', -0, 0, signed)));
+  assert.ok(!isMinusZero(evaluate('min', 0, -0, signed)));
+  assert.ok(isMinusZero(evaluate('max', -0, 0, signed)));
+  assert.ok(!isMinusZero(evaluate('max', 0, -0, signed)));
+  assert.equal(evaluate('min', -3, 2, signed), -3);
+  assert.equal(evaluate('max', -3, 2, signed), 2);
+});
+
+test('log of zero divides by zero and log of a negative operand is invalid', () => {
+  assert.deepEqual(flagged('log', 0, 0, unsigned), { result: 0, flags: ['divideByZero'] });
+  assert.deepEqual(flagged('log', 0, 0, signed), { result: -7, flags: ['divideByZero'] });
+  assert.deepEqual(flagged('log', -3, 0, signed), { result: 0, flags: ['invalid'] });
+  assert.deepEqual(flagged('log', 1, 0, unsigned), { result: 0, flags: [] });
+  // Index 5 is 1.5^4, so the log is 4, whose nearest index is 1 + log_1.5 4 ≈ 4.42
+  assert.deepEqual(flagged('log', 5, 0, unsigned), { result: 4, flags: ['inexact'] });
+});
+
+test('exp of a negative operand falls to code 0 or 1', () => {
+  assert.deepEqual(flagged('exp', 0, 0, unsigned), { result: 1, flags: [] });
+  // β^-1 ≈ 0.67 and β^-1.5 ≈ 0.54 round to unity, β^-2.25 ≈ 0.40 to zero
+  assert.deepEqual(flagged('exp', -1, 0, signed), { result: 1, flags: ['inexact'] });
+  assert.deepEqual(flagged('exp', -2, 0, signed), { result: 1, flags: ['inexact'] });
+  assert.deepEqual(flagged('exp', -3, 0, signed), { result: 0, flags: ['underflow', 'inexact'] });
+  assert.deepEqual(flagged('exp', -5, 0, signed), { result: 0, flags: ['underflow', 'inexact'] });
+});
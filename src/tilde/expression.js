@@ -0,0 +1,183 @@
+// Expression Evaluation
+//
+// Parses arithmetic expressions such as `(a + b) * c / d - e` into an AST and
+// evaluates every node twice: with tilde semantics (each operation rounds and
+// clamps to the bit width, exactly as the ALU would) and with exact reals fed
+// the same operand values. Comparing the two per node shows how error builds
+// up over a chain of operations. Numbers and variables are tilde indices, like
+// the calculator operands.
+
+import { evaluateFlagged, maxIndex, mergeFlags, negate } from './engine.js';
+import { indexToReal, indexToValue, realToValue, realOperation, exactResult, compareToExact } from './values.js';
+
+const OPERATORS = {
+  '+': 'add', '-': 'sub', '−': 'sub',
+  '*': 'mul', '×': 'mul', '·': 'mul',
+  '/': 'div', '÷': 'div'
+};
+
+export const OPERATION_SYMBOLS = { add: '+', sub: '−', mul: '×', div: '÷' };
+
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S)/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const [, number, name, symbol] = match;
+    const start = match.index;
+    if (number) tokens.push({ type: 'number', value: parseInt(number, 10), start });
+    else if (name) tokens.push({ type: 'name', value: name, start });
+    else if (OPERATORS[symbol] || symbol === '(' || symbol === ')') tokens.push({ type: symbol, start });
+    else throw new Error(`Unexpected "${symbol}" at position ${start + 1}`);
+  }
+  tokens.push({ type: 'end', start: source.length });
+  return tokens;
+};
+
+// Recursive descent; `*` and `/` bind tighter than `+` and `-`, all
+// left-associative. Nodes keep their source span for display.
+export const parseExpression = (source) => {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const fail = (token) => {
+    throw new Error(token.type === 'end'
+      ? 'Unexpected end of expression'
+      : `Unexpected "${token.value ?? token.type}" at position ${token.start + 1}`);
+  };
+  const isOperator = (token, operation) => OPERATORS[token.type] === operation;
+
+  const binary = (parseOperand, ops) => () => {
+    let left = parseOperand();
+    while (ops.some(op => isOperator(peek(), op))) {
+      const operation = OPERATORS[next().type];
+      const right = parseOperand();
+      left = { type: 'binary', operation, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value, start: token.start, end: token.start + String(token.value).length };
+    }
+    if (token.type === 'name') {
+      return { type: 'variable', name: token.value, start: token.start, end: token.start + token.value.length };
+    }
+    if (token.type === '(') {
+      const inner = parseSum();
+      const close = next();
+      if (close.type !== ')') fail(close);
+      return { ...inner, start: token.start, end: close.start + 1 };
+    }
+    return fail(token);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator(token, 'sub')) {
+      next();
+      const operand = parseUnary();
+      return { type: 'negate', operand, start: token.start, end: operand.end };
+    }
+    if (isOperator(token, 'add')) {
+      next();
+      return parseUnary();
+    }
+    return parsePrimary();
+  };
+
+  const parseProduct = binary(parseUnary, ['mul', 'div']);
+  const parseSum = binary(parseProduct, ['add', 'sub']);
+
+  const ast = parseSum();
+  if (peek().type !== 'end') fail(peek());
+  return ast;
+};
+
+// Variable names in order of first appearance
+export const expressionVariables = (ast) => {
+  const names = [];
+  const visit = (node) => {
+    if (node.type === 'variable' && !names.includes(node.name)) names.push(node.name);
+    if (node.left) visit(node.left);
+    if (node.right) visit(node.right);
+    if (node.operand) visit(node.operand);
+  };
+  visit(ast);
+  return names;
+};
+
+const checkIndex = (index, label, { bitWidth, signed }) => {
+  const max = maxIndex(bitWidth, signed);
+  if (!Number.isInteger(index) || Math.abs(index) > max || (!signed && index < 0)) {
+    throw new Error(`${label} is outside the ${bitWidth}-bit range (max ${max})`);
+  }
+  return index;
+};
+
+// Evaluates the AST, returning the final tilde index and one step per
+// operation in evaluation order. Each step carries the tilde result, the exact
+// result of the whole sub-expression (`accumulated` error) and the exact result
+// of this operation alone on its rounded tilde inputs (`local` error), plus
+// the operation's status flags; the returned `flags` are sticky over all steps.
+// Throws an Error for unknown variables, out-of-range indices, and negation in
+// unsigned mode.
+export const evaluateExpression = (ast, variables, config, source = '') => {
+  const { beta, signed } = config;
+  const steps = [];
+  let flags = {};
+  const text = (node) => source.slice(node.start, node.end);
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'number': {
+        const index = checkIndex(node.value, `Literal ${node.value}`, config);
+        return { index, exact: indexToReal(index, beta) };
+      }
+      case 'variable': {
+        if (!Object.hasOwn(variables, node.name)) throw new Error(`Unknown variable "${node.name}"`);
+        const index = checkIndex(variables[node.name], `Variable ${node.name}`, config);
+        return { index, exact: indexToReal(index, beta) };
+      }
+      case 'negate': {
+        if (!signed) throw new Error('Negation needs signed mode');
+        const { index, exact } = visit(node.operand);
+        return { index: negate(index), exact: { negative: !exact.negative, log: exact.log } };
+      }
+      default: {
+        const left = visit(node.left);
+        const right = visit(node.right);
+        const { result: index, flags: stepFlags } = evaluateFlagged(node.operation, left.index, right.index, config);
+        const exact = realOperation(node.operation, left.exact, right.exact, config);
+        flags = mergeFlags(flags, stepFlags);
+        steps.push({
+          step: steps.length + 1,
+          text: text(node),
+          operation: node.operation,
+          a: left.index,
+          b: right.index,
+          result: index,
+          flags: stepFlags,
+          value: indexToValue(index, beta),
+          exact: realToValue(exact),
+          local: compareToExact(index, exactResult(node.operation, left.index, right.index, config), config),
+          accumulated: compareToExact(index, exact, config)
+        });
+        return { index, exact };
+      }
+    }
+  };
+
+  const { index, exact } = visit(ast);
+  return {
+    result: index,
+    value: indexToValue(index, beta),
+    exact: realToValue(exact),
+    error: compareToExact(index, exact, config),
+    flags: mergeFlags(flags, {}),
+    steps
+  };
+};
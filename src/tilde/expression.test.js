@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from './engine.js';
+import { evaluateExpression, expressionVariables, parseExpression } from './expression.js';
+
+const unsigned = { beta: 1.5, bitWidth: 4, signed: false };
+const signed = { beta: 1.5, bitWidth: 4, signed: true };
+
+const run = (source, config, variables = {}) => evaluateExpression(parseExpression(source), variables, config, source);
+
+const raised = (flags) => Object.keys(flags).filter(flag => flags[flag]);
+
+test('multiplication and division bind tighter than addition and subtraction', () => {
+  const ast = parseExpression('2 + 3 * 4');
+  assert.equal(ast.operation, 'add');
+  assert.equal(ast.right.operation, 'mul');
+  assert.equal(run('2 + 3 * 4', unsigned).result, evaluate('add', 2, evaluate('mul', 3, 4, unsigned), unsigned));
+  assert.equal(run('9 - 8 / 2', unsigned).result, evaluate('sub', 9, evaluate('div', 8, 2, unsigned), unsigned));
+});
+
+test('operators are left-associative', () => {
+  assert.equal(parseExpression('8 - 3 - 2').left.operation, 'sub');
+  assert.equal(run('8 - 3 - 2', unsigned).result, evaluate('sub', evaluate('sub', 8, 3, unsigned), 2, unsigned));
+  assert.equal(run('9 / 3 / 2', unsigned).result, 6);
+});
+
+test('parentheses override precedence and keep their span', () => {
+  const { result, steps } = run('2 * (3 + 4)', unsigned);
+  assert.equal(result, evaluate('mul', 2, evaluate('add', 3, 4, unsigned), unsigned));
+  assert.deepEqual(steps.map(s => s.text), ['(3 + 4)', '2 * (3 + 4)']);
+});
+
+test('unary minus needs signed mode', () => {
+  assert.throws(() => run('-3 * 2', unsigned), /Negation needs signed mode/);
+  assert.equal(run('-3 * 2', signed).result, -4);
+  assert.equal(run('--3', signed).result, 3);
+  assert.equal(run('+3', unsigned).result, 3);
+  assert.ok(Object.is(run('-0', signed).result, -0));
+});
+
+test('syntax errors name the offending token', () => {
+  assert.throws(() => parseExpression('2 +'), /Unexpected end of expression/);
+  assert.throws(() => parseExpression('(2 + 3'), /Unexpected end of expression/);
+  assert.throws(() => parseExpression('2 3'), /Unexpected "3" at position 3/);
+  assert.throws(() => parseExpression('2 $ 3'), /Unexpected "\$" at position 3/);
+  assert.throws(() => parseExpression(')'), /Unexpected "\)" at position 1/);
+});
+
+test('variables resolve to indices and unknown names are rejected', () => {
+  const ast = parseExpression('a * b + a');
+  assert.deepEqual(expressionVariables(ast), ['a', 'b']);
+  assert.equal(evaluateExpression(ast, { a: 3, b: 4 }, unsigned).result, run('3 * 4 + 3', unsigned).result);
+  assert.throws(() => evaluateExpression(ast, { a: 3 }, unsigned), /Unknown variable "b"/);
+  // Object prototype keys are not variables
+  assert.throws(() => run('toString + 1', unsigned), /Unknown variable "toString"/);
+  assert.throws(() => run('constructor', unsigned), /Unknown variable "constructor"/);
+});
+
+test('out-of-range indices are rejected', () => {
+  assert.throws(() => run('16 + 1', unsigned), /Literal 16 is outside the 4-bit range/);
+  assert.throws(() => run('a', unsigned, { a: -1 }), /Variable a is outside/);
+});
+
+test('each operation is one step with its own flags; the result flags are sticky', () => {
+  const { result, steps, flags } = run('15 * 15 / 15', unsigned);
+  assert.equal(result, 1);
+  assert.deepEqual(steps.map(s => [s.step, s.operation, s.a, s.b, s.result]), [[1, 'mul', 15, 15, 15], [2, 'div', 15, 15, 1]]);
+  assert.deepEqual(raised(steps[0].flags), ['overflow', 'inexact']);
+  assert.deepEqual(raised(steps[1].flags), []);
+  assert.deepEqual(raised(flags), ['overflow', 'inexact']);
+});
+
+test('local error uses the rounded inputs, accumulated error the exact sub-expression', () => {
+  const { steps, error } = run('15 * 15 / 15', unsigned);
+  // The division is exact on its saturated inputs but far off the real 15 * 15 / 15
+  assert.equal(steps[1].local.relative, 0);
+  assert.ok(steps[1].accumulated.relative > 0.99);
+  assert.equal(error.ulp, steps[1].accumulated.ulp);
+  assert.deepEqual(run('9 / 3 / 2', unsigned).error, { absolute: 0, relative: 0, ulp: 0 });
+});
@@ -0,0 +1,183 @@
+// Competitor Format Catalog
+//
+// Number formats the Tilde ALU is compared against. Each entry carries gate
+// estimates per operation rather than a single total: `shared` covers
+// operand decode/unpack, special-value handling, result encode/round and the
+// opcode mux; add/sub/mul/div are the operation datapaths. Counts are
+// 2-input-gate structural estimates for a single-cycle ALU; `source` cites
+// the format definition and the basis of the estimate. Users can add their
+// own entries, persisted the same way as the technology library.
+
+import { loadStored, saveStored } from './storage.js';
+
+export const FORMAT_OPERATIONS = ['add', 'sub', 'mul', 'div'];
+
+export const FORMAT_GATE_FIELDS = ['shared', ...FORMAT_OPERATIONS];
+
+export const FORMAT_FAMILIES = {
+  int: 'Integer',
+  float: 'Floating point',
+  block: 'Block-scaled',
+  posit: 'Posit',
+  lns: 'Logarithmic',
+  custom: 'Custom'
+};
+
+export const BUILTIN_FORMATS = {
+  INT4: {
+    label: 'INT4',
+    bits: 4,
+    family: 'int',
+    description: '4-bit two\'s-complement integer ALU (ripple add, array multiplier, restoring divider)',
+    source: 'Structural estimate; datapaths after Weste & Harris, CMOS VLSI Design, 4th ed., ch. 11',
+    gates: { shared: 30, add: 20, sub: 25, mul: 80, div: 120 }
+  },
+  INT8: {
+    label: 'INT8',
+    bits: 8,
+    family: 'int',
+    description: '8-bit two\'s-complement integer ALU (ripple add, array multiplier, restoring divider)',
+    source: 'Structural estimate; datapaths after Weste & Harris, CMOS VLSI Design, 4th ed., ch. 11',
+    gates: { shared: 60, add: 45, sub: 55, mul: 400, div: 480 }
+  },
+  FP4_Dedicated: {
+    label: 'FP4 Dedicated',
+    bits: 4,
+    family: 'float',
+    description: '4-bit FP ALU (Dedicated TPU/NPU)',
+    source: 'Structural estimate for E2M1 with alignment, normalization and rounding',
+    gates: { shared: 90, add: 110, sub: 120, mul: 50, div: 80 }
+  },
+  FP4_MultiFormat: {
+    label: 'FP4 Multi-Format',
+    bits: 4,
+    family: 'float',
+    description: '4-bit FP in Multi-Format ALU (GPU)',
+    source: 'FP4 dedicated estimate with ~2.7× multi-format overhead (format muxing, shared units, conversion)',
+    gates: { shared: 420, add: 260, sub: 270, mul: 100, div: 150 }
+  },
+  FP8_E4M3: {
+    label: 'FP8 E4M3',
+    bits: 8,
+    family: 'float',
+    description: '8-bit FP, 4-bit exponent, 3-bit mantissa, no infinities (inference/forward pass)',
+    source: 'Micikevicius et al., "FP8 Formats for Deep Learning", arXiv:2209.05433 (2022); structural estimate',
+    gates: { shared: 150, add: 350, sub: 380, mul: 170, div: 300 }
+  },
+  FP8_E5M2: {
+    label: 'FP8 E5M2',
+    bits: 8,
+    family: 'float',
+    description: '8-bit FP, 5-bit exponent, 2-bit mantissa, IEEE-style specials (gradients)',
+    source: 'Micikevicius et al., "FP8 Formats for Deep Learning", arXiv:2209.05433 (2022); structural estimate',
+    gates: { shared: 160, add: 320, sub: 350, mul: 140, div: 250 }
+  },
+  MXFP4: {
+    label: 'MXFP4',
+    bits: 4,
+    family: 'block',
+    description: 'E2M1 elements with a shared E8M0 scale per 32-element block; shared includes the scale exponent path',
+    source: 'OCP Microscaling Formats (MX) Specification v1.0 (2023); structural estimate',
+    gates: { shared: 120, add: 160, sub: 170, mul: 70, div: 150 }
+  },
+  Posit8_0: {
+    label: 'posit(8,0)',
+    bits: 8,
+    family: 'posit',
+    description: '8-bit posit, es=0; shared covers regime decode (LZC) and encode/round',
+    source: 'Gustafson & Yonemoto, "Beating Floating Point at its Own Game", Supercomputing Frontiers and Innovations 4(2), 2017; structural estimate',
+    gates: { shared: 270, add: 180, sub: 190, mul: 150, div: 250 }
+  },
+  Posit16_1: {
+    label: 'posit(16,1)',
+    bits: 16,
+    family: 'posit',
+    description: '16-bit posit, es=1; shared covers regime decode (LZC) and encode/round',
+    source: 'Gustafson & Yonemoto, "Beating Floating Point at its Own Game", Supercomputing Frontiers and Innovations 4(2), 2017; structural estimate',
+    gates: { shared: 700, add: 550, sub: 580, mul: 700, div: 1200 }
+  },
+  LNS8: {
+    label: 'LNS (8-bit)',
+    bits: 8,
+    family: 'lns',
+    description: 'Conventional LNS: fixed-point log, mul/div by add/sub, add/sub via interpolated Gaussian log tables',
+    source: 'Coleman et al., "The European Logarithmic Microprocessor", IEEE Trans. Computers 57(4), 2008; structural estimate',
+    gates: { shared: 80, add: 600, sub: 900, mul: 40, div: 45 }
+  },
+  BFloat16: {
+    label: 'BFloat16',
+    bits: 16,
+    family: 'float',
+    description: '16-bit BF16 ALU',
+    source: 'Kalamkar et al., "A Study of BFLOAT16 for Deep Learning Training", arXiv:1905.12322 (2019); structural estimate',
+    gates: { shared: 600, add: 700, sub: 750, mul: 500, div: 650 }
+  },
+  FP32: {
+    label: 'FP32',
+    bits: 32,
+    family: 'float',
+    description: '32-bit IEEE FP ALU',
+    source: 'IEEE 754-2019; structural estimate',
+    gates: { shared: 1500, add: 1800, sub: 1900, mul: 3300, div: 3500 }
+  },
+  FP64: {
+    label: 'FP64',
+    bits: 64,
+    family: 'float',
+    description: '64-bit IEEE FP ALU',
+    source: 'IEEE 754-2019; structural estimate',
+    gates: { shared: 3000, add: 3500, sub: 3700, mul: 8500, div: 9300 }
+  }
+};
+
+export const FORMAT_CATALOG_VERSION = 1;
+
+const STORAGE_KEY = 'tilde.formatCatalog';
+
+export const formatTotalGates = (format) =>
+  FORMAT_GATE_FIELDS.reduce((sum, key) => sum + format.gates[key], 0);
+
+// Throws an Error naming the first invalid field
+export const validateFormat = (name, format) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('Format name is required');
+  }
+  if (!Number.isInteger(format?.bits) || format.bits <= 0) {
+    throw new Error(`${name}: bits must be a positive integer`);
+  }
+  FORMAT_GATE_FIELDS.forEach((key) => {
+    const value = format.gates?.[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${name}: ${key} gates must be a non-negative number`);
+    }
+  });
+  return {
+    label: String(format.label || name),
+    bits: format.bits,
+    family: FORMAT_FAMILIES[format.family] ? format.family : 'custom',
+    description: String(format.description || ''),
+    source: String(format.source || ''),
+    gates: Object.fromEntries(FORMAT_GATE_FIELDS.map(key => [key, format.gates[key]]))
+  };
+};
+
+export const serializeFormatCatalog = (formats) =>
+  JSON.stringify({ version: FORMAT_CATALOG_VERSION, formats }, null, 2);
+
+// Accepts the versioned format or a bare { name: format } map
+export const parseFormatCatalog = (data) => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  const formats = parsed && typeof parsed.formats === 'object' ? parsed.formats : parsed;
+  if (!formats || typeof formats !== 'object' || Array.isArray(formats)) {
+    throw new Error('Format catalog must be an object of formats');
+  }
+  return Object.fromEntries(
+    Object.entries(formats).map(([name, format]) => [name, validateFormat(name, format)])
+  );
+};
+
+export const loadCustomFormats = () => loadStored(STORAGE_KEY, parseFormatCatalog);
+
+export const saveCustomFormats = (formats) => saveStored(STORAGE_KEY, serializeFormatCatalog(formats));
+
+export const mergeFormats = (customFormats) => ({ ...BUILTIN_FORMATS, ...customFormats });
@@ -0,0 +1,29 @@
+// Reference Formulas
+//
+// LaTeX sources shared by the Reference tab and exported reports.
+
+export const CORE_FORMULAS = [
+  '\\text{add}(a, b) = \\begin{cases} m + \\text{LUT}[d] & \\text{if } d < \\text{carry\\_range} \\\\ m & \\text{otherwise} \\end{cases}',
+  '\\text{sub}(a, b) = \\begin{cases} m - \\text{LUT}[d] & \\text{if } d < \\text{carry\\_range} \\\\ m & \\text{otherwise} \\end{cases}',
+  '\\text{mul}(a, b) = a + b - 1',
+  '\\text{div}(a, b) = a - b + 1'
+];
+
+// Operations outside the four-operation ALU, on index magnitudes; signs and
+// zero operands follow the special cases in engine.js
+export const EXTENDED_FORMULAS = [
+  '\\text{square}(a) = 2a - 1',
+  '\\text{sqrt}(a) = \\lfloor a/2 \\rfloor + 1 \\quad (\\text{invalid if } a < 0)',
+  '\\text{reciprocal}(a) = 2 - a',
+  '\\text{power}(a, k) = (a - 1)\\,k + 1',
+  '\\text{compare}(a, b) = \\operatorname{sgn}(a - b) \\in \\{-1, 0, 1\\}',
+  '\\text{min}(a, b) = \\begin{cases} a & \\text{if } a \\le b \\\\ b & \\text{otherwise} \\end{cases} \\qquad \\text{max}(a, b) = \\begin{cases} a & \\text{if } a \\ge b \\\\ b & \\text{otherwise} \\end{cases}',
+  '\\text{log}(a) = \\operatorname{round}(\\log_{\\beta}(a - 1)) + 1',
+  '\\text{exp}(a) = \\operatorname{round}(\\beta^{a-1}) + 1'
+];
+
+export const PARAMETER_FORMULAS = [
+  '\\alpha_{\\text{add}} = \\lceil -\\log_{\\beta}((\\beta-1)/2) \\rceil',
+  '\\alpha_{\\text{carry}} = \\lfloor -\\log_{\\beta}((\\beta-1)/2) \\rfloor',
+  '\\Delta\\% = 100(\\beta-1)/(\\beta+1)'
+];
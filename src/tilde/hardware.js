@@ -0,0 +1,155 @@
+// Closed-Form Hardware Estimates
+//
+// The formula gate count for the Tilde ALU and the area/power/throughput of
+// a bank of compute blocks on a given process node. The netlist model in
+// netlist.js derives comparable numbers structurally.
+
+import { activeLutLength, isSimplifiedLut, maxIndex } from './engine.js';
+import { formatTotalGates } from './formats.js';
+import { lutTablesDiffer, lutWidth } from './lut.js';
+import { accumulatorConfig } from './mac.js';
+
+export const COMPUTE_BLOCKS = 1000;
+
+// Logic gates to NAND2 equivalents
+const NAND_PER_GATE = 1.8;
+
+// A flip-flop with its enable mux
+const REGISTER_GATES_PER_BIT = 6;
+
+// Datapaths for the operations outside the four-operation ALU, each priced
+// on its own; none of them is part of `total`
+const extendedGateCount = ({ beta, bitWidth, signed }) => {
+  const max = maxIndex(bitWidth, signed);
+  // log_β rounds n − 1 to a power of β: one constant comparator per output step
+  const logSteps = Math.max(1, Math.floor(Math.log(max) / Math.log(beta)) + 1);
+  // β^x only has non-saturating outputs for indices up to about log_β(max) + 1
+  const expEntries = Math.min(max, Math.floor(Math.log(max) / Math.log(beta)) + 2);
+  return {
+    // Shift and decrement (2n − 1) or increment (n/2 + 1), plus zero and unity bypass
+    square: Math.round(bitWidth + 4),
+    sqrt: Math.round(bitWidth + 4),
+    // 2 − n subtractor with divide-by-zero saturation
+    reciprocal: Math.round(bitWidth * 2 + 4),
+    // (n − 1)·k + 1: an array multiplier against the exponent
+    power: Math.round(bitWidth * bitWidth * 6 + 8),
+    // Reuses the shared comparator; only the sign cases are new
+    compare: signed ? 10 : 6,
+    min: Math.round(bitWidth + 2),
+    max: Math.round(bitWidth + 2),
+    log: Math.round(logSteps * bitWidth * 2),
+    exp: Math.round(expEntries * bitWidth * 2)
+  };
+};
+
+export const estimateGateCount = (config) => {
+  const { beta, bitWidth, signed } = config;
+  const lutLength = activeLutLength(config);
+  const sharedGates = Math.round(bitWidth * 6 + 32);
+  const addGates = Math.round(bitWidth * 3 + 16);
+  const subGates = Math.round(bitWidth * 4 + 20);
+  const mulGates = Math.round(bitWidth * 2 + 12);
+  const divGates = Math.round(bitWidth * 2 + 12);
+  const decoderGates = 12;
+  const muxGates = Math.round(bitWidth * 6);
+  // Sign XOR for mul/div, effective-op select and operand swap for mixed-sign add/sub
+  const signGates = signed ? Math.round(bitWidth * 2 + 8) : 0;
+  // Status flags: adder carry-outs for overflow, a result zero detector for
+  // underflow, Zb gated by the div opcode, and an OR tree (with the LUT
+  // branch select) for inexact. Invalid is only raised by extended operations.
+  const flagGates = Math.round(bitWidth + 12);
+
+  const baseGates = sharedGates + addGates + subGates + mulGates + divGates + decoderGates + muxGates + signGates + flagGates;
+  // Differing add and sub tables need a ROM each
+  const lutTables = lutTablesDiffer(config) ? 2 : 1;
+  // Per-entry costs are for floor tables; each output bit more or less than
+  // the floor table needs costs 4 gates per entry
+  const floorGates = isSimplifiedLut(beta) ? 4 : 12;
+  const extraBits = lutWidth(config) - lutWidth({ ...config, lut: undefined, lutRounding: 'floor' });
+  const lutGates = lutTables * Math.round(lutLength * Math.max(4, floorGates + 4 * extraBits));
+  const total = baseGates + lutGates;
+
+  return {
+    base: baseGates,
+    lut: lutGates,
+    total: total,
+    shared: sharedGates,
+    add: addGates,
+    sub: subGates,
+    mul: mulGates,
+    div: divGates,
+    sign: signGates,
+    flags: flagGates,
+    control: decoderGates + muxGates,
+    extended: extendedGateCount(config)
+  };
+};
+
+// One multiply-accumulate block: the ALU's mul datapath feeding an adder and
+// accumulator register. Pairwise order streams through a stack of partial
+// sums, one per tree level; Kahan order runs its add and three subs on one
+// wide add/sub unit over four cycles, with sum and compensation registers.
+export const estimateMacGateCount = (config, { order = 'sequential', length = 1 } = {}) => {
+  const alu = estimateGateCount(config);
+  const multiplier = alu.mul;
+  let adder;
+  let registers;
+  let control;
+  let cyclesPerProduct = 1;
+
+  if (order === 'kahan') {
+    const wideConfig = accumulatorConfig(config);
+    const wide = estimateGateCount(wideConfig);
+    adder = wide.shared + wide.add + wide.sub + wide.lut + wide.sign;
+    registers = 2 * wideConfig.bitWidth * REGISTER_GATES_PER_BIT;
+    // Widening shift, round-to-nearest narrowing and the four-step sequencer
+    control = Math.round(wideConfig.bitWidth * 2 + 16);
+    cyclesPerProduct = 4;
+  } else {
+    adder = alu.shared + alu.add + alu.lut + alu.sign;
+    const words = order === 'pairwise' ? Math.ceil(Math.log2(Math.max(2, length))) + 1 : 1;
+    registers = words * config.bitWidth * REGISTER_GATES_PER_BIT;
+    control = order === 'pairwise' ? Math.round(words * config.bitWidth + 8) : 8;
+  }
+
+  return {
+    multiplier,
+    adder,
+    registers,
+    control,
+    total: multiplier + adder + registers + control,
+    cyclesPerProduct
+  };
+};
+
+// Area, power and throughput of COMPUTE_BLOCKS identical ALUs
+export const blockMetrics = (logicGates, techData) => {
+  const computeBlocks = COMPUTE_BLOCKS;
+  const nandGates = Math.round(logicGates * NAND_PER_GATE);
+  const transistors = nandGates * techData.transistorsPerNand;
+  const area = transistors * techData.areaPerTransistor;
+
+  const powerPerBlock = transistors * techData.powerPerTransistor * techData.frequency / 1000;
+  const totalPower = powerPerBlock * computeBlocks;
+  const performance = techData.frequency * computeBlocks;
+
+  return {
+    logicGates,
+    nandGates,
+    transistors,
+    area,
+    power: totalPower,
+    performance,
+    computingDensity: performance / (area * computeBlocks),
+    energyEfficiency: performance / (totalPower / 1000),
+    computeBlocks
+  };
+};
+
+// blockMetrics for every catalog format, keyed back to its catalog name
+export const formatMetrics = (formats, techData) =>
+  Object.entries(formats).map(([format, data]) => ({
+    format,
+    ...data,
+    ...blockMetrics(formatTotalGates(data), techData)
+  }));
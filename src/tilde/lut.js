@@ -0,0 +1,99 @@
+// LUT Inspection and Overrides
+//
+// The add and sub paths correct `m` by a table entry indexed by the distance
+// d = |a - b|. The exact corrections are log_β(1 + β^-d) for add and
+// -log_β(1 - β^-d) for sub; `getLutValue` approximates both with integer
+// formula tables under the config's rounding mode. An override replaces either
+// table for one β and travels in the config as `lut: { add, sub }` (see
+// `lutEntry` in engine.js).
+
+import {
+  CARRY_RANGE, calculateLutLength, carryRange, correctionError, exactCorrection, getLutValue, lutEntry
+} from './engine.js';
+
+export const LUT_KINDS = { add: 'Add', sub: 'Sub' };
+
+export const LUT_OVERRIDE_VERSION = 1;
+
+// Entries worth listing: the nominal LUT, and at least the add carry range
+export const inspectedLength = (beta) => Math.max(calculateLutLength(beta), CARRY_RANGE);
+
+export const formulaTable = (kind, { beta, lutRounding }, length = inspectedLength(beta)) =>
+  Array.from({ length }, (_, d) => getLutValue(d, beta, lutRounding, kind));
+
+// `inRange` marks the distances the carry range lets either path read
+export const inspectLut = (config) => {
+  const { beta } = config;
+  const range = carryRange(config);
+  return Array.from({ length: inspectedLength(beta) }, (_, d) => ({
+    d,
+    inRange: d < range,
+    ...Object.fromEntries(Object.keys(LUT_KINDS).map(kind => {
+      const exact = exactCorrection(kind, d, beta);
+      const value = lutEntry(kind, d, config);
+      const formula = getLutValue(d, beta, config.lutRounding, kind);
+      return [kind, {
+        exact,
+        value,
+        formula,
+        overridden: value !== formula,
+        error: correctionError(kind, value, exact, beta)
+      }];
+    }))
+  }));
+};
+
+// Entries of the effective tables the datapath can read: the nominal LUT or
+// the stored override, whichever is longer, inside the carry range
+const readableTables = (config) => {
+  const stored = config.lut ? Object.keys(LUT_KINDS).map(kind => (config.lut[kind] || []).length) : [];
+  const length = Math.min(carryRange(config), Math.max(calculateLutLength(config.beta), ...stored));
+  return Object.keys(LUT_KINDS).map(kind => Array.from({ length }, (_, d) => lutEntry(kind, d, config)));
+};
+
+// True when the effective add and sub tables differ, which costs a second ROM
+export const lutTablesDiffer = (config) => {
+  const [add, sub] = readableTables(config);
+  return add.some((value, d) => value !== sub[d]);
+};
+
+// Output bits of the widest readable entry
+export const lutWidth = (config) => {
+  const widest = Math.max(0, ...readableTables(config).flat());
+  return Math.max(1, Math.ceil(Math.log2(widest + 1)));
+};
+
+// A fresh override starts as a copy of the formula tables
+export const createLutOverride = (config) => ({
+  beta: config.beta,
+  add: formulaTable('add', config),
+  sub: formulaTable('sub', config)
+});
+
+// The `lut` config field for the current β, or undefined when the override
+// was made for another β
+export const activeLut = (override, beta) =>
+  override && override.beta === beta ? { add: override.add, sub: override.sub } : undefined;
+
+// Throws an Error naming the first invalid field
+export const validateLutOverride = (override) => {
+  const { beta } = override || {};
+  if (typeof beta !== 'number' || !(beta > 1)) throw new Error('LUT override: β must be a number above 1');
+  const tables = Object.fromEntries(Object.keys(LUT_KINDS).map((kind) => {
+    const table = override[kind] === undefined ? [] : override[kind];
+    if (!Array.isArray(table)) throw new Error(`LUT override: ${kind} must be an array`);
+    table.forEach((value, d) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`LUT override: ${kind}[${d}] must be a non-negative integer`);
+      }
+    });
+    return [kind, table];
+  }));
+  return { beta, ...tables };
+};
+
+export const serializeLutOverride = (override) =>
+  JSON.stringify({ version: LUT_OVERRIDE_VERSION, ...override }, null, 2);
+
+export const parseLutOverride = (data) =>
+  validateLutOverride(typeof data === 'string' ? JSON.parse(data) : data);
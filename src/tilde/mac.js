@@ -0,0 +1,167 @@
+// Multiply-Accumulate and Dot Products
+//
+// Σ aᵢ·bᵢ over tilde operands: every product is a tilde mul and the sum is
+// built from tilde adds in one of three orders. `sequential` folds products
+// into a single accumulator, as one MAC unit does; `pairwise` adds them as a
+// balanced tree; `kahan` keeps the running sum and a Kahan compensation term
+// in a wider accumulator format (see `accumulatorConfig`) and rounds back to
+// the operand format once at the end. Results are compared with float64 on the
+// same encoded inputs.
+
+import { evaluateFlagged, isNegative, maxIndex, mergeFlags } from './engine.js';
+import { compareToExact, indexToValue, valueToReal } from './values.js';
+import { parseValues, quantize } from './quantize.js';
+import { randomInt } from './random.js';
+
+export const ACCUMULATION_ORDERS = {
+  sequential: 'Sequential',
+  pairwise: 'Pairwise tree',
+  kahan: 'Kahan (wide accumulator)'
+};
+
+// Extra index bits of the Kahan accumulator
+export const ACCUMULATOR_GUARD_BITS = 4;
+
+// How vector text is read: tilde indices as typed, or reals quantized to the
+// nearest code
+export const VECTOR_INPUTS = {
+  index: 'Tilde indices',
+  real: 'Real values (quantized)'
+};
+
+const STEPS = 1 << ACCUMULATOR_GUARD_BITS;
+
+// β^(1/2^g) puts 2^g accumulator codes between neighbouring operand codes, so
+// products widen exactly. The extra bits (and a sign bit in unsigned mode)
+// keep the operand range. The accumulator is its own adder with full-length
+// error-minimizing tables, since Kahan's compensation needs an accurate sub.
+export const accumulatorConfig = ({ beta, bitWidth, signed }) => ({
+  beta: Math.pow(beta, 1 / STEPS),
+  bitWidth: bitWidth + ACCUMULATOR_GUARD_BITS + (signed ? 0 : 1),
+  signed: true,
+  lutRounding: 'minError',
+  carryPolicy: 'lutLength'
+});
+
+const withSign = (magnitude, negative) => (negative ? -magnitude : magnitude);
+
+const widen = (index) =>
+  index === 0 ? index : withSign((Math.abs(index) - 1) * STEPS + 1, isNegative(index));
+
+// Round an accumulator index to the nearest operand code and saturate. Sums
+// of unsigned products are never negative, so unsigned mode keeps the magnitude.
+const narrow = (index, config) => {
+  const max = maxIndex(config.bitWidth, config.signed);
+  const magnitude = Math.abs(index);
+  const exact = magnitude === 0 ? 0 : (magnitude - 1) / STEPS + 1;
+  const rounded = Math.min(Math.round(exact), max);
+  return {
+    result: withSign(rounded, isNegative(index) && config.signed),
+    flags: { overflow: Math.round(exact) > max, inexact: rounded !== exact }
+  };
+};
+
+const accumulators = {
+  sequential: (products, config) => products.reduce((acc, p) => {
+    const { result, flags } = evaluateFlagged('add', acc.result, p, config);
+    return { result, flags: mergeFlags(acc.flags, flags) };
+  }, { result: 0, flags: {} }),
+
+  pairwise: (products, config) => {
+    const tree = (lo, hi) => {
+      if (hi - lo === 1) return { result: products[lo], flags: {} };
+      const mid = (lo + hi) >> 1;
+      const left = tree(lo, mid);
+      const right = tree(mid, hi);
+      const { result, flags } = evaluateFlagged('add', left.result, right.result, config);
+      return { result, flags: mergeFlags(mergeFlags(left.flags, right.flags), flags) };
+    };
+    return products.length ? tree(0, products.length) : { result: 0, flags: {} };
+  },
+
+  // Only the running sum's flags count: the compensation term underflows by design
+  kahan: (products, config) => {
+    const wide = accumulatorConfig(config);
+    const op = (operation, x, y) => evaluateFlagged(operation, x, y, wide).result;
+    let sum = 0;
+    let compensation = 0;
+    let flags = {};
+    products.forEach((p) => {
+      const y = op('sub', widen(p), compensation);
+      const t = evaluateFlagged('add', sum, y, wide);
+      compensation = op('sub', op('sub', t.result, sum), y);
+      sum = t.result;
+      flags = mergeFlags(flags, { overflow: t.flags.overflow });
+    });
+    const rounded = narrow(sum, config);
+    return { result: rounded.result, flags: mergeFlags(flags, rounded.flags) };
+  }
+};
+
+// Σ as[i]·bs[i] for index vectors of equal length. Throws on a length mismatch.
+export const dotProduct = (as, bs, config, { order = 'sequential' } = {}) => {
+  if (as.length !== bs.length) {
+    throw new Error(`Vectors must have the same length (A has ${as.length}, B has ${bs.length})`);
+  }
+  const { beta } = config;
+  let flags = {};
+  const products = as.map((a, i) => {
+    const product = evaluateFlagged('mul', a, bs[i], config);
+    flags = mergeFlags(flags, product.flags);
+    return product.result;
+  });
+  const sum = accumulators[order](products, config);
+  const exact = as.reduce((s, a, i) => s + indexToValue(a, beta) * indexToValue(bs[i], beta), 0);
+
+  return {
+    order,
+    products,
+    result: sum.result,
+    value: indexToValue(sum.result, beta),
+    exact,
+    flags: mergeFlags(flags, sum.flags),
+    ...compareToExact(sum.result, valueToReal(exact), config)
+  };
+};
+
+// Relative error of each order on growing prefixes of the vectors, at up to
+// `points` lengths
+export const dotProductErrorCurve = (as, bs, config, { points = 64 } = {}) => {
+  const n = Math.min(as.length, bs.length);
+  const stride = Math.max(1, Math.ceil(n / points));
+  const lengths = [];
+  for (let k = stride; k < n; k += stride) lengths.push(k);
+  if (n > 0) lengths.push(n);
+  return lengths.map(length => ({
+    length,
+    ...Object.fromEntries(Object.keys(ACCUMULATION_ORDERS).map(order =>
+      [order, dotProduct(as.slice(0, length), bs.slice(0, length), config, { order }).relative]))
+  }));
+};
+
+// Read a pasted or typed vector. Returns the indices and, for real input, the
+// original reals. Throws an Error naming the first bad entry.
+export const parseVector = (text, config, input = 'index', label = 'Vector') => {
+  const values = parseValues(text);
+  if (input === 'real') {
+    return { indices: values.map(x => quantize(x, config).index), reals: values };
+  }
+  const max = maxIndex(config.bitWidth, config.signed);
+  values.forEach((value, i) => {
+    if (!Number.isInteger(value) || Math.abs(value) > max || (!config.signed && value < 0)) {
+      throw new Error(`${label}[${i}] = ${value} is not a ${config.bitWidth}-bit index`);
+    }
+  });
+  return { indices: values, reals: null };
+};
+
+// Random vector text. Indices stay in the lower half of the range so products
+// of two entries fit the word; reals are log-uniform over the same span.
+export const randomVectorText = (config, length, random, input = 'index') => {
+  const half = Math.max(1, Math.floor((maxIndex(config.bitWidth, config.signed) + 1) / 2));
+  const sign = () => (config.signed && random() < 0.5 ? -1 : 1);
+  const entries = Array.from({ length }, () => (input === 'real'
+    ? (sign() * Math.pow(config.beta, random() * (half - 1))).toPrecision(4)
+    : String(sign() * randomInt(random, half + 1))));
+  return entries.join(', ');
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLutLength, carryRange } from './engine.js';
+import { estimateMacGateCount } from './hardware.js';
+import { createRandom } from './random.js';
+import { accumulatorConfig, dotProduct, parseVector, randomVectorText } from './mac.js';
+
+const ORDERS = ['sequential', 'pairwise', 'kahan'];
+
+test('every order is exact when each partial sum lands on the grid', () => {
+  // Products 2, 2, 4 and 0 at β = 2: 2 + 2 = 4 and 4 + 4 = 8 in either order
+  const config = { beta: 2, bitWidth: 5, signed: false, lutRounding: 'minError' };
+  ORDERS.forEach((order) => {
+    const r = dotProduct([2, 2, 3, 0], [1, 1, 1, 5], config, { order });
+    assert.equal(r.exact, 8, order);
+    assert.equal(r.value, 8, order);
+    assert.equal(r.relative, 0, order);
+  });
+});
+
+test('sequential and pairwise agree with a single non-zero product', () => {
+  const config = { beta: 1.5, bitWidth: 5, signed: true };
+  const as = [0, 0, -7, 0, 0];
+  const bs = [3, 9, 4, -0, 2];
+  const sequential = dotProduct(as, bs, config, { order: 'sequential' });
+  const pairwise = dotProduct(as, bs, config, { order: 'pairwise' });
+  assert.equal(sequential.result, -10);
+  assert.equal(pairwise.result, sequential.result);
+  assert.ok(sequential.relative < 1e-12);
+});
+
+test('the Kahan accumulator is at least as accurate as sequential on seeded vectors', () => {
+  const config = { beta: 1.1, bitWidth: 8, signed: true };
+  [1, 2, 3, 4, 5].forEach((seed) => {
+    const random = createRandom(seed);
+    const as = parseVector(randomVectorText(config, 256, random), config).indices;
+    const bs = parseVector(randomVectorText(config, 256, random), config).indices;
+    const sequential = dotProduct(as, bs, config, { order: 'sequential' });
+    const kahan = dotProduct(as, bs, config, { order: 'kahan' });
+    assert.ok(kahan.relative <= sequential.relative, `seed ${seed}: ${kahan.relative} > ${sequential.relative}`);
+  });
+});
+
+test('the Kahan accumulator uses β^(1/16) with full error-minimizing tables', () => {
+  const wide = accumulatorConfig({ beta: 1.1, bitWidth: 8, signed: false });
+  assert.ok(Math.abs(Math.pow(wide.beta, 16) - 1.1) < 1e-12);
+  // Four guard bits plus a sign bit for unsigned operands
+  assert.equal(wide.bitWidth, 13);
+  assert.equal(wide.signed, true);
+  assert.equal(wide.lutRounding, 'minError');
+  assert.equal(carryRange(wide), calculateLutLength(wide.beta));
+  assert.equal(accumulatorConfig({ beta: 1.1, bitWidth: 8, signed: true }).bitWidth, 12);
+});
+
+test('mismatched vector lengths are rejected', () => {
+  assert.throws(() => dotProduct([1, 2], [1], { beta: 1.5, bitWidth: 4, signed: false }), /same length/);
+});
+
+test('estimateMacGateCount grows with the accumulator width', () => {
+  ORDERS.forEach((order) => {
+    const totals = [4, 6, 8].map(bitWidth =>
+      estimateMacGateCount({ beta: 1.1, bitWidth, signed: true }, { order, length: 64 }).total);
+    assert.ok(totals[0] < totals[1] && totals[1] < totals[2], `${order}: ${totals}`);
+  });
+  const config = { beta: 1.1, bitWidth: 8, signed: true };
+  const sequential = estimateMacGateCount(config, { order: 'sequential' });
+  const kahan = estimateMacGateCount(config, { order: 'kahan' });
+  assert.ok(kahan.adder > sequential.adder);
+  assert.ok(kahan.registers > sequential.registers);
+  assert.equal(kahan.cyclesPerProduct, 4);
+  // A deeper pairwise tree holds more partial sums
+  assert.ok(estimateMacGateCount(config, { order: 'pairwise', length: 256 }).registers >
+    estimateMacGateCount(config, { order: 'pairwise', length: 16 }).registers);
+});
@@ -0,0 +1,226 @@
+// MLP Inference Benchmark
+//
+// Runs a small dense ReLU network (see src/data/digitsMlp.json) on its bundled
+// test set in several arithmetics and scores each against a float32
+// reference: classification accuracy, a confusion matrix and the relative
+// error of every layer's output.
+//
+// - `float32` rounds weights, inputs and every multiply and add to float32.
+// - `tilde` does every multiply and add in tilde arithmetic at the current
+//   config. Each weight matrix and layer input is scaled by a power of β, an
+//   index shift, so its largest magnitude sits at index ⌊(max + 1 − g)/2⌋,
+//   where g = ⌈log_β(fan-in)⌉: any product plus the growth of the sum fits the
+//   word. Biases are encoded at the product scale. Between
+//   layers the decoded activations are re-encoded at the next layer's scale.
+// - `tildeStorage` stores weights and inputs the same way but multiplies and
+//   adds in float32, separating representation error from adder error.
+// - Catalog formats store weights and inputs as described in numerics.js and
+//   accumulate in float32, as accelerators for those formats do.
+//
+// Activation scales come from the largest layer input the float32 reference
+// sees over the whole test set.
+
+import { evaluateFlagged, mergeFlags, raisedFlags, FLAGS } from './engine.js';
+import { decodeScaled, encodeScaled, headroomIndex, scaleExponent } from './quantize.js';
+import { dotProduct } from './mac.js';
+import { FORMAT_NUMERICS, roundTensor } from './numerics.js';
+
+const relu = (x) => (x > 0 ? x : 0);
+
+const activate = (layer, z) => (layer.activation === 'relu' ? z.map(relu) : z);
+
+const maxAbs = (values) => values.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+
+const argmax = (values) => values.reduce((best, x, i) => (x > values[best] ? i : best), 0);
+
+const inputVector = (model, sample) => sample.pixels.map(p => p / model.inputScale);
+
+// Dense layer with every multiply and add rounded to float32
+const float32Layer = (layer, weights, x) => activate(layer, weights.map((row, j) => row.reduce(
+  (sum, w, i) => Math.fround(sum + Math.fround(w * x[i])),
+  Math.fround(layer.bias[j])
+)));
+
+const float32Weights = (model) => model.layers.map(layer => layer.weights.map(row => row.map(Math.fround)));
+
+// Per-layer outputs of the float32 reference
+const float32Forward = (model, weights, x) => {
+  const outputs = [];
+  model.layers.reduce((input, layer, l) => {
+    const output = float32Layer(layer, weights[l], input);
+    outputs.push(output);
+    return output;
+  }, x);
+  return outputs;
+};
+
+// Largest input magnitude each layer sees under the reference
+const calibrate = (model, weights, references) => model.layers.map((layer, l) =>
+  model.samples.reduce((peak, sample, s) =>
+    Math.max(peak, maxAbs(l === 0 ? inputVector(model, sample) : references[s][l - 1])), 0));
+
+const encode = (values, exponent, config) => values.map(x => encodeScaled(x, exponent, config));
+
+const decode = (indices, exponent, { beta }) => indices.map(index => decodeScaled(index, exponent, beta));
+
+// A fan-in sum can grow log_β(fan-in) indices past its largest product
+const prepareTilde = (model, config, peaks) =>
+  model.layers.map((layer, l) => {
+    const top = headroomIndex(config, layer.weights[0].length);
+    const weightExponent = scaleExponent(maxAbs(layer.weights.flat()), top, config.beta);
+    const inputExponent = scaleExponent(peaks[l], top, config.beta);
+    return {
+      weightExponent,
+      inputExponent,
+      weights: layer.weights.map(row => encode(row, weightExponent, config)),
+      bias: encode(layer.bias, weightExponent + inputExponent, config)
+    };
+  });
+
+const tildeForward = (model, prepared, config, order, x) => {
+  const outputs = [];
+  let flags = {};
+  model.layers.reduce((input, layer, l) => {
+    const { weightExponent, inputExponent, weights, bias } = prepared[l];
+    const encoded = encode(input, inputExponent, config);
+    const z = weights.map((row, j) => {
+      const dot = dotProduct(row, encoded, config, { order });
+      const sum = evaluateFlagged('add', dot.result, bias[j], config);
+      flags = mergeFlags(flags, mergeFlags(dot.flags, sum.flags));
+      return sum.result;
+    });
+    const output = activate(layer, decode(z, weightExponent + inputExponent, config));
+    outputs.push(output);
+    return output;
+  }, x);
+  return { outputs, flags };
+};
+
+// Storage rounding only; the arithmetic is float32
+const roundedForward = (model, weights, roundInput, x) => {
+  const outputs = [];
+  model.layers.reduce((input, layer, l) => {
+    const output = float32Layer(layer, weights[l], roundInput(input, l));
+    outputs.push(output);
+    return output;
+  }, x);
+  return outputs;
+};
+
+const relativeError = (output, reference) => {
+  const norm = Math.sqrt(reference.reduce((s, r) => s + r * r, 0));
+  const diff = Math.sqrt(output.reduce((s, v, i) => s + (v - reference[i]) ** 2, 0));
+  return norm > 0 ? diff / norm : (diff > 0 ? Infinity : 0);
+};
+
+// Variants in display order. `formats` is the format catalog; entries
+// without a numerics model are skipped.
+export const mlpVariants = (config, formats = {}) => [
+  { id: 'float32', label: 'float32 (reference)' },
+  { id: 'tilde', label: `Tilde β = ${config.beta.toFixed(3)}, ${config.bitWidth} bits` },
+  { id: 'tildeStorage', label: 'Tilde storage, float32 MACs' },
+  ...Object.entries(formats)
+    .filter(([name]) => FORMAT_NUMERICS[name])
+    .map(([name, format]) => ({ id: name, label: format.label, numerics: FORMAT_NUMERICS[name] }))
+];
+
+// Incremental benchmark over the model's samples. `runSamples(n)` evaluates
+// the next n samples in every variant and returns true once all are done.
+export const createMlpBenchmark = (model, config, { formats = {}, order = 'sequential' } = {}) => {
+  const reference = float32Weights(model);
+  const references = model.samples.map(sample => float32Forward(model, reference, inputVector(model, sample)));
+  const peaks = calibrate(model, reference, references);
+  const tilde = prepareTilde(model, config, peaks);
+  const classes = model.layers[model.layers.length - 1].weights.length;
+
+  const storedWeights = (roundRow) => model.layers.map((layer) => {
+    const peak = maxAbs(layer.weights.flat());
+    return layer.weights.map(row => roundRow(row, peak).map(Math.fround));
+  });
+
+  const variants = mlpVariants(config, formats).map((variant) => {
+    let forward;
+    if (variant.id === 'float32') {
+      forward = (x, s) => ({ outputs: references[s] });
+    } else if (variant.id === 'tilde') {
+      forward = x => tildeForward(model, tilde, config, order, x);
+    } else if (variant.id === 'tildeStorage') {
+      const weights = model.layers.map((layer, l) =>
+        layer.weights.map(row => decode(encode(row, tilde[l].weightExponent, config), tilde[l].weightExponent, config)));
+      const roundInput = (input, l) => decode(encode(input, tilde[l].inputExponent, config), tilde[l].inputExponent, config);
+      forward = x => ({ outputs: roundedForward(model, weights, roundInput, x) });
+    } else {
+      const { numerics } = variant;
+      const weights = storedWeights((row, peak) => roundTensor(row, numerics, { peak }));
+      const roundInput = (input, l) => roundTensor(input, numerics, { peak: peaks[l] });
+      forward = x => ({ outputs: roundedForward(model, weights, roundInput, x) });
+    }
+    return {
+      ...variant,
+      forward,
+      correct: 0,
+      confusion: Array.from({ length: classes }, () => new Array(classes).fill(0)),
+      layerErrorSums: model.layers.map(() => 0),
+      flagCounts: Object.fromEntries(Object.keys(FLAGS).map(flag => [flag, 0]))
+    };
+  });
+
+  let next = 0;
+
+  return {
+    total: model.samples.length,
+    runSamples: (count) => {
+      const end = Math.min(next + count, model.samples.length);
+      for (; next < end; next++) {
+        const sample = model.samples[next];
+        const x = inputVector(model, sample);
+        variants.forEach((variant) => {
+          const { outputs, flags } = variant.forward(x, next);
+          const predicted = argmax(outputs[outputs.length - 1]);
+          if (predicted === sample.label) variant.correct++;
+          variant.confusion[sample.label][predicted]++;
+          outputs.forEach((output, l) => { variant.layerErrorSums[l] += relativeError(output, references[next][l]); });
+          if (flags) raisedFlags(flags).forEach((flag) => { variant.flagCounts[flag]++; });
+        });
+      }
+      return next >= model.samples.length;
+    },
+    summary: () => variants.map(({ id, label, numerics, correct, confusion, layerErrorSums, flagCounts }) => ({
+      id,
+      label,
+      scaling: numerics ? numerics.scaling : null,
+      processed: next,
+      accuracy: next ? correct / next : 0,
+      confusion: confusion.map(row => [...row]),
+      layerErrors: layerErrorSums.map(sum => (next ? sum / next : 0)),
+      flagCounts: id === 'tilde' ? { ...flagCounts } : null
+    })),
+    scales: tilde.map(({ weightExponent, inputExponent }) => ({ weightExponent, inputExponent }))
+  };
+};
+
+// Run the whole benchmark, yielding to the event loop every `budgetMs`.
+// Rejects with an AbortError when `signal` is aborted.
+export const runMlpBenchmark = (model, config, options = {}, { onProgress, signal, budgetMs = 12 } = {}) =>
+  new Promise((resolve, reject) => {
+    const benchmark = createMlpBenchmark(model, config, options);
+
+    const slice = () => {
+      if (signal?.aborted) {
+        reject(new DOMException('Benchmark aborted', 'AbortError'));
+        return;
+      }
+
+      const start = performance.now();
+      let done = false;
+      while (!done && performance.now() - start < budgetMs) done = benchmark.runSamples(1);
+
+      const summaries = benchmark.summary();
+      if (onProgress) onProgress(summaries, benchmark);
+
+      if (done) resolve(summaries);
+      else setTimeout(slice, 0);
+    };
+
+    slice();
+  });
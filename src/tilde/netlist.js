@@ -0,0 +1,288 @@
+// Gate-Level Netlist Model
+//
+// Builds an actual gate netlist for the Tilde ALU, block by block, with the
+// same datapath the RTL generator emits: common term detectors, magnitude
+// comparator, LUT ROM, adder/subtractor paths, mul/div paths, sign logic and
+// the opcode output mux. Constants are folded and identical gates are shared
+// (structural hashing), roughly what a synthesis tool does before mapping.
+// The result backs the closed-form `gateCount` with derivable numbers.
+
+import { carryRange, maxIndex } from './engine.js';
+import { lutRomContents, subLutUnderflows } from './rtl.js';
+
+// Static CMOS transistor counts; AND/OR are NAND/NOR plus an inverter
+export const GATE_TRANSISTORS = {
+  INV: 2,
+  AND2: 6,
+  OR2: 6,
+  XOR2: 12,
+  XNOR2: 12,
+  MUX2: 12
+};
+
+const TRANSISTORS_PER_NAND2 = 4;
+
+export const NETLIST_BLOCKS = {
+  detect: 'Za/Zb/Ua/Ub/E detectors',
+  compare: 'Magnitude comparator (m, d)',
+  lut: 'LUT ROM',
+  add: 'Adder path',
+  sub: 'Subtractor path',
+  mul: 'Multiplier path',
+  div: 'Divider path',
+  sign: 'Sign logic',
+  control: 'Opcode decoder and output mux'
+};
+
+const ZERO = { id: 'c0', value: 0, level: 0 };
+const ONE = { id: 'c1', value: 1, level: 0 };
+
+export const createNetlist = () => {
+  const gates = [];
+  const cache = new Map();
+  let inputs = 0;
+  let currentBlock = 'control';
+
+  const isConst = (x) => x === ZERO || x === ONE;
+  const ordered = (x, y) => (x.id < y.id ? [x, y] : [y, x]);
+
+  const make = (type, args) => {
+    const key = `${type}:${args.map(a => a.id).join(',')}`;
+    if (cache.has(key)) return cache.get(key);
+    const node = {
+      id: `g${gates.length}`,
+      type,
+      inputs: args,
+      level: 1 + Math.max(...args.map(a => a.level)),
+      block: currentBlock
+    };
+    gates.push(node);
+    cache.set(key, node);
+    return node;
+  };
+
+  const not = (x) => {
+    if (isConst(x)) return x === ONE ? ZERO : ONE;
+    if (x.type === 'INV') return x.inputs[0];
+    return make('INV', [x]);
+  };
+
+  const and = (x, y) => {
+    if (x === ZERO || y === ZERO) return ZERO;
+    if (x === ONE) return y;
+    if (y === ONE || x === y) return x;
+    return make('AND2', ordered(x, y));
+  };
+
+  const or = (x, y) => {
+    if (x === ONE || y === ONE) return ONE;
+    if (x === ZERO) return y;
+    if (y === ZERO || x === y) return x;
+    return make('OR2', ordered(x, y));
+  };
+
+  const xor = (x, y) => {
+    if (x === ZERO) return y;
+    if (y === ZERO) return x;
+    if (x === ONE) return not(y);
+    if (y === ONE) return not(x);
+    if (x === y) return ZERO;
+    return make('XOR2', ordered(x, y));
+  };
+
+  const xnor = (x, y) => {
+    if (isConst(x) || isConst(y) || x === y) return not(xor(x, y));
+    return make('XNOR2', ordered(x, y));
+  };
+
+  const mux = (sel, a0, a1) => {
+    if (sel === ZERO || a0 === a1) return a0;
+    if (sel === ONE) return a1;
+    if (a0 === ZERO && a1 === ONE) return sel;
+    if (a0 === ONE && a1 === ZERO) return not(sel);
+    if (a0 === ZERO) return and(sel, a1);
+    if (a1 === ZERO) return and(not(sel), a0);
+    if (a0 === ONE) return or(not(sel), a1);
+    if (a1 === ONE) return or(sel, a0);
+    return make('MUX2', [sel, a0, a1]);
+  };
+
+  return {
+    gates,
+    block: (name) => { currentBlock = name; },
+    input: () => ({ id: `i${inputs++}`, level: 0 }),
+    not, and, or, xor, xnor, mux
+  };
+};
+
+// Bus helpers. Buses are arrays of signals, LSB first.
+const constBus = (value, width) =>
+  Array.from({ length: width }, (_, i) => ((value >> i) & 1 ? ONE : ZERO));
+
+const extend = (bus, width) => [...bus, ...constBus(0, width - bus.length)];
+
+const reduceTree = (fn, bits) => {
+  if (bits.length === 0) return ZERO;
+  let level = bits;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? fn(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+};
+
+const rippleAdd = (n, a, b, cin) => {
+  let carry = cin;
+  const sum = a.map((ai, i) => {
+    const p = n.xor(ai, b[i]);
+    const s = n.xor(p, carry);
+    carry = n.or(n.and(ai, b[i]), n.and(p, carry));
+    return s;
+  });
+  return { sum, cout: carry };
+};
+
+const rippleSub = (n, a, b) => {
+  const { sum, cout } = rippleAdd(n, a, b.map(n.not), ONE);
+  return { diff: sum, borrow: n.not(cout) };
+};
+
+const muxBus = (n, sel, a0, a1) => a0.map((x, i) => n.mux(sel, x, a1[i]));
+
+const isZero = (n, bus) => n.not(reduceTree(n.or, bus));
+
+const equals = (n, a, b) => reduceTree(n.and, a.map((x, i) => n.xnor(x, b[i])));
+
+// Saturate an (n+1)-bit value to the all-ones maximum of its low n bits
+const saturate = (n, bus, overflow) => bus.map(x => n.or(x, overflow));
+
+// ROM as a mux tree over the address with constant leaves; folding turns
+// it into the minimal select logic for the stored table
+const rom = (n, addr, contents, width) =>
+  Array.from({ length: width }, (_, bit) => {
+    const leaf = (index) => ((contents[index] ?? 0) >> bit) & 1 ? ONE : ZERO;
+    const node = (level, base) => {
+      if (level < 0) return leaf(base);
+      if (base >= contents.length) return ZERO;
+      return n.mux(addr[level], node(level - 1, base), node(level - 1, base + (1 << level)));
+    };
+    return node(addr.length - 1, 0);
+  });
+
+export const buildAluNetlist = (config) => {
+  const { bitWidth, signed } = config;
+  const mw = signed ? bitWidth - 1 : bitWidth;
+  const max = maxIndex(bitWidth, signed);
+  const n = createNetlist();
+
+  const ma = Array.from({ length: mw }, n.input);
+  const mb = Array.from({ length: mw }, n.input);
+  const sa = signed ? n.input() : ZERO;
+  const sb = signed ? n.input() : ZERO;
+  const opcode = [n.input(), n.input()];
+
+  n.block('detect');
+  const za = isZero(n, ma);
+  const zb = isZero(n, mb);
+  const ua = n.and(ma[0], isZero(n, ma.slice(1)));
+  const ub = n.and(mb[0], isZero(n, mb.slice(1)));
+  const e = equals(n, ma, mb);
+  const zab = n.or(za, zb);
+
+  n.block('compare');
+  const ab = rippleSub(n, ma, mb);
+  const ba = rippleSub(n, mb, ma);
+  const gt = ba.borrow;
+  const m = muxBus(n, gt, mb, ma);
+  const d = muxBus(n, gt, ba.diff, ab.diff);
+
+  n.block('lut');
+  const addContents = lutRomContents(config);
+  const subContents = lutRomContents(config, 'sub');
+  const lut = rom(n, d, addContents, mw);
+  // An override with differing add and sub tables needs a second ROM
+  const subLut = subContents.some((value, i) => value !== addContents[i]) ? rom(n, d, subContents, mw) : lut;
+
+  n.block('add');
+  const sum = rippleAdd(n, m, lut, ZERO);
+  // d < carry range; a range past the largest distance is always met
+  const range = carryRange(config);
+  const inRange = range > max ? ONE : rippleSub(n, d, constBus(range, mw)).borrow;
+  const addMag = muxBus(n, zab, muxBus(n, inRange, m, saturate(n, sum.sum, sum.cout)), m);
+
+  n.block('sub');
+  const lutSub = rippleSub(n, m, subLut);
+  // Override entries above d + 1 can underflow; floor at zero like the engine
+  const lutDiff = subLutUnderflows(subContents) ? muxBus(n, lutSub.borrow, lutSub.diff, constBus(0, mw)) : lutSub.diff;
+  const subMag = muxBus(n, e, muxBus(n, zab, muxBus(n, inRange, m, lutDiff), m), constBus(0, mw));
+
+  n.block('mul');
+  const mulSum = rippleAdd(n, extend(ma, mw + 1), extend(mb, mw + 1), ZERO).sum;
+  const mulDec = rippleAdd(n, mulSum, constBus((1 << (mw + 1)) - 1, mw + 1), ZERO).sum;
+  const mulSat = saturate(n, mulDec.slice(0, mw), mulDec[mw]);
+  const mulMag = muxBus(n, zab, muxBus(n, n.or(ua, ub), mulSat, m), constBus(0, mw));
+
+  n.block('div');
+  const wide = mw + 2;
+  const divDiff = rippleSub(n, extend(ma, wide), extend(mb, wide)).diff;
+  const divInc = rippleAdd(n, divDiff, constBus(1, wide), ZERO).sum;
+  const divNeg = divInc[wide - 1];
+  const divClamped = saturate(n, divInc.slice(0, mw).map(x => n.and(x, n.not(divNeg))), n.and(divInc[mw], n.not(divNeg)));
+  const divMag = muxBus(n, za,
+    muxBus(n, zb, muxBus(n, e, divClamped, constBus(1, mw)), constBus(max, mw)),
+    constBus(0, mw));
+
+  n.block('control');
+  const isSub = n.and(opcode[0], n.not(opcode[1]));
+
+  let addResult = addMag;
+  let subResult = subMag;
+  let mulResult = mulMag;
+  let divResult = divMag;
+
+  if (signed) {
+    n.block('sign');
+    const sbEff = n.xor(sb, isSub);
+    const same = n.xnor(sa, sbEff);
+    const addsubMag = muxBus(n, same, subMag, addMag);
+    const addsubSign = n.mux(same, n.mux(e, n.mux(gt, sbEff, sa), ZERO), sa);
+    const prodSign = n.xor(sa, sb);
+    addResult = [...addsubMag, addsubSign];
+    subResult = addResult;
+    mulResult = [...mulMag, prodSign];
+    divResult = [...divMag, prodSign];
+  }
+
+  n.block('control');
+  const outputs = addResult.map((_, i) =>
+    n.mux(opcode[1], n.mux(opcode[0], addResult[i], subResult[i]), n.mux(opcode[0], mulResult[i], divResult[i]))
+  );
+
+  return { gates: n.gates, outputs };
+};
+
+export const summarizeNetlist = ({ gates, outputs }) => {
+  const byType = Object.fromEntries(Object.keys(GATE_TRANSISTORS).map(type => [type, 0]));
+  const byBlock = Object.fromEntries(Object.keys(NETLIST_BLOCKS).map(block => [block, 0]));
+  let transistors = 0;
+
+  gates.forEach((g) => {
+    byType[g.type]++;
+    byBlock[g.block]++;
+    transistors += GATE_TRANSISTORS[g.type];
+  });
+
+  return {
+    total: gates.length,
+    byType,
+    byBlock,
+    transistors,
+    nandEquivalent: Math.round(transistors / TRANSISTORS_PER_NAND2),
+    depth: Math.max(0, ...outputs.map(o => o.level))
+  };
+};
+
+export const analyzeNetlist = (config) => summarizeNetlist(buildAluNetlist(config));
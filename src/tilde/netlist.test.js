@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activeLut, createLutOverride } from './lut.js';
+import { buildAluNetlist } from './netlist.js';
+import { engineMismatches } from './testing.js';
+
+const OPCODES = { add: 0, sub: 1, mul: 2, div: 3 };
+
+const GATE_LOGIC = {
+  INV: ([x]) => 1 - x,
+  AND2: ([x, y]) => x & y,
+  OR2: ([x, y]) => x | y,
+  XOR2: ([x, y]) => x ^ y,
+  XNOR2: ([x, y]) => 1 - (x ^ y),
+  MUX2: ([s, x, y]) => (s ? y : x)
+};
+
+// Evaluate the netlist on one pair of words. Inputs are numbered in the order
+// buildAluNetlist allocates them: magnitudes LSB first, signs, then opcode.
+const simulate = ({ gates, outputs }, operation, wa, wb, { bitWidth, signed }) => {
+  const mw = signed ? bitWidth - 1 : bitWidth;
+  const bits = [];
+  for (let i = 0; i < mw; i++) bits.push((wa >> i) & 1);
+  for (let i = 0; i < mw; i++) bits.push((wb >> i) & 1);
+  if (signed) bits.push(wa >> mw, wb >> mw);
+  bits.push(OPCODES[operation] & 1, OPCODES[operation] >> 1);
+
+  const values = new Map([['c0', 0], ['c1', 1]]);
+  bits.forEach((bit, i) => values.set(`i${i}`, bit));
+  gates.forEach((g) => values.set(g.id, GATE_LOGIC[g.type](g.inputs.map(x => values.get(x.id)))));
+  return outputs.reduce((word, o, i) => word | (values.get(o.id) << i), 0);
+};
+
+// Every word pair and core operation must match the engine bit for bit
+const mismatches = (config) => {
+  const netlist = buildAluNetlist(config);
+  return engineMismatches(config, Object.keys(OPCODES), (operation, wa, wb) => simulate(netlist, operation, wa, wb, config));
+};
+
+test('unsigned netlist matches the engine', () => {
+  assert.deepEqual(mismatches({ beta: 1.5, bitWidth: 5, signed: false }), []);
+  assert.deepEqual(mismatches({ beta: 1.1, bitWidth: 4, signed: false }), []);
+});
+
+test('signed netlist matches the engine', () => {
+  assert.deepEqual(mismatches({ beta: 1.5, bitWidth: 5, signed: true }), []);
+  assert.deepEqual(mismatches({ beta: 1.3, bitWidth: 4, signed: true }), []);
+});
+
+test('netlist matches the engine in simplified LUT mode', () => {
+  assert.deepEqual(mismatches({ beta: 2.5, bitWidth: 4, signed: true }), []);
+});
+
+test('netlist follows the carry policy and LUT rounding', () => {
+  assert.deepEqual(mismatches({ beta: 1.2, bitWidth: 4, signed: false, carryPolicy: 'fixed', carryN: 3 }), []);
+  assert.deepEqual(mismatches({ beta: 1.2, bitWidth: 4, signed: true, carryPolicy: 'unbounded', lutRounding: 'ceil' }), []);
+  assert.deepEqual(mismatches({ beta: 1.5, bitWidth: 4, signed: false, carryPolicy: 'lutLength', lutRounding: 'minError' }), []);
+});
+
+test('netlist follows a LUT override with separate add and sub tables', () => {
+  const override = createLutOverride({ beta: 1.5 });
+  override.add[2] += 1;
+  override.sub[3] = 0;
+  override.sub[5] += 2;
+  [false, true].forEach((signed) => {
+    assert.deepEqual(mismatches({ beta: 1.5, bitWidth: 5, signed, lut: activeLut(override, 1.5) }), []);
+  });
+});
@@ -0,0 +1,155 @@
+// Competitor Format Numerics
+//
+// Value-level models of the built-in catalog formats, for running workloads
+// rather than counting gates. Each model rounds reals to the nearest value the
+// format can hold after mapping a tensor into it: integers use a per-tensor
+// scale, MX formats a power-of-two scale per block, FP8 and FP4 a per-tensor
+// power-of-two scale; posits, LNS and the wide floats are used unscaled.
+// Custom catalog entries have no model.
+
+export const FORMAT_SCALING = {
+  none: 'None',
+  tensor: 'Per tensor',
+  tensorPow2: 'Per tensor, power of two',
+  block: 'Per 32-element block, power of two'
+};
+
+const E2M1 = { mantissaBits: 1, bias: 1, max: 6 };
+
+export const FORMAT_NUMERICS = {
+  INT4: { kind: 'int', bits: 4, scaling: 'tensor' },
+  INT8: { kind: 'int', bits: 8, scaling: 'tensor' },
+  FP4_Dedicated: { kind: 'float', ...E2M1, scaling: 'tensorPow2' },
+  FP4_MultiFormat: { kind: 'float', ...E2M1, scaling: 'tensorPow2' },
+  FP8_E4M3: { kind: 'float', mantissaBits: 3, bias: 7, max: 448, scaling: 'tensorPow2' },
+  FP8_E5M2: { kind: 'float', mantissaBits: 2, bias: 15, max: 57344, scaling: 'tensorPow2' },
+  MXFP4: { kind: 'float', ...E2M1, scaling: 'block', blockSize: 32 },
+  Posit8_0: { kind: 'posit', bits: 8, es: 0, scaling: 'none' },
+  Posit16_1: { kind: 'posit', bits: 16, es: 1, scaling: 'none' },
+  // Sign plus a 7-bit two's-complement log2 with 4 fraction bits; the most
+  // negative code is zero
+  LNS8: { kind: 'lns', fractionBits: 4, maxLog: 63 / 16, scaling: 'none' },
+  BFloat16: { kind: 'float', mantissaBits: 7, bias: 127, max: 3.3895313892515355e38, scaling: 'none' },
+  FP32: { kind: 'fp32', scaling: 'none' },
+  FP64: { kind: 'exact', scaling: 'none' }
+};
+
+const roundHalfEven = (x) => {
+  const r = Math.round(x);
+  return Math.abs(x % 1) === 0.5 && r % 2 !== 0 ? r - 1 : r;
+};
+
+// Nearest binary float with subnormals, saturating at `max`
+const roundFloat = (a, { mantissaBits, bias, max }) => {
+  if (a === 0) return 0;
+  const exponent = Math.max(Math.floor(Math.log2(a)), 1 - bias);
+  const quantum = Math.pow(2, exponent - mantissaBits);
+  return Math.min(roundHalfEven(a / quantum) * quantum, max);
+};
+
+// Positive posit values in ascending order
+const positValues = (bits, es) => {
+  const values = [];
+  for (let p = 1; p < 2 ** (bits - 1); p++) {
+    let i = bits - 2;
+    const first = (p >> i) & 1;
+    let run = 0;
+    while (i >= 0 && ((p >> i) & 1) === first) {
+      run++;
+      i--;
+    }
+    i--;
+    const k = first ? run - 1 : -run;
+    let exponent = 0;
+    for (let e = 0; e < es; e++, i--) exponent = (exponent << 1) | (i >= 0 ? (p >> i) & 1 : 0);
+    const fractionBits = Math.max(0, i + 1);
+    const fraction = fractionBits ? (p & ((1 << fractionBits) - 1)) / (1 << fractionBits) : 0;
+    values.push(Math.pow(2, k * 2 ** es + exponent) * (1 + fraction));
+  }
+  return values;
+};
+
+const positTables = {};
+
+// Nearest posit; posits saturate at maxpos and never round a non-zero to zero
+const roundPosit = (a, { bits, es }) => {
+  if (a === 0) return 0;
+  const key = `${bits}:${es}`;
+  const values = positTables[key] || (positTables[key] = positValues(bits, es));
+  let lo = 0;
+  let hi = values.length - 1;
+  if (a <= values[lo]) return values[lo];
+  if (a >= values[hi]) return values[hi];
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] <= a) lo = mid;
+    else hi = mid;
+  }
+  return a - values[lo] <= values[hi] - a ? values[lo] : values[hi];
+};
+
+const roundLns = (a, { fractionBits, maxLog }) => {
+  if (a === 0) return 0;
+  const step = Math.pow(2, -fractionBits);
+  const log = Math.round(Math.log2(a) / step) * step;
+  if (log < -maxLog - step / 2) return 0;
+  return Math.pow(2, Math.min(Math.max(log, -maxLog), maxLog));
+};
+
+// Round one already-scaled magnitude
+const roundMagnitude = (a, numerics) => {
+  switch (numerics.kind) {
+    case 'float': return roundFloat(a, numerics);
+    case 'posit': return roundPosit(a, numerics);
+    case 'lns': return roundLns(a, numerics);
+    case 'fp32': return Math.abs(Math.fround(a));
+    default: return a;
+  }
+};
+
+const largestValue = (numerics) => {
+  switch (numerics.kind) {
+    case 'int': return 2 ** (numerics.bits - 1) - 1;
+    case 'float': return numerics.max;
+    default: return Infinity;
+  }
+};
+
+const maxAbs = (values) => values.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+
+// Scale that maps `peak` onto the format's largest value
+const tensorScale = (peak, numerics) => {
+  if (!(peak > 0)) return 1;
+  if (numerics.kind === 'int') return peak / largestValue(numerics);
+  return Math.pow(2, Math.ceil(Math.log2(peak / largestValue(numerics))));
+};
+
+const roundScaled = (values, scale, numerics) => values.map((x) => {
+  const a = Math.abs(x) / scale;
+  const q = numerics.kind === 'int' ? Math.min(Math.round(a), largestValue(numerics)) : roundMagnitude(a, numerics);
+  return (x < 0 ? -q : q) * scale;
+});
+
+// Round a vector the way the format stores it. `peak` overrides the tensor's
+// own largest magnitude, e.g. with a calibrated activation range.
+export const roundTensor = (values, numerics, { peak } = {}) => {
+  switch (numerics.scaling) {
+    case 'tensor':
+    case 'tensorPow2':
+      return roundScaled(values, tensorScale(peak === undefined ? maxAbs(values) : peak, numerics), numerics);
+    case 'block': {
+      // OCP MX: the shared scale puts the block's largest element at the
+      // element format's top binade
+      const rounded = [];
+      for (let start = 0; start < values.length; start += numerics.blockSize) {
+        const block = values.slice(start, start + numerics.blockSize);
+        const peakBlock = maxAbs(block);
+        const scale = peakBlock > 0 ? Math.pow(2, Math.floor(Math.log2(peakBlock)) - Math.floor(Math.log2(numerics.max))) : 1;
+        rounded.push(...roundScaled(block, scale, numerics));
+      }
+      return rounded;
+    }
+    default:
+      return roundScaled(values, 1, numerics);
+  }
+};
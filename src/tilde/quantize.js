@@ -0,0 +1,158 @@
+// Real-Number Quantizer
+//
+// Encodes arbitrary reals into tilde indices for a `{ beta, bitWidth, signed }`
+// config. Above unity the grid is geometric, so `nearest`, `floor` and `ceil`
+// round the fractional index 1 + log_β|x|. Between zero and unity the only
+// codes are 0 and 1 and rounding is linear. `stochastic` rounds up with
+// probability proportional to the linear distance, so it is unbiased in value.
+
+import { maxIndex } from './engine.js';
+import { indexToLog, indexToValue, logToIndex } from './values.js';
+
+export const ROUNDING_MODES = {
+  nearest: 'Round to nearest',
+  floor: 'Round toward zero (floor)',
+  ceil: 'Round away from zero (ceil)',
+  stochastic: 'Stochastic'
+};
+
+const roundBetween = (magnitude, lo, hi, loValue, hiValue, fraction, rounding, random) => {
+  switch (rounding) {
+    case 'floor': return lo;
+    case 'ceil': return hi;
+    case 'stochastic': return random() < (magnitude - loValue) / (hiValue - loValue) ? hi : lo;
+    default: return fraction < 0.5 ? lo : hi;
+  }
+};
+
+// Quantize one real. Returns the index plus which exceptional case applied:
+// `saturated` (magnitude above the largest code), `underflow` (non-zero value
+// encoded as zero), `clipped` (negative value in unsigned mode) or `invalid`
+// (NaN, encoded as zero).
+export const quantize = (x, config, { rounding = 'nearest', random = Math.random } = {}) => {
+  const { beta, bitWidth, signed } = config;
+  const max = maxIndex(bitWidth, signed);
+  const status = { saturated: false, underflow: false, clipped: false, invalid: false };
+
+  if (Number.isNaN(x)) return { index: 0, ...status, invalid: true };
+
+  const negative = x < 0 || Object.is(x, -0);
+  if (negative && !signed) {
+    return { index: 0, ...status, clipped: x !== 0 };
+  }
+
+  const magnitude = Math.abs(x);
+  const applySign = (index) => (negative ? -index : index);
+  if (magnitude === 0) return { index: applySign(0), ...status };
+
+  let index;
+  if (magnitude < 1) {
+    index = roundBetween(magnitude, 0, 1, 0, 1, magnitude, rounding, random);
+  } else {
+    const position = 1 + Math.log(magnitude) / Math.log(beta);
+    const lo = Math.floor(position);
+    const hi = lo === position ? lo : lo + 1;
+    index = lo === hi
+      ? lo
+      : roundBetween(magnitude, lo, hi, indexToValue(lo, beta), indexToValue(hi, beta), position - lo, rounding, random);
+  }
+
+  if (index > max) return { index: applySign(max), ...status, saturated: true };
+  return { index: applySign(index), ...status, underflow: index === 0 };
+};
+
+// Workloads whose reals do not sit on the index grid are stored scaled by a
+// power of β, an index shift. These helpers work in logs since the scaled
+// values can overflow a double at wide words.
+
+// Index of a tensor's largest magnitude that leaves room for any product of
+// two such values plus `growth`-fold accumulation, e.g. the fan-in of a sum
+export const headroomIndex = ({ beta, bitWidth, signed }, growth = 1) => {
+  const reserve = Math.ceil(Math.log(growth) / Math.log(beta) - 1e-9);
+  return Math.max(1, Math.floor((maxIndex(bitWidth, signed) + 1 - reserve) / 2));
+};
+
+// Power-of-β scale exponent that puts `peak` at index `top`
+export const scaleExponent = (peak, top, beta) =>
+  (peak > 0 ? Math.ceil(Math.log(peak) / Math.log(beta) - (top - 1) - 1e-9) : 0);
+
+// Nearest code to x / β^exponent. Below unity the only codes are 0 and 1.
+export const encodeScaled = (x, exponent, { beta, bitWidth, signed }) => {
+  if (x === 0 || (x < 0 && !signed)) return 0;
+  const log = Math.log(Math.abs(x)) - exponent * Math.log(beta);
+  const position = logToIndex(log, beta);
+  const magnitude = Math.min(position < 1 ? (Math.exp(log) < 0.5 ? 0 : 1) : Math.round(position), maxIndex(bitWidth, signed));
+  return x < 0 ? -magnitude : magnitude;
+};
+
+export const decodeScaled = (index, exponent, beta) => {
+  if (index === 0) return 0;
+  const magnitude = Math.exp(indexToLog(index, beta) + exponent * Math.log(beta));
+  return index < 0 ? -magnitude : magnitude;
+};
+
+// Quantize a list of reals and tally the exceptional cases. `errors` holds
+// the signed relative error (q - x) / |x| of every non-zero finite input.
+export const quantizeArray = (values, config, options = {}) => {
+  const counts = { saturated: 0, underflow: 0, clipped: 0, invalid: 0 };
+  const errors = [];
+
+  const entries = values.map((x) => {
+    const q = quantize(x, config, options);
+    Object.keys(counts).forEach((key) => { if (q[key]) counts[key]++; });
+
+    const decoded = indexToValue(q.index, config.beta);
+    const error = x !== 0 && Number.isFinite(x) ? (decoded - x) / Math.abs(x) : 0;
+    if (x !== 0 && Number.isFinite(x)) errors.push(error);
+
+    return { x, index: q.index, decoded, error };
+  });
+
+  const absErrors = errors.map(Math.abs);
+  return {
+    entries,
+    counts,
+    errors,
+    maxError: absErrors.reduce((m, e) => Math.max(m, e), 0),
+    meanError: absErrors.length ? absErrors.reduce((s, e) => s + e, 0) / absErrors.length : 0,
+    rmsError: errors.length ? Math.sqrt(errors.reduce((s, e) => s + e * e, 0) / errors.length) : 0
+  };
+};
+
+// Bucket a list of errors into `binCount` equal-width bins
+export const histogram = (errors, binCount = 24) => {
+  const finite = errors.filter(Number.isFinite);
+  if (!finite.length) return [];
+
+  const lo = finite.reduce((m, e) => Math.min(m, e), Infinity);
+  const hi = finite.reduce((m, e) => Math.max(m, e), -Infinity);
+  const width = (hi - lo) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+  finite.forEach((e) => {
+    bins[Math.min(binCount - 1, Math.floor((e - lo) / width))].count++;
+  });
+  return bins;
+};
+
+// Parse pasted or uploaded data: a JSON array (nested arrays are flattened),
+// or CSV / whitespace separated numbers. Non-numeric cells such as headers
+// are skipped.
+export const parseValues = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const data = JSON.parse(trimmed);
+      const list = Array.isArray(data) ? data : Object.values(data);
+      return list.flat(Infinity).map(Number).filter(v => !Number.isNaN(v));
+    } catch {
+      // Not JSON after all; fall through to CSV parsing
+    }
+  }
+
+  return trimmed
+    .split(/[\s,;]+/)
+    .filter(token => token !== '' && !Number.isNaN(Number(token)))
+    .map(Number);
+};
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexToValue } from './values.js';
+import { createRandom } from './random.js';
+import {
+  decodeScaled,
+  encodeScaled,
+  headroomIndex,
+  parseValues,
+  quantize,
+  quantizeArray,
+  scaleExponent
+} from './quantize.js';
+
+const unsigned = { beta: 1.5, bitWidth: 4, signed: false };
+const signed = { beta: 1.5, bitWidth: 4, signed: true };
+
+const index = (x, config, rounding) => quantize(x, config, { rounding }).index;
+
+test('nearest, floor and ceil round the fractional index above unity', () => {
+  // 2 sits at index 1 + log_1.5(2) ≈ 2.71, between 1.5 and 2.25
+  assert.equal(index(2, unsigned, 'nearest'), 3);
+  assert.equal(index(2, unsigned, 'floor'), 2);
+  assert.equal(index(2, unsigned, 'ceil'), 3);
+  // Values on the grid are exact in every mode
+  ['nearest', 'floor', 'ceil'].forEach((rounding) => {
+    assert.equal(index(1, unsigned, rounding), 1);
+    assert.equal(index(1.5, unsigned, rounding), 2);
+  });
+});
+
+test('below unity rounding is linear between 0 and 1', () => {
+  assert.equal(index(0.3, unsigned, 'nearest'), 0);
+  assert.equal(index(0.6, unsigned, 'nearest'), 1);
+  assert.equal(index(0.6, unsigned, 'floor'), 0);
+  assert.equal(index(0.3, unsigned, 'ceil'), 1);
+  assert.equal(quantize(0.3, unsigned).underflow, true);
+  assert.equal(quantize(0.3, unsigned, { rounding: 'ceil' }).underflow, false);
+});
+
+test('zero encodes as zero and keeps its sign in signed mode', () => {
+  assert.deepEqual(quantize(0, unsigned), { index: 0, saturated: false, underflow: false, clipped: false, invalid: false });
+  assert.equal(quantize(-0, unsigned).clipped, false);
+  assert.ok(Object.is(quantize(-0, signed).index, -0));
+});
+
+test('negative input is clipped to zero in unsigned mode only', () => {
+  const q = quantize(-2, unsigned);
+  assert.equal(q.index, 0);
+  assert.equal(q.clipped, true);
+  assert.equal(index(-2, signed, 'nearest'), -3);
+  assert.equal(quantize(-2, signed).clipped, false);
+});
+
+test('out-of-range values saturate at the largest code', () => {
+  const q = quantize(1000, unsigned);
+  assert.equal(q.index, 15);
+  assert.equal(q.saturated, true);
+  assert.equal(quantize(Infinity, unsigned).saturated, true);
+  assert.equal(index(-1000, signed, 'nearest'), -7);
+});
+
+test('NaN is invalid and encodes as zero', () => {
+  const q = quantize(NaN, unsigned);
+  assert.equal(q.index, 0);
+  assert.equal(q.invalid, true);
+});
+
+test('stochastic rounding is reproducible with a seed and unbiased in value', () => {
+  const draw = (seed) => {
+    const random = createRandom(seed);
+    return Array.from({ length: 20 }, () => quantize(2, unsigned, { rounding: 'stochastic', random }).index);
+  };
+  assert.deepEqual(draw(7), draw(7));
+  assert.ok(draw(7).every(i => i === 2 || i === 3));
+
+  // 2 lies 2/3 of the way from 1.5 to 2.25, so the mean decoded value is 2
+  const random = createRandom(11);
+  const n = 20000;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += indexToValue(quantize(2, unsigned, { rounding: 'stochastic', random }).index, 1.5);
+  assert.ok(Math.abs(sum / n - 2) < 0.02, `mean ${sum / n}`);
+});
+
+test('quantizeArray counts the exceptional cases and skips NaN and zero in the errors', () => {
+  const result = quantizeArray([0, -1, NaN, 1000, 0.1, 2], unsigned);
+  assert.deepEqual(result.counts, { saturated: 1, underflow: 1, clipped: 1, invalid: 1 });
+  assert.equal(result.errors.length, 4);
+  assert.equal(result.errors[0], 1);
+  assert.equal(result.errors[3], 0.125);
+  assert.equal(result.maxError, 1);
+});
+
+test('parseValues skips headers, blanks and non-numeric cells', () => {
+  assert.deepEqual(parseValues('x,y\n1,2\nfoo,3.5\n,NaN;-4'), [1, 2, 3.5, -4]);
+  assert.deepEqual(parseValues('[1, [2, "x"], 3e2]'), [1, 2, 300]);
+  assert.deepEqual(parseValues('  '), []);
+});
+
+test('headroomIndex reserves room for products and accumulation', () => {
+  assert.equal(headroomIndex(unsigned), 8);
+  // Nine-fold growth needs ceil(log_1.5 9) = 6 more indices
+  assert.equal(headroomIndex(unsigned, 9), 5);
+  assert.equal(headroomIndex({ beta: 1.5, bitWidth: 2, signed: true }, 100), 1);
+});
+
+test('scaleExponent puts the peak at the requested index', () => {
+  assert.equal(scaleExponent(1, 15, 1.5), -14);
+  assert.equal(scaleExponent(0, 15, 1.5), 0);
+  assert.equal(encodeScaled(1, scaleExponent(1, 15, 1.5), unsigned), 15);
+});
+
+test('encodeScaled and decodeScaled round-trip within half a grid step', () => {
+  const config = { beta: 1.1, bitWidth: 8, signed: true };
+  const exponent = scaleExponent(50, headroomIndex(config), config.beta);
+  [-50, -3.7, 0.5, 1, 12.5, 49].forEach((x) => {
+    const decoded = decodeScaled(encodeScaled(x, exponent, config), exponent, config.beta);
+    assert.equal(Math.sign(decoded), Math.sign(x));
+    assert.ok(Math.abs(Math.log(decoded / x)) <= Math.log(config.beta) / 2 + 1e-12, `${x} → ${decoded}`);
+  });
+  assert.equal(encodeScaled(0, 0, unsigned), 0);
+  assert.equal(encodeScaled(-3, 0, unsigned), 0);
+  assert.equal(decodeScaled(0, 5, 1.5), 0);
+});
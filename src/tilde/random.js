@@ -0,0 +1,16 @@
+// Seeded Random Numbers
+//
+// mulberry32: a tiny 32-bit generator, good enough for sampling operands and
+// reproducible test data. Returns a function yielding floats in [0, 1).
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomInt = (random, n) => Math.floor(random() * n);
@@ -0,0 +1,265 @@
+// Analysis Report
+//
+// Collects the current configuration into one document: derived parameters,
+// hardware metrics, the competitive analysis table, charts and the reference
+// formulas. `buildReport` produces a format-neutral outline; the writers turn
+// it into standalone HTML (print-ready, formulas as MathML) or Markdown (charts
+// as SVG data URIs, formulas as $$ blocks).
+
+import katex from 'katex';
+import { isSimplifiedLut, CARRY_POLICIES, FLAGS, LUT_ROUNDING, operationText, raisedFlags, activeLutLength, carryRange, lutEntry, alphaAdd, alphaCarry } from './engine.js';
+import { measureOperation } from './values.js';
+import { analyzeNetlist, NETLIST_BLOCKS } from './netlist.js';
+import { estimateGateCount, blockMetrics, formatMetrics, COMPUTE_BLOCKS } from './hardware.js';
+import { dynamicRangeDb } from './designSpace.js';
+import { BETA_MIN, BETA_MAX } from './betaScale.js';
+import { CORE_FORMULAS, EXTENDED_FORMULAS, PARAMETER_FORMULAS } from './formulas.js';
+import { lineChartSvg, barChartSvg, svgDataUri } from './svgChart.js';
+
+export const REPORT_FORMATS = {
+  html: { label: 'HTML', extension: 'html', type: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' }
+};
+
+const signedIndex = (index) => (Object.is(index, -0) ? '-0' : String(index));
+
+const fixed = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : String(value));
+
+export const buildReport = ({ beta, bitWidth, signed, a, b, operation, aluOptions = {}, techName, techData, formats, generatedAt = new Date() }) => {
+  const config = { beta, bitWidth, signed, ...aluOptions };
+  const lutLength = activeLutLength(config);
+  const range = carryRange(config);
+  const errorPercentage = 100 * (beta - 1) / (beta + 1);
+  const gateCount = estimateGateCount(config);
+  const netlist = analyzeNetlist(config);
+  const measurement = measureOperation(operation, a, b, config);
+  const tilde = blockMetrics(gateCount.total, techData);
+  const competitors = formatMetrics(formats, techData);
+
+  const competitiveRow = (label, m, advantage) => [
+    label,
+    String(m.logicGates),
+    fixed(m.area, 2),
+    fixed(m.power / 1000, 2),
+    fixed(m.computingDensity, 1),
+    fixed(m.energyEfficiency, 0),
+    advantage
+  ];
+
+  // Linear β axis wide enough to show the current β
+  const betaMax = Math.min(BETA_MAX, Math.max(5, beta * 1.25));
+  const errorCurve = Array.from({ length: 41 }, (_, i) => {
+    const x = BETA_MIN + (i / 40) * (betaMax - BETA_MIN);
+    return [x, 100 * (x - 1) / (x + 1)];
+  });
+
+  return {
+    title: 'Tilde Arithmetic Analysis Report',
+    generatedAt: generatedAt.toISOString(),
+    sections: [
+      {
+        title: 'Configuration',
+        rows: [
+          ['β', beta.toFixed(4)],
+          ['Bit width', `${bitWidth}${signed ? ' (signed)' : ''}`],
+          ['Process node', techName],
+          ['Operation', `${operationText(operation, signedIndex(a), signedIndex(b))} = ${signedIndex(measurement.result)}`],
+          ['Operation relative error', `${fixed(measurement.relative * 100, 4)}%`],
+          ['Status flags', raisedFlags(measurement.flags).map(flag => FLAGS[flag]).join(', ') || 'none']
+        ]
+      },
+      {
+        title: 'Derived Parameters',
+        rows: [
+          ['α_add', String(alphaAdd(beta))],
+          ['α_carry', String(alphaCarry(beta))],
+          ['Δ%', `${errorPercentage.toFixed(4)}%`],
+          ['LUT length', String(lutLength)],
+          ['LUT mode', isSimplifiedLut(beta) ? 'Simplified' : 'Full LUT'],
+          ['LUT tables', config.lut ? 'Custom override' : `Formula (${LUT_ROUNDING[config.lutRounding || 'floor']} rounding)`],
+          ['Carry range', `${Number.isFinite(range) ? `d < ${range}` : 'unbounded'} (${CARRY_POLICIES[config.carryPolicy || 'fixed']})`],
+          ['Dynamic range', `${dynamicRangeDb(config).toFixed(1)} dB`]
+        ]
+      },
+      {
+        title: 'Hardware Metrics',
+        rows: [
+          ['Total gates', `${gateCount.total} logic gates`],
+          ['LUT size', `${lutLength} entries`],
+          ['Transistors', `~${tilde.transistors} (estimated, ${techData.transistorsPerNand} per NAND2)`],
+          ['Netlist gates', `${netlist.total} (after constant folding)`],
+          ['NAND2 equivalent', String(netlist.nandEquivalent)],
+          ['Logic depth', `${netlist.depth} gate levels`],
+          ...Object.entries(NETLIST_BLOCKS)
+            .filter(([block]) => netlist.byBlock[block])
+            .map(([block, label]) => [`  ${label}`, `${netlist.byBlock[block]} gates`])
+        ]
+      },
+      {
+        title: `Tilde ALU Performance (${techName}) - ${COMPUTE_BLOCKS} Compute Blocks`,
+        rows: [
+          ['Computing density', `${tilde.computingDensity.toFixed(1)} GOPS/µm²`],
+          ['Energy efficiency', `${tilde.energyEfficiency.toFixed(1)} GOPS/W`],
+          ['Total performance', `${tilde.performance.toFixed(0)} GOPS`],
+          ['Total power', `${(tilde.power / 1000).toFixed(1)} µW`]
+        ]
+      },
+      {
+        title: 'ALU Competitive Analysis',
+        table: {
+          columns: ['ALU Type', 'Gates', 'Area (µm²)', 'Power (µW)', 'Density', 'Efficiency', 'Tilde Advantage'],
+          rows: [
+            competitiveRow(`Tilde ALU (β=${beta.toFixed(1)}${signed ? ', signed' : ''})`, tilde, 'Baseline'),
+            ...competitors.map(m => competitiveRow(
+              m.label,
+              m,
+              `${(tilde.computingDensity / m.computingDensity).toFixed(1)}× density, ` +
+              `${(tilde.energyEfficiency / m.energyEfficiency).toFixed(1)}× efficiency`
+            ))
+          ]
+        },
+        notes: competitors.map(m => `${m.label}: ${m.description}${m.source ? ` (${m.source})` : ''}`)
+      },
+      {
+        title: 'Charts',
+        charts: [
+          {
+            title: 'Error Percentage vs. β',
+            svg: lineChartSvg({
+              title: 'Error Percentage vs. β',
+              xLabel: 'β',
+              yLabel: 'Δ%',
+              series: [{ label: 'Δ%', color: '#E04E1B', points: errorCurve }],
+              markers: [{ x: beta, label: `β=${beta.toFixed(3)}` }]
+            })
+          },
+          {
+            title: 'Lookup Table Values',
+            svg: barChartSvg({
+              title: `Lookup Table Values (β=${beta.toFixed(3)})`,
+              xLabel: 'd',
+              yLabel: 'LUT[d]',
+              bars: Array.from({ length: lutLength }, (_, d) => ({ label: String(d), value: lutEntry('add', d, config) }))
+            })
+          },
+          {
+            title: 'Gate Count Breakdown',
+            svg: barChartSvg({
+              title: 'Gate Count Breakdown (formula)',
+              yLabel: 'Logic gates',
+              color: '#DFA01E',
+              bars: ['shared', 'add', 'sub', 'mul', 'div', 'lut', 'sign', 'flags', 'control']
+                .map(key => ({ label: key, value: gateCount[key] }))
+            })
+          }
+        ]
+      },
+      {
+        title: 'Formulas',
+        formulas: [...CORE_FORMULAS, ...EXTENDED_FORMULAS, ...PARAMETER_FORMULAS],
+        notes: ['Where d = |a-b| and m = max(a,b). Special rules apply for zero and identity cases.']
+      }
+    ]
+  };
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+
+export const reportToMarkdown = (report) => {
+  const lines = [`# ${report.title}`, '', `Generated ${report.generatedAt}`, ''];
+  report.sections.forEach((section) => {
+    lines.push(`## ${section.title}`, '');
+    if (section.rows) {
+      lines.push('| Parameter | Value |', '| --- | --- |');
+      section.rows.forEach(([label, value]) => lines.push(`| ${label.startsWith(' ') ? '· ' : ''}${escapeCell(label.trim())} | ${escapeCell(value)} |`));
+      lines.push('');
+    }
+    if (section.table) {
+      const { columns, rows } = section.table;
+      lines.push(`| ${columns.map(escapeCell).join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+      rows.forEach(row => lines.push(`| ${row.map(escapeCell).join(' | ')} |`));
+      lines.push('');
+    }
+    if (section.charts) {
+      section.charts.forEach(chart => lines.push(`![${chart.title}](${svgDataUri(chart.svg)})`, ''));
+    }
+    if (section.formulas) {
+      section.formulas.forEach(formula => lines.push('$$', formula, '$$', ''));
+    }
+    if (section.notes) {
+      section.notes.forEach(note => lines.push(`- ${note}`));
+      lines.push('');
+    }
+  });
+  return lines.join('\n');
+};
+
+const htmlStyles = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1b1b1b; max-width: 960px; margin: 2rem auto; padding: 0 1.5rem; }
+  h1 { color: #1B4469; border-bottom: 3px solid #408BCA; padding-bottom: 0.5rem; }
+  h2 { color: #1B4469; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+  th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #eef3f8; }
+  td.indent { padding-left: 1.5rem; color: #555; }
+  .meta, .notes { color: #555; font-size: 0.8rem; }
+  .charts { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .charts svg { max-width: 100%; height: auto; border: 1px solid #e5e5e5; }
+  .formula { margin: 0.75rem 0; font-size: 1.1rem; }
+  @media print {
+    @page { size: A4; margin: 15mm; }
+    body { margin: 0; max-width: none; }
+    section { break-inside: avoid; page-break-inside: avoid; }
+    .charts svg { break-inside: avoid; }
+  }
+`;
+
+export const reportToHtml = (report) => {
+  const body = report.sections.map((section) => {
+    const parts = [`<h2>${escapeHtml(section.title)}</h2>`];
+    if (section.rows) {
+      parts.push('<table><tbody>', ...section.rows.map(([label, value]) =>
+        `<tr><td${label.startsWith(' ') ? ' class="indent"' : ''}>${escapeHtml(label.trim())}</td><td>${escapeHtml(value)}</td></tr>`
+      ), '</tbody></table>');
+    }
+    if (section.table) {
+      const { columns, rows } = section.table;
+      parts.push(
+        '<table><thead><tr>', ...columns.map(c => `<th>${escapeHtml(c)}</th>`), '</tr></thead><tbody>',
+        ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+        '</tbody></table>'
+      );
+    }
+    if (section.charts) {
+      parts.push('<div class="charts">', ...section.charts.map(chart => chart.svg), '</div>');
+    }
+    if (section.formulas) {
+      parts.push(...section.formulas.map(formula =>
+        `<div class="formula">${katex.renderToString(formula, { displayMode: true, output: 'mathml', throwOnError: false })}</div>`
+      ));
+    }
+    if (section.notes) {
+      parts.push('<ul class="notes">', ...section.notes.map(note => `<li>${escapeHtml(note)}</li>`), '</ul>');
+    }
+    return `<section>\n${parts.join('\n')}\n</section>`;
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    `<style>${htmlStyles}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>`,
+    body,
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
@@ -0,0 +1,217 @@
+// Verilog RTL Generator
+//
+// Emits a synthesizable Verilog-2001 module for the Tilde ALU at a given
+// `{ beta, bitWidth, signed }` config. The datapath mirrors the engine rule
+// for rule (common term detectors, LUT ROM from `lutEntry`, per-operation
+// magnitude paths, opcode decoder and output mux), so the JS model is the
+// golden reference for the generated design.
+
+import { CARRY_POLICIES, LUT_ROUNDING, carryRange, lutEntry, maxIndex, calculateLutLength } from './engine.js';
+
+export const OPCODES = { add: 0, sub: 1, mul: 2, div: 3 };
+
+export const OPCODE_WIDTH = 2;
+
+// LUT contents for every distance the datapath can present to the ROM.
+// `kind` picks the add or sub table, which only differ under an override.
+export const lutRomContents = (config, kind = 'add') => {
+  const { bitWidth, signed } = config;
+  const max = maxIndex(bitWidth, signed);
+  // Both paths only read the LUT inside the carry range
+  const depth = Math.min(carryRange(config), max + 1);
+  // Entries past the largest magnitude saturate the same way, so the ROM can
+  // hold them at MAX
+  return Array.from({ length: depth }, (_, d) => Math.min(lutEntry(kind, d, config), max));
+};
+
+// m - LUT[d] can only go below zero when an entry exceeds d + 1 (m > d for
+// nonzero operands), which the formula table never does
+export const subLutUnderflows = (contents) => contents.some((value, d) => value > d + 1);
+
+const romFunction = (contents, mw, name = 'lut_rom') => {
+  // Group distances that share a value so the case stays compact
+  const groups = new Map();
+  contents.forEach((value, d) => {
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(d);
+  });
+
+  const items = [...groups.entries()].map(([value, ds]) =>
+    `      ${ds.map(d => `${mw}'d${d}`).join(', ')}: ${name} = ${mw}'d${value};`
+  );
+
+  return [
+    `  function [${mw - 1}:0] ${name};`,
+    `    input [${mw - 1}:0] dist;`,
+    '    case (dist)',
+    ...items,
+    `      default: ${name} = ${mw}'d0;`,
+    '    endcase',
+    '  endfunction'
+  ].join('\n');
+};
+
+export const generateVerilog = (config, { operations = Object.keys(OPCODES), moduleName = 'tilde_alu' } = {}) => {
+  const { beta, bitWidth, signed } = config;
+  const w = bitWidth;
+  const mw = signed ? bitWidth - 1 : bitWidth;
+  const max = maxIndex(bitWidth, signed);
+  const has = (op) => operations.includes(op);
+  const needsAdd = has('add') || (signed && has('sub'));
+  const needsSub = has('sub') || (signed && has('add'));
+  const needsLut = needsAdd || needsSub;
+  const lut = lutRomContents(config);
+  const subLut = lutRomContents(config, 'sub');
+  // Overridden tables that disagree need a ROM per path
+  const splitLut = lut.some((value, d) => value !== subLut[d]);
+  const addLutWire = splitLut ? 'lut_add' : 'lut';
+  const subLutWire = splitLut ? 'lut_sub' : 'lut';
+  // A carry range past the largest distance never cuts the LUT off
+  const range = carryRange(config);
+  const bounded = range <= max;
+  const inRange = (corrected) => (bounded ? `(d < CARRY_RANGE) ? ${corrected} : m` : corrected);
+
+  const lines = [];
+  const emit = (...l) => lines.push(...l);
+
+  emit(
+    `// Tilde ALU, generated by Tilde Mathematica`,
+    `//   beta        = ${beta.toFixed(6)}`,
+    `//   bit width   = ${bitWidth}${signed ? ' (sign-magnitude, 1 sign bit)' : ' (unsigned)'}`,
+    `//   operations  = ${operations.join(', ')}`,
+    `//   LUT length  = ${calculateLutLength(beta)} (ROM depth ${lut.length}), ${config.lut ? 'overridden' : `${LUT_ROUNDING[config.lutRounding || 'floor']} rounding`}`,
+    `//   carry range = ${bounded ? `d < ${range}` : 'unbounded'} for add and sub (${CARRY_POLICIES[config.carryPolicy || 'fixed']})`,
+    `//`,
+    `// Opcodes: ${Object.entries(OPCODES).filter(([op]) => has(op)).map(([op, code]) => `${code} = ${op}`).join(', ')}`,
+    `// Results saturate at the largest magnitude code (${max}).`,
+    '',
+    `module ${moduleName} (`,
+    `  input  wire [${OPCODE_WIDTH - 1}:0] opcode,`,
+    `  input  wire [${w - 1}:0] a,`,
+    `  input  wire [${w - 1}:0] b,`,
+    `  output reg  [${w - 1}:0] result`,
+    ');',
+    '',
+    `  localparam [${mw - 1}:0] MAX = ${mw}'d${max};`,
+    ...(bounded ? [`  localparam CARRY_RANGE = ${range};`] : []),
+    '',
+    ...Object.entries(OPCODES).filter(([op]) => has(op)).map(([op, code]) =>
+      `  localparam [${OPCODE_WIDTH - 1}:0] OP_${op.toUpperCase()} = ${OPCODE_WIDTH}'d${code};`
+    ),
+    ''
+  );
+
+  if (signed) {
+    emit(
+      '  // Sign-magnitude operands',
+      `  wire sa = a[${w - 1}];`,
+      `  wire sb = b[${w - 1}];`,
+      `  wire [${mw - 1}:0] ma = a[${mw - 1}:0];`,
+      `  wire [${mw - 1}:0] mb = b[${mw - 1}:0];`,
+      ''
+    );
+  } else {
+    emit(
+      '  // Unsigned operands are their own magnitudes',
+      `  wire [${mw - 1}:0] ma = a;`,
+      `  wire [${mw - 1}:0] mb = b;`,
+      ''
+    );
+  }
+
+  emit(
+    '  // Common term detectors',
+    `  wire za = (ma == ${mw}'d0);`,
+    `  wire zb = (mb == ${mw}'d0);`,
+    `  wire ua = (ma == ${mw}'d1);`,
+    `  wire ub = (mb == ${mw}'d1);`,
+    '  wire e  = (ma == mb);',
+    '  wire a_gt_b = (ma > mb);',
+    `  wire [${mw - 1}:0] m = a_gt_b ? ma : mb;`,
+    `  wire [${mw - 1}:0] d = a_gt_b ? ma - mb : mb - ma;`,
+    ''
+  );
+
+  if (needsLut && splitLut) {
+    emit(
+      '  // Add and sub correction LUT ROMs (the tables differ)',
+      romFunction(lut, mw, 'lut_add_rom'), '',
+      romFunction(subLut, mw, 'lut_sub_rom'), '',
+      `  wire [${mw - 1}:0] lut_add = lut_add_rom(d);`,
+      `  wire [${mw - 1}:0] lut_sub = lut_sub_rom(d);`,
+      ''
+    );
+  } else if (needsLut) {
+    emit('  // Add/sub correction LUT ROM', romFunction(lut, mw), '', `  wire [${mw - 1}:0] lut = lut_rom(d);`, '');
+  }
+
+  emit('  // Magnitude datapaths');
+  if (needsAdd) {
+    emit(
+      `  wire [${mw}:0] add_sum = m + ${addLutWire};`,
+      `  wire [${mw - 1}:0] add_mag = (za | zb) ? m :`,
+      `                        ${inRange(`((add_sum > MAX) ? MAX : add_sum[${mw - 1}:0])`)};`
+    );
+  }
+  if (needsSub) {
+    if (subLutUnderflows(subLut)) {
+      emit(
+        `  wire [${mw}:0] sub_diff = {1'b0, m} - {1'b0, ${subLutWire}};`,
+        `  wire [${mw - 1}:0] sub_mag = e ? ${mw}'d0 : (za | zb) ? m :`,
+        `                        ${inRange(`(sub_diff[${mw}] ? ${mw}'d0 : sub_diff[${mw - 1}:0])`)};`
+      );
+    } else {
+      emit(`  wire [${mw - 1}:0] sub_mag = e ? ${mw}'d0 : (za | zb) ? m : ${inRange(`m - ${subLutWire}`)};`);
+    }
+  }
+  if (has('mul')) {
+    emit(
+      `  wire [${mw}:0] mul_sum = ma + mb - 1'b1;`,
+      `  wire [${mw - 1}:0] mul_mag = (za | zb) ? ${mw}'d0 : (ua | ub) ? m :`,
+      `                        ((mul_sum > MAX) ? MAX : mul_sum[${mw - 1}:0]);`
+    );
+  }
+  if (has('div')) {
+    emit(
+      `  wire signed [${mw + 1}:0] div_diff = $signed({2'b00, ma}) - $signed({2'b00, mb}) + 1;`,
+      `  wire [${mw - 1}:0] div_mag = za ? ${mw}'d0 : zb ? MAX : e ? ${mw}'d1 :`,
+      `                        (div_diff < 0) ? ${mw}'d0 : (div_diff > MAX) ? MAX : div_diff[${mw - 1}:0];`
+    );
+  }
+  emit('');
+
+  if (signed && (has('add') || has('sub'))) {
+    emit(
+      '  // Mixed signs take the opposite LUT path; cancellation gives +0',
+      `  wire sb_eff = sb ^ ${has('sub') ? '(opcode == OP_SUB)' : "1'b0"};`,
+      '  wire same_sign = (sa == sb_eff);',
+      `  wire [${mw - 1}:0] addsub_mag = same_sign ? add_mag : sub_mag;`,
+      "  wire addsub_sign = same_sign ? sa : (e ? 1'b0 : (a_gt_b ? sa : sb_eff));",
+      ''
+    );
+  }
+  if (signed && (has('mul') || has('div'))) {
+    emit('  wire prod_sign = sa ^ sb;', '');
+  }
+
+  const resultFor = (op) => {
+    if (!signed) return `${op}_mag`;
+    if (op === 'add' || op === 'sub') return '{addsub_sign, addsub_mag}';
+    return `{prod_sign, ${op}_mag}`;
+  };
+
+  emit(
+    '  // Opcode decoder and output mux',
+    '  always @* begin',
+    '    case (opcode)',
+    ...Object.keys(OPCODES).filter(has).map(op => `      OP_${op.toUpperCase()}: result = ${resultFor(op)};`),
+    `      default: result = ${w}'d0;`,
+    '    endcase',
+    '  end',
+    '',
+    'endmodule',
+    ''
+  );
+
+  return lines.join('\n');
+};
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CARRY_POLICIES, LUT_ROUNDING, carryRange, lutEntry, maxIndex } from './engine.js';
+import { activeLut, createLutOverride } from './lut.js';
+import { generateVerilog } from './rtl.js';
+
+// Distance → value table of the ROM function `name` in the emitted Verilog
+const romTable = (verilog, name) => {
+  const body = verilog.match(new RegExp(`function \\[\\d+:0\\] ${name};([\\s\\S]*?)endfunction`));
+  assert.ok(body, `${name} is emitted`);
+  const table = new Map();
+  body[1].split('\n').forEach((line) => {
+    const item = line.match(/^\s*((?:\d+'d\d+,\s*)*\d+'d\d+):\s*\w+ = \d+'d(\d+);/);
+    if (!item) return;
+    item[1].split(',').forEach(d => table.set(Number(d.trim().split("'d")[1]), Number(item[2])));
+  });
+  return table;
+};
+
+// Every distance inside the carry range must read lutEntry; the ROM stops at
+// the carry range and saturates entries at MAX like the datapath does
+const assertRomMatchesEngine = (config) => {
+  const verilog = generateVerilog(config);
+  const max = maxIndex(config.bitWidth, config.signed);
+  const depth = Math.min(carryRange(config), max + 1);
+  const names = verilog.includes('lut_add_rom') ? { add: 'lut_add_rom', sub: 'lut_sub_rom' } : { add: 'lut_rom', sub: 'lut_rom' };
+  ['add', 'sub'].forEach((kind) => {
+    const table = romTable(verilog, names[kind]);
+    assert.equal(table.size, depth, `${kind} ROM depth`);
+    for (let d = 0; d < depth; d++) {
+      assert.equal(table.get(d), Math.min(lutEntry(kind, d, config), max), `${kind} LUT[${d}]`);
+    }
+  });
+};
+
+test('module header and port widths', () => {
+  const verilog = generateVerilog({ beta: 1.5, bitWidth: 5, signed: true });
+  assert.deepEqual(verilog.split('\n').slice(0, 19), [
+    '// Tilde ALU, generated by Tilde Mathematica',
+    '//   beta        = 1.500000',
+    '//   bit width   = 5 (sign-magnitude, 1 sign bit)',
+    '//   operations  = add, sub, mul, div',
+    '//   LUT length  = 16 (ROM depth 8), Floor rounding',
+    '//   carry range = d < 8 for add and sub (Fixed N)',
+    '//',
+    '// Opcodes: 0 = add, 1 = sub, 2 = mul, 3 = div',
+    '// Results saturate at the largest magnitude code (15).',
+    '',
+    'module tilde_alu (',
+    '  input  wire [1:0] opcode,',
+    '  input  wire [4:0] a,',
+    '  input  wire [4:0] b,',
+    '  output reg  [4:0] result',
+    ');',
+    '',
+    "  localparam [3:0] MAX = 4'd15;",
+    '  localparam CARRY_RANGE = 8;'
+  ]);
+  assert.match(verilog, /^endmodule$/m);
+});
+
+test('unsigned operands use the whole word as magnitude', () => {
+  const verilog = generateVerilog({ beta: 1.5, bitWidth: 6, signed: false }, { moduleName: 'alu6' });
+  assert.match(verilog, /^module alu6 \($/m);
+  assert.match(verilog, /input {2}wire \[5:0\] a,/);
+  assert.match(verilog, /wire \[5:0\] ma = a;/);
+  assert.doesNotMatch(verilog, /wire sa/);
+});
+
+test('ROM contents equal lutEntry for every rounding mode', () => {
+  Object.keys(LUT_ROUNDING).forEach((lutRounding) => {
+    assertRomMatchesEngine({ beta: 1.3, bitWidth: 5, signed: false, lutRounding });
+    assertRomMatchesEngine({ beta: 1.05, bitWidth: 6, signed: true, lutRounding });
+  });
+});
+
+test('ROM contents equal lutEntry for every carry policy', () => {
+  Object.keys(CARRY_POLICIES).forEach((carryPolicy) => {
+    assertRomMatchesEngine({ beta: 1.2, bitWidth: 5, signed: true, carryPolicy, carryN: 3 });
+    assertRomMatchesEngine({ beta: 1.2, bitWidth: 4, signed: false, carryPolicy, lutRounding: 'minError' });
+  });
+});
+
+test('an unbounded carry range drops the CARRY_RANGE parameter', () => {
+  const verilog = generateVerilog({ beta: 1.2, bitWidth: 4, signed: false, carryPolicy: 'unbounded' });
+  assert.doesNotMatch(verilog, /CARRY_RANGE/);
+  assert.match(verilog, /carry range = unbounded/);
+});
+
+test('ROM contents follow LUT overrides, with a ROM per path when the tables differ', () => {
+  const override = createLutOverride({ beta: 1.5 });
+  override.add[2] += 1;
+  override.sub[3] = 0;
+  const config = { beta: 1.5, bitWidth: 5, signed: true, lut: activeLut(override, 1.5) };
+  const verilog = generateVerilog(config);
+  assert.match(verilog, /LUT length {2}= \d+ \(ROM depth \d+\), overridden/);
+  assert.match(verilog, /function \[3:0\] lut_add_rom;/);
+  assert.match(verilog, /function \[3:0\] lut_sub_rom;/);
+  assertRomMatchesEngine(config);
+  assertRomMatchesEngine({ ...config, carryPolicy: 'fixed', carryN: 2 });
+});
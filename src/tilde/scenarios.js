@@ -0,0 +1,109 @@
+// Saved Scenarios
+//
+// A scenario is a named calculator configuration: β, bit width, signedness,
+// process node, operands, operation, carry range and LUT rounding. Scenarios persist in localStorage,
+// share as JSON, and `evaluateScenario` derives every figure the comparison
+// view diffs: hardware estimates, netlist, performance, errors and the LUT.
+
+import { CARRY_POLICIES, CARRY_RANGE, LUT_ROUNDING, activeLutLength, lutEntry, operandLimits, operations } from './engine.js';
+import { measureOperation } from './values.js';
+import { analyzeNetlist } from './netlist.js';
+import { estimateGateCount, blockMetrics } from './hardware.js';
+import { dynamicRangeDb, measureDesignError } from './designSpace.js';
+import { loadStored, saveStored } from './storage.js';
+import { BETA_MAX, BETA_MIN } from './betaScale.js';
+
+export const SCENARIO_FIELDS = ['beta', 'bitWidth', 'signed', 'selectedTech', 'a', 'b', 'operation', 'carryPolicy', 'carryN', 'lutRounding'];
+
+// Version 2 writes a negative zero operand as the string '-0'
+export const SCENARIO_LIBRARY_VERSION = 2;
+
+const STORAGE_KEY = 'tilde.scenarios';
+
+// JSON has no negative zero, so signed -0 operands travel as '-0'
+const OPERAND_KEYS = ['a', 'b'];
+
+const encodeOperand = (key, value) => (OPERAND_KEYS.includes(key) && Object.is(value, -0) ? '-0' : value);
+
+const decodeOperand = (value, signed) => (signed && value === '-0' ? -0 : value);
+
+// Throws an Error naming the first invalid field. Scenarios saved before the
+// carry range and LUT rounding existed load with their defaults, and plain
+// numeric operands from version 1 files load as they are.
+export const validateScenario = (name, scenario) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('Scenario name is required');
+  }
+  const {
+    beta, bitWidth, signed, selectedTech, a, b, operation, carryPolicy = 'fixed', carryN = CARRY_RANGE,
+    lutRounding = 'floor'
+  } = scenario || {};
+  if (typeof beta !== 'number' || !(beta >= BETA_MIN && beta <= BETA_MAX)) {
+    throw new Error(`${name}: β must be a number from ${BETA_MIN} to ${BETA_MAX}`);
+  }
+  if (!Number.isInteger(bitWidth) || bitWidth < 2 || bitWidth > 12) {
+    throw new Error(`${name}: bit width must be an integer from 2 to 12`);
+  }
+  if (!operations[operation]) throw new Error(`${name}: unknown operation "${operation}"`);
+  if (!selectedTech || typeof selectedTech !== 'string') throw new Error(`${name}: process node is required`);
+  if (!CARRY_POLICIES[carryPolicy]) throw new Error(`${name}: unknown carry policy "${carryPolicy}"`);
+  if (!Number.isInteger(carryN) || carryN < 1) throw new Error(`${name}: carry N must be a positive integer`);
+  if (!LUT_ROUNDING[lutRounding]) throw new Error(`${name}: unknown LUT rounding "${lutRounding}"`);
+  const [operandA, operandB] = [['a', a], ['b', b]].map(([key, raw]) => {
+    const value = decodeOperand(raw, Boolean(signed));
+    const [min, max] = operandLimits(key, operation, { bitWidth, signed: Boolean(signed) });
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${name}: operand ${key} is outside the ${bitWidth}-bit range`);
+    }
+    return value;
+  });
+  return {
+    beta, bitWidth, signed: Boolean(signed), selectedTech, a: operandA, b: operandB, operation, carryPolicy, carryN, lutRounding
+  };
+};
+
+export const serializeScenarios = (scenarios) =>
+  JSON.stringify({ version: SCENARIO_LIBRARY_VERSION, scenarios }, encodeOperand, 2);
+
+// Accepts the versioned format or a bare { name: scenario } map
+export const parseScenarios = (data) => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  const scenarios = parsed && typeof parsed.scenarios === 'object' ? parsed.scenarios : parsed;
+  if (!scenarios || typeof scenarios !== 'object' || Array.isArray(scenarios)) {
+    throw new Error('Scenario file must be an object of scenarios');
+  }
+  return Object.fromEntries(
+    Object.entries(scenarios).map(([name, scenario]) => [name, validateScenario(name, scenario)])
+  );
+};
+
+export const loadScenarios = () => loadStored(STORAGE_KEY, parseScenarios);
+
+export const saveScenarios = (scenarios) => saveStored(STORAGE_KEY, serializeScenarios(scenarios));
+
+// Scenarios have no built-ins to merge with
+export const mergeScenarios = (scenarios) => scenarios;
+
+export const evaluateScenario = (scenario, techData) => {
+  const { beta, bitWidth, signed, a, b, operation, carryPolicy, carryN, lutRounding } = scenario;
+  const config = { beta, bitWidth, signed, carryPolicy, carryN, lutRounding };
+  const lutLength = activeLutLength(config);
+  const gateCount = estimateGateCount(config);
+  const netlist = analyzeNetlist(config);
+  const measurement = measureOperation(operation, a, b, config);
+  const performance = blockMetrics(gateCount.total, techData);
+
+  return {
+    gateCount,
+    lutLength,
+    lut: Array.from({ length: lutLength }, (_, d) => lutEntry('add', d, config)),
+    // Per ALU, with the node's transistors per NAND2
+    transistors: performance.transistors,
+    netlist,
+    performance,
+    errorPercentage: 100 * (beta - 1) / (beta + 1),
+    measuredError: measureDesignError(config),
+    dynamicRange: dynamicRangeDb(config),
+    measurement
+  };
+};
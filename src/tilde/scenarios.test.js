@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BETA_MAX, BETA_MIN } from './betaScale.js';
+import { parseScenarios, serializeScenarios, validateScenario } from './scenarios.js';
+
+const scenario = {
+  beta: 1.5,
+  bitWidth: 5,
+  signed: true,
+  selectedTech: '7nm',
+  a: -0,
+  b: 3,
+  operation: 'add',
+  carryPolicy: 'fixed',
+  carryN: 8,
+  lutRounding: 'floor'
+};
+
+test('a negative zero operand survives a save and load', () => {
+  const text = serializeScenarios({ zero: scenario });
+  assert.match(text, /"a": "-0"/);
+  const loaded = parseScenarios(text).zero;
+  assert.ok(Object.is(loaded.a, -0));
+  assert.deepEqual(loaded, scenario);
+  assert.ok(Object.is(parseScenarios(serializeScenarios({ zero: { ...scenario, a: 0 } })).zero.a, 0));
+});
+
+test('version 1 files with numeric operands still load', () => {
+  const loaded = parseScenarios(JSON.stringify({ version: 1, scenarios: { old: { ...scenario, a: -2, b: 0 } } })).old;
+  assert.equal(loaded.a, -2);
+  assert.ok(Object.is(loaded.b, 0));
+  // Files from before carry policies and LUT rounding
+  const { carryPolicy, carryN, lutRounding, ...bare } = scenario;
+  assert.deepEqual(validateScenario('bare', { ...bare, a: 2 }), { ...scenario, a: 2, carryPolicy, carryN, lutRounding });
+});
+
+test('a negative zero operand is rejected in unsigned mode', () => {
+  assert.throws(() => validateScenario('u', { ...scenario, signed: false, a: '-0' }), /operand a is outside the 5-bit range/);
+});
+
+test('β is bounded to the slider range', () => {
+  assert.equal(validateScenario('lo', { ...scenario, beta: BETA_MIN }).beta, BETA_MIN);
+  assert.equal(validateScenario('hi', { ...scenario, beta: BETA_MAX }).beta, BETA_MAX);
+  assert.throws(() => validateScenario('lo', { ...scenario, beta: 1.01 }), /β must be a number from 1.02 to 30/);
+  assert.throws(() => validateScenario('hi', { ...scenario, beta: 31 }), /β must be a number from/);
+  assert.throws(() => validateScenario('nan', { ...scenario, beta: NaN }), /β must be a number from/);
+});
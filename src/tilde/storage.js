@@ -0,0 +1,17 @@
+// Browser persistence for user-defined catalogs. Both helpers are no-ops
+// outside the browser so the catalog modules stay importable from Node.
+
+export const loadStored = (key, parse) => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return parse(JSON.parse(localStorage.getItem(key) || '{}'));
+  } catch (e) {
+    console.error(`Ignoring unreadable ${key}:`, e);
+    return {};
+  }
+};
+
+export const saveStored = (key, text) => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(key, text);
+};
@@ -0,0 +1,113 @@
+// Minimal SVG Charts
+//
+// Standalone line and bar charts for exported reports. The output is a plain
+// SVG string with no script or external references, so it can be inlined in
+// HTML, embedded in Markdown as a data URI, and printed at any resolution.
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const MARGIN = { top: 36, right: 20, bottom: 48, left: 64 };
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+const tickLabel = (value) => {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e4 || magnitude < 1e-2) return value.toExponential(0);
+  return parseFloat(value.toPrecision(3)).toString();
+};
+
+// About `count` round tick values covering [lo, hi]
+const niceTicks = (lo, hi, count = 5) => {
+  if (hi <= lo) return [lo];
+  const raw = (hi - lo) / count;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(f => f * power).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.ceil(lo / step) * step; t <= hi + step * 1e-9; t += step) ticks.push(t);
+  return ticks;
+};
+
+const frame = ({ title, xLabel, yLabel }, body) => {
+  const plotBottom = HEIGHT - MARGIN.bottom;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}" font-family="sans-serif" font-size="11">`,
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#ffffff"/>`,
+    `<text x="${WIDTH / 2}" y="20" text-anchor="middle" font-size="14" font-weight="bold">${escapeXml(title)}</text>`,
+    body,
+    `<line x1="${MARGIN.left}" y1="${plotBottom}" x2="${WIDTH - MARGIN.right}" y2="${plotBottom}" stroke="#333"/>`,
+    `<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${plotBottom}" stroke="#333"/>`,
+    xLabel ? `<text x="${(MARGIN.left + WIDTH - MARGIN.right) / 2}" y="${HEIGHT - 10}" text-anchor="middle">${escapeXml(xLabel)}</text>` : '',
+    yLabel ? `<text transform="translate(16 ${(MARGIN.top + plotBottom) / 2}) rotate(-90)" text-anchor="middle">${escapeXml(yLabel)}</text>` : '',
+    '</svg>'
+  ].join('\n');
+};
+
+const yAxis = (ticks, scaleY) => ticks.map(t => {
+  const y = scaleY(t).toFixed(1);
+  return `<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH - MARGIN.right}" y2="${y}" stroke="#e5e5e5"/>` +
+    `<text x="${MARGIN.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${tickLabel(t)}</text>`;
+}).join('\n');
+
+const legend = (series) => series.map((s, i) => {
+  const x = MARGIN.left + 8 + i * 110;
+  return `<rect x="${x}" y="${MARGIN.top - 8}" width="10" height="10" fill="${s.color}"/>` +
+    `<text x="${x + 14}" y="${MARGIN.top}" >${escapeXml(s.label)}</text>`;
+}).join('\n');
+
+// series: [{ label, color, points: [[x, y], ...] }]; markers: [{ x, label }]
+export const lineChartSvg = ({ title, xLabel, yLabel, series, markers = [] }) => {
+  const xs = series.flatMap(s => s.points.map(p => p[0]));
+  const ys = series.flatMap(s => s.points.map(p => p[1]));
+  const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+  const yTicks = niceTicks(Math.min(0, ...ys), Math.max(...ys));
+  const [yMin, yMax] = [yTicks[0], yTicks[yTicks.length - 1]];
+  const plotRight = WIDTH - MARGIN.right;
+  const plotBottom = HEIGHT - MARGIN.bottom;
+  const scaleX = (x) => MARGIN.left + ((x - xMin) / (xMax - xMin || 1)) * (plotRight - MARGIN.left);
+  const scaleY = (y) => plotBottom - ((y - yMin) / (yMax - yMin || 1)) * (plotBottom - MARGIN.top);
+
+  const xTicks = niceTicks(xMin, xMax).map(t =>
+    `<text x="${scaleX(t).toFixed(1)}" y="${plotBottom + 16}" text-anchor="middle">${tickLabel(t)}</text>`
+  ).join('\n');
+  const lines = series.map(s =>
+    `<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${s.points.map(([x, y]) => `${scaleX(x).toFixed(1)},${scaleY(y).toFixed(1)}`).join(' ')}"/>`
+  ).join('\n');
+  const marks = markers.map(m => {
+    const x = scaleX(m.x).toFixed(1);
+    return `<line x1="${x}" y1="${MARGIN.top}" x2="${x}" y2="${plotBottom}" stroke="#E04E1B" stroke-dasharray="4 3"/>` +
+      `<text x="${x}" y="${MARGIN.top + 12}" dx="4" fill="#E04E1B">${escapeXml(m.label)}</text>`;
+  }).join('\n');
+
+  return frame({ title, xLabel, yLabel }, [yAxis(yTicks, scaleY), xTicks, lines, marks, series.length > 1 ? legend(series) : ''].join('\n'));
+};
+
+// bars: [{ label, value }]
+export const barChartSvg = ({ title, xLabel, yLabel, bars, color = '#408BCA' }) => {
+  const yTicks = niceTicks(0, Math.max(1, ...bars.map(b => b.value)));
+  const yMax = yTicks[yTicks.length - 1];
+  const plotRight = WIDTH - MARGIN.right;
+  const plotBottom = HEIGHT - MARGIN.bottom;
+  const slot = (plotRight - MARGIN.left) / Math.max(1, bars.length);
+  const scaleY = (y) => plotBottom - (y / yMax) * (plotBottom - MARGIN.top);
+  // Thin out category labels when there are many bars
+  const labelEvery = Math.ceil(bars.length / 16);
+
+  const body = bars.map((b, i) => {
+    const x = MARGIN.left + i * slot;
+    const y = scaleY(b.value);
+    return `<rect x="${(x + slot * 0.15).toFixed(1)}" y="${y.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${(plotBottom - y).toFixed(1)}" fill="${color}"/>` +
+      (i % labelEvery === 0
+        ? `<text x="${(x + slot / 2).toFixed(1)}" y="${plotBottom + 16}" text-anchor="middle">${escapeXml(b.label)}</text>`
+        : '');
+  }).join('\n');
+
+  return frame({ title, xLabel, yLabel }, [yAxis(yTicks, scaleY), body].join('\n'));
+};
+
+export const svgDataUri = (svg) => {
+  let binary = '';
+  new TextEncoder().encode(svg).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+};
@@ -0,0 +1,129 @@
+// Exhaustive Error Sweep
+//
+// Enumerates every (a, b) pair for an operation and accumulates error
+// statistics against exact real arithmetic, and counts the status flags each
+// pair raises. The sweep advances one row of `a` at a time so callers can
+// spread it over several frames.
+
+import { FLAGS, evaluateFlagged, maxIndex } from './engine.js';
+import { exactResult, compareToExact } from './values.js';
+
+export const SWEEP_OPERATIONS = ['add', 'sub', 'mul', 'div'];
+
+export const SWEEP_METRICS = {
+  relative: 'Relative error',
+  ulp: 'ULP distance'
+};
+
+// Every operand the configuration can encode, in ascending order. Signed mode
+// skips -0, which decodes to the same value as +0.
+export const operandRange = ({ bitWidth, signed }) => {
+  const max = maxIndex(bitWidth, signed);
+  const start = signed ? -max : 0;
+  return Array.from({ length: max - start + 1 }, (_, i) => start + i);
+};
+
+// Heatmaps are binned down to at most this many cells per side
+export const DEFAULT_RESOLUTION = 128;
+
+export const createErrorSweep = (operation, config, { metric = 'relative', resolution = DEFAULT_RESOLUTION } = {}) => {
+  const operands = operandRange(config);
+  const size = operands.length;
+  const bins = Math.min(size, resolution);
+  // grid[bin(b) * bins + bin(a)] holds the worst finite error in that cell;
+  // `undefinedCells` flags cells containing division by zero or 0/0
+  const grid = new Float64Array(bins * bins);
+  const undefinedCells = new Uint8Array(bins * bins);
+
+  let row = 0;
+  let count = 0;
+  let excluded = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let max = 0;
+  let worst = null;
+  // Counted over every pair, including those excluded from the statistics
+  const flagCounts = Object.fromEntries(Object.keys(FLAGS).map(flag => [flag, 0]));
+
+  const runRow = () => {
+    const a = operands[row];
+    const binA = Math.floor(row * bins / size);
+
+    for (let col = 0; col < size; col++) {
+      const b = operands[col];
+      const cell = Math.floor(col * bins / size) * bins + binA;
+      const { result, flags } = evaluateFlagged(operation, a, b, config);
+      Object.keys(flagCounts).forEach((flag) => { if (flags[flag]) flagCounts[flag]++; });
+      const error = compareToExact(result, exactResult(operation, a, b, config), config)[metric];
+
+      if (!Number.isFinite(error)) {
+        excluded++;
+        undefinedCells[cell] = 1;
+        continue;
+      }
+
+      count++;
+      sum += error;
+      sumSquares += error * error;
+      if (error > grid[cell]) grid[cell] = error;
+      if (worst === null || error > max) {
+        max = error;
+        worst = { a, b, result };
+      }
+    }
+    row++;
+  };
+
+  return {
+    runRows: (rows) => {
+      for (let i = 0; i < rows && row < size; i++) runRow();
+      return row >= size;
+    },
+    summary: () => ({
+      operation,
+      metric,
+      pairs: size * size,
+      count,
+      excluded,
+      max,
+      mean: count ? sum / count : 0,
+      rms: count ? Math.sqrt(sumSquares / count) : 0,
+      worst,
+      flagCounts: { ...flagCounts },
+      grid,
+      undefinedCells,
+      bins,
+      progress: row / size,
+      done: row >= size
+    })
+  };
+};
+
+// Sweep several operations back to back, yielding to the event loop every
+// `budgetMs` so the page stays responsive. Rejects with an AbortError when
+// `signal` is aborted.
+export const runErrorSweep = (operations, config, options = {}, { onProgress, signal, budgetMs = 12 } = {}) =>
+  new Promise((resolve, reject) => {
+    const sweeps = operations.map(op => createErrorSweep(op, config, options));
+    let current = 0;
+
+    const slice = () => {
+      if (signal?.aborted) {
+        reject(new DOMException('Sweep aborted', 'AbortError'));
+        return;
+      }
+
+      const start = performance.now();
+      while (current < sweeps.length && performance.now() - start < budgetMs) {
+        if (sweeps[current].runRows(1)) current++;
+      }
+
+      const summaries = sweeps.map(sweep => sweep.summary());
+      if (onProgress) onProgress(summaries);
+
+      if (current >= sweeps.length) resolve(summaries);
+      else setTimeout(slice, 0);
+    };
+
+    slice();
+  });
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateFlagged } from './engine.js';
+import { compareToExact, exactResult } from './values.js';
+import { createErrorSweep, operandRange, runErrorSweep, SWEEP_OPERATIONS } from './sweep.js';
+
+const unsigned = { beta: 1.5, bitWidth: 4, signed: false };
+const signed = { beta: 1.5, bitWidth: 4, signed: true };
+
+// Statistics recomputed pair by pair, independent of the sweep's bookkeeping
+const bruteForce = (operation, config, metric) => {
+  const operands = operandRange(config);
+  const errors = [];
+  let excluded = 0;
+  let divideByZero = 0;
+  operands.forEach((a) => {
+    operands.forEach((b) => {
+      const { result, flags } = evaluateFlagged(operation, a, b, config);
+      if (flags.divideByZero) divideByZero++;
+      const error = compareToExact(result, exactResult(operation, a, b, config), config)[metric];
+      if (Number.isFinite(error)) errors.push(error);
+      else excluded++;
+    });
+  });
+  return {
+    count: errors.length,
+    excluded,
+    divideByZero,
+    max: errors.reduce((m, e) => Math.max(m, e), 0),
+    mean: errors.reduce((s, e) => s + e, 0) / errors.length
+  };
+};
+
+const sweepAll = (operation, config, options) => {
+  const sweep = createErrorSweep(operation, config, options);
+  while (!sweep.runRows(3));
+  return sweep.summary();
+};
+
+test('operandRange covers every code once, skipping -0', () => {
+  assert.deepEqual(operandRange(unsigned), Array.from({ length: 16 }, (_, i) => i));
+  assert.deepEqual(operandRange(signed), Array.from({ length: 15 }, (_, i) => i - 7));
+});
+
+test('sweep statistics match a pair-by-pair recomputation', () => {
+  [unsigned, signed].forEach((config) => {
+    SWEEP_OPERATIONS.forEach((operation) => {
+      ['relative', 'ulp'].forEach((metric) => {
+        const summary = sweepAll(operation, config, { metric });
+        const expected = bruteForce(operation, config, metric);
+        const label = `${operation} ${metric} signed=${config.signed}`;
+        assert.equal(summary.done, true, label);
+        assert.equal(summary.pairs, summary.count + summary.excluded, label);
+        assert.equal(summary.count, expected.count, label);
+        assert.equal(summary.excluded, expected.excluded, label);
+        assert.equal(summary.flagCounts.divideByZero, expected.divideByZero, label);
+        assert.equal(summary.max, expected.max, label);
+        assert.ok(Math.abs(summary.mean - expected.mean) < 1e-12, label);
+      });
+    });
+  });
+});
+
+test('division by zero is excluded from the statistics but counted in the flags', () => {
+  const summary = sweepAll('div', unsigned, { metric: 'relative' });
+  assert.equal(summary.excluded, 16);
+  assert.equal(summary.flagCounts.divideByZero, 16);
+});
+
+test('the heatmap is binned down to the requested resolution', () => {
+  const summary = sweepAll('mul', unsigned, { metric: 'ulp', resolution: 4 });
+  assert.equal(summary.bins, 4);
+  assert.equal(summary.grid.length, 16);
+  assert.equal(Math.max(...summary.grid), summary.max);
+});
+
+test('the worst pair reproduces the maximum error', () => {
+  const summary = sweepAll('add', unsigned, { metric: 'relative' });
+  const { a, b, result } = summary.worst;
+  assert.equal(result, evaluateFlagged('add', a, b, unsigned).result);
+  assert.equal(compareToExact(result, exactResult('add', a, b, unsigned), unsigned).relative, summary.max);
+});
+
+test('runErrorSweep resolves with one summary per operation', async () => {
+  const progress = [];
+  const summaries = await runErrorSweep(['add', 'mul'], unsigned, {}, { onProgress: (s) => progress.push(s) });
+  assert.deepEqual(summaries.map(s => s.operation), ['add', 'mul']);
+  assert.ok(summaries.every(s => s.done));
+  assert.ok(progress.length >= 1);
+});
+
+test('runErrorSweep rejects with an AbortError once aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(runErrorSweep(['add'], unsigned, {}, { signal: controller.signal }), { name: 'AbortError' });
+});
@@ -0,0 +1,89 @@
+// Semiconductor Technology Library
+//
+// Built-in process nodes plus user-defined ones. Custom nodes (including
+// overrides of a built-in name) persist in localStorage and round-trip
+// through a small JSON format: { version, nodes: { name: parameters } }.
+
+import { loadStored, saveStored } from './storage.js';
+
+export const BUILTIN_TECH_NODES = {
+  '3nm': {
+    transistorsPerNand: 4,
+    powerPerTransistor: 0.8,
+    areaPerTransistor: 0.008,
+    frequency: 3.5,
+    voltage: 0.7
+  },
+  '5nm': {
+    transistorsPerNand: 4,
+    powerPerTransistor: 1.2,
+    areaPerTransistor: 0.015,
+    frequency: 3.2,
+    voltage: 0.75
+  },
+  '7nm': {
+    transistorsPerNand: 4,
+    powerPerTransistor: 2.0,
+    areaPerTransistor: 0.025,
+    frequency: 3.0,
+    voltage: 0.75
+  },
+  '14nm': {
+    transistorsPerNand: 4,
+    powerPerTransistor: 4.5,
+    areaPerTransistor: 0.05,
+    frequency: 2.8,
+    voltage: 0.8
+  },
+  '22nm': { transistorsPerNand: 4, powerPerTransistor: 8.0, areaPerTransistor: 0.08, frequency: 2.5, voltage: 0.9 },
+  '28nm': { transistorsPerNand: 4, powerPerTransistor: 12.0, areaPerTransistor: 0.12, frequency: 2.2, voltage: 1.0 }
+};
+
+export const DEFAULT_TECH_NODE = '7nm';
+
+export const TECH_PARAMETERS = {
+  frequency: { label: 'Frequency', unit: 'GHz' },
+  voltage: { label: 'Supply Voltage', unit: 'V' },
+  powerPerTransistor: { label: 'Power/Transistor', unit: 'fJ/op' },
+  areaPerTransistor: { label: 'Area/Transistor', unit: 'µm²' },
+  transistorsPerNand: { label: 'Transistors/NAND', unit: '' }
+};
+
+export const TECH_LIBRARY_VERSION = 1;
+
+const STORAGE_KEY = 'tilde.techLibrary';
+
+// Throws an Error naming the first invalid field
+export const validateTechNode = (name, node) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('Process node name is required');
+  }
+  Object.entries(TECH_PARAMETERS).forEach(([key, { label }]) => {
+    const value = node?.[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`${name}: ${label} must be a positive number`);
+    }
+  });
+  return Object.fromEntries(Object.keys(TECH_PARAMETERS).map(key => [key, node[key]]));
+};
+
+export const loadCustomTechNodes = () => loadStored(STORAGE_KEY, parseTechLibrary);
+
+export const saveCustomTechNodes = (nodes) => saveStored(STORAGE_KEY, serializeTechLibrary(nodes));
+
+export const serializeTechLibrary = (nodes) =>
+  JSON.stringify({ version: TECH_LIBRARY_VERSION, nodes }, null, 2);
+
+// Accepts the versioned format or a bare { name: parameters } map
+export const parseTechLibrary = (data) => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  const nodes = parsed && typeof parsed.nodes === 'object' ? parsed.nodes : parsed;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    throw new Error('Technology library must be an object of process nodes');
+  }
+  return Object.fromEntries(
+    Object.entries(nodes).map(([name, node]) => [name, validateTechNode(name, node)])
+  );
+};
+
+export const mergeTechNodes = (customNodes) => ({ ...BUILTIN_TECH_NODES, ...customNodes });
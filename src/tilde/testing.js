@@ -0,0 +1,25 @@
+// Test Helpers
+//
+// Shared by the node:test suites that check a hardware model against the
+// engine. Not imported by the app.
+
+import { decodeWord, encodeWord, evaluate } from './engine.js';
+
+// Every word pair and operation on which `actualWord(operation, wa, wb)`
+// differs from the engine's result word. Comparing words keeps the sign of
+// zero, and enumerating words includes the -0 operands of signed mode.
+export const engineMismatches = (config, operations, actualWord) => {
+  const failures = [];
+  for (let wa = 0; wa < 1 << config.bitWidth; wa++) {
+    for (let wb = 0; wb < 1 << config.bitWidth; wb++) {
+      const a = decodeWord(wa, config);
+      const b = decodeWord(wb, config);
+      operations.forEach((operation) => {
+        const expected = encodeWord(evaluate(operation, a, b, config), config);
+        const actual = actualWord(operation, wa, wb);
+        if (actual !== expected) failures.push(`${operation}(${a}, ${b}) = word ${actual}, expected ${expected}`);
+      });
+    }
+  }
+  return failures;
+};
@@ -0,0 +1,162 @@
+// Tilde Value Semantics
+//
+// Index 0 encodes zero, index 1 encodes unity and every other index n encodes
+// β^(n-1); in signed mode a negative index negates its value. Magnitudes are
+// handled as natural logs so wide bit widths and large β do not overflow, and
+// a real number is carried as `{ negative, log }` with zero at log -Infinity.
+
+import { OPERATION_INFO, evaluateFlagged, isNegative } from './engine.js';
+
+export const indexToLog = (index, beta) =>
+  index === 0 ? -Infinity : (Math.abs(index) - 1) * Math.log(beta);
+
+export const indexToValue = (index, beta) => {
+  if (index === 0) return isNegative(index) ? -0 : 0;
+  const magnitude = Math.pow(beta, Math.abs(index) - 1);
+  return isNegative(index) ? -magnitude : magnitude;
+};
+
+export const indexToReal = (index, beta) => ({
+  negative: isNegative(index),
+  log: indexToLog(index, beta)
+});
+
+export const realToValue = ({ negative, log }) => (negative ? -1 : 1) * Math.exp(log);
+
+export const valueToReal = (x) => ({ negative: x < 0 || Object.is(x, -0), log: Math.log(Math.abs(x)) });
+
+// Real-valued (fractional) index of a log magnitude
+export const logToIndex = (logValue, beta) =>
+  logValue === -Infinity ? 0 : 1 + logValue / Math.log(beta);
+
+// log(e^x + e^y) and log|e^x - e^y| without leaving the log domain
+const logAdd = (x, y) => {
+  const hi = Math.max(x, y);
+  const lo = Math.min(x, y);
+  if (hi === -Infinity) return -Infinity;
+  return hi + Math.log1p(Math.exp(lo - hi));
+};
+
+const logSub = (x, y) => {
+  const hi = Math.max(x, y);
+  const lo = Math.min(x, y);
+  if (hi === lo) return -Infinity;
+  return hi + Math.log1p(-Math.exp(lo - hi));
+};
+
+const realAdd = (x, y) => {
+  if (x.negative === y.negative) return { negative: x.negative, log: logAdd(x.log, y.log) };
+  if (x.log === y.log) return { negative: false, log: -Infinity };
+  return { negative: x.log > y.log ? x.negative : y.negative, log: logSub(x.log, y.log) };
+};
+
+const ZERO = { negative: false, log: -Infinity };
+const UNITY = { negative: false, log: 0 };
+const UNDEFINED = { negative: false, log: NaN };
+
+const realNegate = ({ negative, log }) => ({ negative: !negative, log });
+
+// True when x < y; zeros compare equal whatever their sign
+const realLess = (x, y) => {
+  const difference = realAdd(x, realNegate(y));
+  return difference.log !== -Infinity && difference.negative;
+};
+
+// x^k for an integer k; 0^0 = 1 and 0^-k is a division by zero
+const realPower = (x, k) => {
+  if (k === 0) return UNITY;
+  if (x.log === -Infinity) return k > 0 ? ZERO : { negative: false, log: Infinity };
+  return { negative: x.negative && Math.abs(k) % 2 === 1, log: k * x.log };
+};
+
+// Exact real arithmetic on `{ negative, log }` values. Division by zero gives
+// a log of +Infinity and 0/0 a log of NaN. Unsigned `sub` is a magnitude, so
+// its exact counterpart is |x - y|. For `power`, y is the integer exponent.
+export const realOperation = (operation, x, y, { beta, signed }) => {
+  switch (operation) {
+    case 'add': return realAdd(x, y);
+    case 'sub':
+      if (!signed) return { negative: false, log: logSub(x.log, y.log) };
+      return realAdd(x, { negative: !y.negative, log: y.log });
+    case 'mul': return { negative: x.negative !== y.negative, log: x.log + y.log };
+    case 'div': return { negative: x.negative !== y.negative, log: x.log - y.log };
+    case 'square': return { negative: false, log: 2 * x.log };
+    case 'sqrt':
+      if (x.negative && x.log !== -Infinity) return UNDEFINED;
+      return { negative: x.negative, log: x.log / 2 };
+    case 'reciprocal': return { negative: x.negative, log: -x.log };
+    case 'power': return realPower(x, y);
+    case 'compare': {
+      if (realLess(x, y)) return { negative: true, log: 0 };
+      return realLess(y, x) ? UNITY : ZERO;
+    }
+    case 'min': return realLess(y, x) ? y : x;
+    case 'max': return realLess(x, y) ? y : x;
+    case 'log': {
+      if (x.log === -Infinity) return { negative: true, log: Infinity };
+      if (x.negative) return UNDEFINED;
+      const value = x.log / Math.log(beta);
+      return { negative: value < 0, log: Math.log(Math.abs(value)) };
+    }
+    case 'exp': return { negative: false, log: realToValue(x) * Math.log(beta) };
+    default: return UNDEFINED;
+  }
+};
+
+// Exact real-valued result of operation(a, b) on tilde operands
+export const exactResult = (operation, a, b, config) => {
+  const info = OPERATION_INFO[operation];
+  const y = info && info.exponent ? b : indexToReal(b, config.beta);
+  return realOperation(operation, indexToReal(a, config.beta), y, config);
+};
+
+const signedRealIndex = ({ negative, log }, beta) =>
+  (negative ? -1 : 1) * logToIndex(log, beta);
+
+// Compare a tilde result against the exact answer. `ulp` is the distance in
+// index steps, i.e. on the same log scale the encoding quantizes.
+export const compareToExact = (resultIndex, exact, { beta }) => {
+  if (Number.isNaN(exact.log)) {
+    return { absolute: NaN, relative: NaN, ulp: NaN };
+  }
+  if (exact.log === Infinity) {
+    return { absolute: Infinity, relative: Infinity, ulp: Infinity };
+  }
+
+  const res = indexToReal(resultIndex, beta);
+  const opposite = res.negative !== exact.negative;
+  const hi = Math.max(res.log, exact.log);
+
+  let absolute;
+  if (hi === -Infinity) absolute = 0;
+  else if (opposite) absolute = Math.exp(logAdd(res.log, exact.log));
+  else absolute = Math.exp(hi) * Math.abs(Math.exp(res.log - hi) - Math.exp(exact.log - hi));
+
+  let relative;
+  if (exact.log === -Infinity) relative = res.log === -Infinity ? 0 : Infinity;
+  else if (opposite) relative = 1 + Math.exp(res.log - exact.log);
+  else relative = Math.abs(Math.expm1(res.log - exact.log));
+
+  const ulp = Math.abs(signedRealIndex(res, beta) - signedRealIndex(exact, beta));
+
+  return { absolute, relative, ulp };
+};
+
+// Evaluate operation(a, b) and report its real-valued meaning and error
+export const measureOperation = (operation, a, b, config) => {
+  const { beta } = config;
+  const { result, flags } = evaluateFlagged(operation, a, b, config);
+  const exact = exactResult(operation, a, b, config);
+
+  return {
+    result,
+    flags,
+    values: {
+      a: indexToValue(a, beta),
+      b: indexToValue(b, beta),
+      result: indexToValue(result, beta),
+      exact: realToValue(exact)
+    },
+    ...compareToExact(result, exact, config)
+  };
+};
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compareToExact,
+  exactResult,
+  indexToValue,
+  logToIndex,
+  realOperation,
+  realToValue,
+  valueToReal
+} from './values.js';
+
+const unsigned = { beta: 2, bitWidth: 4, signed: false };
+const signed = { beta: 2, bitWidth: 4, signed: true };
+
+const close = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${message ?? ''} ${actual} vs ${expected}`);
+
+const closeErrors = (actual, expected) =>
+  Object.keys(expected).forEach(metric => close(actual[metric], expected[metric], metric));
+
+test('index 0 is zero, index 1 is unity and index n is β^(n-1)', () => {
+  assert.equal(indexToValue(0, 2), 0);
+  assert.ok(Object.is(indexToValue(-0, 2), -0));
+  assert.equal(indexToValue(1, 2), 1);
+  assert.equal(indexToValue(4, 2), 8);
+  assert.equal(indexToValue(-3, 1.5), -2.25);
+  assert.equal(logToIndex(-Infinity, 2), 0);
+  close(logToIndex(Math.log(3), 2), 1 + Math.log2(3));
+});
+
+test('exactResult gives the real answer on the tilde operands', () => {
+  // Indices 2, 3 and 4 are 2, 4 and 8 at β = 2
+  close(realToValue(exactResult('add', 3, 2, unsigned)), 6);
+  close(realToValue(exactResult('mul', 3, 2, unsigned)), 8);
+  close(realToValue(exactResult('div', 2, 4, unsigned)), 0.25);
+  close(realToValue(exactResult('add', 3, -3, signed)), 0);
+  // The power exponent is an integer, not an index
+  close(realToValue(exactResult('power', 3, 3, unsigned)), 64);
+  close(realToValue(exactResult('sqrt', 5, 0, unsigned)), 4);
+});
+
+test('unsigned sub is |x − y|, signed sub keeps the sign', () => {
+  const x = valueToReal(1);
+  const y = valueToReal(2);
+  assert.deepEqual(realOperation('sub', x, y, unsigned), { negative: false, log: 0 });
+  assert.deepEqual(realOperation('sub', x, y, signed), { negative: true, log: 0 });
+  close(realToValue(exactResult('sub', 2, 3, unsigned)), 2);
+  close(realToValue(exactResult('sub', 2, 3, signed)), -2);
+  assert.equal(realOperation('sub', y, y, unsigned).log, -Infinity);
+});
+
+test('special results: 0/0 is undefined and x/0 is infinite', () => {
+  assert.ok(Number.isNaN(exactResult('div', 0, 0, unsigned).log));
+  assert.equal(exactResult('div', 2, 0, unsigned).log, Infinity);
+  assert.ok(Number.isNaN(exactResult('sqrt', -2, 0, signed).log));
+  assert.deepEqual(compareToExact(0, exactResult('div', 0, 0, unsigned), unsigned), { absolute: NaN, relative: NaN, ulp: NaN });
+  assert.deepEqual(compareToExact(15, exactResult('div', 2, 0, unsigned), unsigned), { absolute: Infinity, relative: Infinity, ulp: Infinity });
+});
+
+test('absolute, relative and ulp error of an inexact result', () => {
+  // Result 8 (index 4) for an exact 3 (index 1 + log2 3)
+  closeErrors(compareToExact(4, valueToReal(3), unsigned), {
+    absolute: 5,
+    relative: 5 / 3,
+    ulp: 3 - Math.log2(3)
+  });
+  // Result 2 (index 2) for an exact 3
+  closeErrors(compareToExact(2, valueToReal(3), unsigned), {
+    absolute: 1,
+    relative: 1 / 3,
+    ulp: Math.log2(3) - 1
+  });
+});
+
+test('zero and unity results against zero and unity', () => {
+  assert.deepEqual(compareToExact(0, valueToReal(0), unsigned), { absolute: 0, relative: 0, ulp: 0 });
+  assert.deepEqual(compareToExact(-0, valueToReal(0), signed), { absolute: 0, relative: 0, ulp: 0 });
+  assert.deepEqual(compareToExact(1, valueToReal(1), unsigned), { absolute: 0, relative: 0, ulp: 0 });
+  // Unity for an exact zero is off by one index step and infinitely in relative terms
+  assert.deepEqual(compareToExact(1, valueToReal(0), unsigned), { absolute: 1, relative: Infinity, ulp: 1 });
+  // Zero for an exact unity is off by all of it
+  assert.deepEqual(compareToExact(0, valueToReal(1), unsigned), { absolute: 1, relative: 1, ulp: 1 });
+});
+
+test('a result of the wrong sign is off by both magnitudes', () => {
+  // -1 for an exact 2: indices -1 and 2
+  closeErrors(compareToExact(-1, valueToReal(2), signed), { absolute: 3, relative: 1.5, ulp: 3 });
+  closeErrors(compareToExact(-2, valueToReal(-2), signed), { absolute: 0, relative: 0, ulp: 0 });
+});
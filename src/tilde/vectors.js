@@ -0,0 +1,146 @@
+// Golden Test Vectors
+//
+// Runs the engine over (opcode, a, b) stimuli and formats the expected
+// results for RTL verification: CSV, $readmemh hex and JSON. Operands are
+// enumerated as raw words, so signed mode also covers the negative zero code.
+// CSV and JSON also list each vector's status flags; the RTL has no flag
+// outputs, so the hex layout leaves them out.
+
+import { FLAGS, carryRange, evaluateFlagged, raisedFlags, encodeWord, decodeWord, calculateLutLength } from './engine.js';
+import { OPCODES, OPCODE_WIDTH, lutRomContents } from './rtl.js';
+import { createRandom, randomInt } from './random.js';
+
+// Exhaustive sets above this many vectors are too large to download
+export const MAX_EXHAUSTIVE_VECTORS = 1 << 20;
+
+export const exhaustiveVectorCount = ({ bitWidth }, operations) =>
+  operations.length * (1 << bitWidth) * (1 << bitWidth);
+
+// Sampled sets share the exhaustive download limit
+export const maxSampleSize = (operations) => Math.floor(MAX_EXHAUSTIVE_VECTORS / operations.length);
+
+// Pairs per operation as typed: base 10, at least 1 and at most maxSampleSize
+export const parseSampleSize = (text, operations) => {
+  const value = parseInt(text, 10);
+  return Number.isNaN(value) ? 1 : Math.min(maxSampleSize(operations), Math.max(1, value));
+};
+
+const vectorFor = (operation, aWord, bWord, config) => {
+  const a = decodeWord(aWord, config);
+  const b = decodeWord(bWord, config);
+  const { result, flags } = evaluateFlagged(operation, a, b, config);
+  return {
+    operation,
+    opcode: OPCODES[operation],
+    a,
+    b,
+    result,
+    flags: raisedFlags(flags),
+    aWord,
+    bWord,
+    resultWord: encodeWord(result, config)
+  };
+};
+
+// `sample` is 'exhaustive' or the number of random pairs per operation
+export const generateVectors = (config, { operations = Object.keys(OPCODES), sample = 'exhaustive', seed = 1 } = {}) => {
+  const words = 1 << config.bitWidth;
+  const vectors = [];
+
+  if (sample === 'exhaustive') {
+    operations.forEach((operation) => {
+      for (let aWord = 0; aWord < words; aWord++) {
+        for (let bWord = 0; bWord < words; bWord++) {
+          vectors.push(vectorFor(operation, aWord, bWord, config));
+        }
+      }
+    });
+    return vectors;
+  }
+
+  const random = createRandom(seed);
+  operations.forEach((operation) => {
+    for (let i = 0; i < sample; i++) {
+      vectors.push(vectorFor(operation, randomInt(random, words), randomInt(random, words), config));
+    }
+  });
+  return vectors;
+};
+
+export const vectorHeader = (config, { operations = Object.keys(OPCODES), sample = 'exhaustive', seed = 1 } = {}) => {
+  const lut = lutRomContents(config);
+  const lutSub = lutRomContents(config, 'sub');
+  return {
+    beta: config.beta,
+    bitWidth: config.bitWidth,
+    signed: Boolean(config.signed),
+    operations,
+    opcodes: Object.fromEntries(operations.map(op => [op, OPCODES[op]])),
+    opcodeWidth: OPCODE_WIDTH,
+    lutLength: calculateLutLength(config.beta),
+    lut,
+    // Only present when sub has its own table (an override or minError rounding)
+    ...(lutSub.some((value, d) => value !== lut[d]) && { lutSub }),
+    // null when unbounded, which JSON cannot hold as Infinity
+    carryRange: Number.isFinite(carryRange(config)) ? carryRange(config) : null,
+    sample,
+    seed: sample === 'exhaustive' ? null : seed
+  };
+};
+
+const headerLines = (header) => [
+  `beta=${header.beta}`,
+  `bitWidth=${header.bitWidth}`,
+  `signed=${header.signed}`,
+  `opcodes=${Object.entries(header.opcodes).map(([op, code]) => `${op}:${code}`).join(',')}`,
+  `lutLength=${header.lutLength}`,
+  `lut=${header.lut.join(',')}`,
+  ...(header.lutSub ? [`lutSub=${header.lutSub.join(',')}`] : []),
+  `carryRange=${header.carryRange === null ? 'unbounded' : `d<${header.carryRange}`}`,
+  `sample=${header.sample}${header.seed !== null ? ` seed=${header.seed}` : ''}`
+];
+
+// How many vectors raise each flag
+export const vectorFlagCounts = (vectors) =>
+  Object.fromEntries(Object.keys(FLAGS).map(flag => [flag, vectors.filter(v => v.flags.includes(flag)).length]));
+
+const hex = (value, bits) => value.toString(16).padStart(Math.ceil(bits / 4), '0');
+
+export const vectorsToCsv = (vectors, header) => [
+  ...headerLines(header).map(line => `# ${line}`),
+  'opcode,operation,a,b,result,a_word,b_word,result_word,flags',
+  ...vectors.map(v => [
+    v.opcode,
+    v.operation,
+    Object.is(v.a, -0) ? '-0' : v.a,
+    Object.is(v.b, -0) ? '-0' : v.b,
+    Object.is(v.result, -0) ? '-0' : v.result,
+    hex(v.aWord, header.bitWidth),
+    hex(v.bWord, header.bitWidth),
+    hex(v.resultWord, header.bitWidth),
+    v.flags.join('|')
+  ].join(','))
+].join('\n') + '\n';
+
+// One packed word per line: {opcode, a, b, result}, MSB first
+export const vectorsToHex = (vectors, header) => {
+  const w = BigInt(header.bitWidth);
+  const totalBits = header.opcodeWidth + 3 * header.bitWidth;
+  return [
+    ...headerLines(header).map(line => `// ${line}`),
+    `// layout: [${totalBits - 1}:${3 * header.bitWidth}] opcode, [${3 * header.bitWidth - 1}:${2 * header.bitWidth}] a, ` +
+    `[${2 * header.bitWidth - 1}:${header.bitWidth}] b, [${header.bitWidth - 1}:0] result`,
+    `// reg [${totalBits - 1}:0] vectors [0:${vectors.length - 1}];`,
+    ...vectors.map(v => {
+      const packed = (BigInt(v.opcode) << (3n * w)) | (BigInt(v.aWord) << (2n * w)) | (BigInt(v.bWord) << w) | BigInt(v.resultWord);
+      return hex(packed, totalBits);
+    })
+  ].join('\n') + '\n';
+};
+
+export const vectorsToJson = (vectors, header) => JSON.stringify({
+  header,
+  vectors: vectors.map(({ opcode, operation, aWord, bWord, resultWord, flags }) => ({
+    opcode, operation, aWord, bWord, resultWord, flags
+  }))
+}, null, 2);
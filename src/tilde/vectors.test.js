@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeWord, encodeWord, evaluate, raisedFlags, evaluateFlagged } from './engine.js';
+import { OPCODES } from './rtl.js';
+import {
+  MAX_EXHAUSTIVE_VECTORS,
+  exhaustiveVectorCount,
+  generateVectors,
+  maxSampleSize,
+  parseSampleSize,
+  vectorHeader,
+  vectorsToCsv,
+  vectorsToHex,
+  vectorsToJson
+} from './vectors.js';
+
+const signed = { beta: 1.5, bitWidth: 4, signed: true };
+const operations = Object.keys(OPCODES);
+const OPERATION_OF = Object.fromEntries(Object.entries(OPCODES).map(([op, code]) => [code, op]));
+
+const dataLines = (text, comment) => text.trim().split('\n').filter(line => !line.startsWith(comment));
+
+test('hex words decode back to the engine results', () => {
+  const options = { operations, sample: 'exhaustive' };
+  const vectors = generateVectors(signed, options);
+  const lines = dataLines(vectorsToHex(vectors, vectorHeader(signed, options)), '//');
+  assert.equal(lines.length, 4 * 16 * 16);
+
+  const w = BigInt(signed.bitWidth);
+  const field = (packed, shift) => Number((packed >> (BigInt(shift) * w)) & ((1n << w) - 1n));
+  lines.forEach((line) => {
+    // opcode, a, b, result; 2 + 3 · 4 bits fit in four hex digits
+    assert.equal(line.length, 4);
+    const packed = BigInt(`0x${line}`);
+    const operation = OPERATION_OF[Number(packed >> (3n * w))];
+    const a = decodeWord(field(packed, 2), signed);
+    const b = decodeWord(field(packed, 1), signed);
+    const result = decodeWord(field(packed, 0), signed);
+    assert.ok(Object.is(result, evaluate(operation, a, b, signed)), `${line}: ${operation}(${a}, ${b})`);
+  });
+});
+
+test('hex header records the layout and memory size', () => {
+  const options = { operations: ['mul'], sample: 3, seed: 9 };
+  const text = vectorsToHex(generateVectors(signed, options), vectorHeader(signed, options));
+  assert.match(text, /^\/\/ sample=3 seed=9$/m);
+  assert.match(text, /^\/\/ layout: \[13:12\] opcode, \[11:8\] a, \[7:4\] b, \[3:0\] result$/m);
+  assert.match(text, /^\/\/ reg \[13:0\] vectors \[0:2\];$/m);
+});
+
+test('CSV rows list operands, words and flags', () => {
+  const options = { operations, sample: 'exhaustive' };
+  const vectors = generateVectors(signed, options);
+  const [columns, ...rows] = dataLines(vectorsToCsv(vectors, vectorHeader(signed, options)), '#');
+  assert.equal(columns, 'opcode,operation,a,b,result,a_word,b_word,result_word,flags');
+  assert.equal(rows.length, vectors.length);
+  rows.forEach((row) => {
+    const [opcode, operation, a, b, result, aWord, bWord, resultWord, flags] = row.split(',');
+    assert.equal(Number(opcode), OPCODES[operation]);
+    const x = decodeWord(parseInt(aWord, 16), signed);
+    const y = decodeWord(parseInt(bWord, 16), signed);
+    assert.equal(a, Object.is(x, -0) ? '-0' : String(x));
+    assert.equal(b, Object.is(y, -0) ? '-0' : String(y));
+    const expected = evaluateFlagged(operation, x, y, signed);
+    assert.equal(parseInt(resultWord, 16), encodeWord(expected.result, signed));
+    assert.equal(result, Object.is(expected.result, -0) ? '-0' : String(expected.result));
+    assert.equal(flags, raisedFlags(expected.flags).join('|'));
+  });
+});
+
+test('JSON export carries the header and one entry per vector', () => {
+  const config = { ...signed, carryPolicy: 'unbounded', lutRounding: 'minError' };
+  const options = { operations: ['add', 'sub'], sample: 5, seed: 3 };
+  const vectors = generateVectors(config, options);
+  const data = JSON.parse(vectorsToJson(vectors, vectorHeader(config, options)));
+  assert.equal(data.header.carryRange, null);
+  assert.deepEqual(data.header.opcodes, { add: 0, sub: 1 });
+  assert.equal(data.header.seed, 3);
+  assert.ok(Array.isArray(data.header.lutSub));
+  assert.equal(data.vectors.length, 10);
+  data.vectors.forEach((v) => {
+    const result = evaluate(v.operation, decodeWord(v.aWord, config), decodeWord(v.bWord, config), config);
+    assert.equal(v.resultWord, encodeWord(result, config));
+  });
+});
+
+test('exhaustive sets are capped at 2^20 vectors', () => {
+  assert.equal(MAX_EXHAUSTIVE_VECTORS, 1 << 20);
+  // Four operations over 9-bit words is exactly the cap, 10 bits is over it
+  assert.equal(exhaustiveVectorCount({ bitWidth: 9 }, operations), MAX_EXHAUSTIVE_VECTORS);
+  assert.ok(exhaustiveVectorCount({ bitWidth: 10 }, operations) > MAX_EXHAUSTIVE_VECTORS);
+  assert.equal(generateVectors(signed, { operations }).length, exhaustiveVectorCount(signed, operations));
+});
+
+test('sampled sets hold the declared number of pairs per operation', () => {
+  const vectors = generateVectors(signed, { operations, sample: 250, seed: 4 });
+  assert.equal(vectors.length, 1000);
+  operations.forEach(op => assert.equal(vectors.filter(v => v.operation === op).length, 250));
+  assert.deepEqual(generateVectors(signed, { operations, sample: 250, seed: 4 }), vectors);
+  assert.notDeepEqual(generateVectors(signed, { operations, sample: 250, seed: 5 }), vectors);
+});
+
+test('sample sizes parse in base 10 and stay within the cap', () => {
+  assert.equal(maxSampleSize(operations), (1 << 20) / 4);
+  assert.equal(parseSampleSize('250', operations), 250);
+  assert.equal(parseSampleSize('010', operations), 10);
+  assert.equal(parseSampleSize('0x10', operations), 1);
+  assert.equal(parseSampleSize('', operations), 1);
+  assert.equal(parseSampleSize('abc', operations), 1);
+  assert.equal(parseSampleSize('-5', operations), 1);
+  assert.equal(parseSampleSize('99999999', operations), maxSampleSize(operations));
+  assert.equal(parseSampleSize('99999999', ['add']), MAX_EXHAUSTIVE_VECTORS);
+});